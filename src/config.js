@@ -1,14 +1,27 @@
 import Joi from 'joi';
+import ArgvStore from './stores/argv-store.js';
+import DirectoryStore from './stores/directory-store.js';
+import DotEnvStore from './stores/dotenv-store.js';
+import EnvStore from './stores/env-store.js';
+import fs from 'fs-extra';
+import IniStore from './stores/ini-store.js';
 import JSStore from './stores/js-store.js';
+import JSONCStore from './stores/jsonc-store.js';
 import JSONStore from './stores/json-store.js';
-import LayerList, { All, Base } from './layer-list.js';
+import LayerList, { All, Argv, Base, Env, Project, System, User } from './layer-list.js';
 import Node from './node.js';
+import os from 'os';
 import path from 'path';
+import PlistStore from './stores/plist-store.js';
+import PropertiesStore from './stores/properties-store.js';
 import snooplogg from 'snooplogg';
+import SQLiteStore from './stores/sqlite-store.js';
 import Store from './store.js';
 import StoreRegistry from './store-registry.js';
+import TOMLStore from './stores/toml-store.js';
 import XMLStore from './stores/xml-store.js';
-import { arrayify, hashValue, splitKey, unique } from './util.js';
+import YAMLStore from './stores/yaml-store.js';
+import { arrayify, getAppPaths, hashValue, isScalar, splitKey, unique } from './util.js';
 
 const { log } = snooplogg('config-kit')('config');
 const { highlight } = snooplogg.styles;
@@ -26,6 +39,13 @@ export default class Config {
 	 */
 	static All = All;
 
+	/**
+	 * The id for the command line arguments layer.
+	 * @type {Symbol}
+	 * @access public
+	 */
+	static Argv = Argv;
+
 	/**
 	 * The id for the base layer.
 	 * @type {Symbol}
@@ -33,6 +53,34 @@ export default class Config {
 	 */
 	static Base = Base;
 
+	/**
+	 * The id for the environment variable layer.
+	 * @type {Symbol}
+	 * @access public
+	 */
+	static Env = Env;
+
+	/**
+	 * The id for the project config file layer.
+	 * @type {Symbol}
+	 * @access public
+	 */
+	static Project = Project;
+
+	/**
+	 * The id for the system config file layer.
+	 * @type {Symbol}
+	 * @access public
+	 */
+	static System = System;
+
+	/**
+	 * The id for the user config file layer.
+	 * @type {Symbol}
+	 * @access public
+	 */
+	static User = User;
+
 	/**
 	 * A reference to the Joi schema library.
 	 * @type {Object}
@@ -40,6 +88,21 @@ export default class Config {
 	 */
 	Joi = Joi;
 
+	/**
+	 * The names of the active profiles in order of precedence.
+	 * @type {Array.<String>}
+	 * @access public
+	 */
+	activeProfiles = [];
+
+	/**
+	 * When `true`, config files may extend other config files using a top-level `extends` or
+	 * `$include` key. Otherwise these keys are regular config values.
+	 * @type {Boolean}
+	 * @access public
+	 */
+	includes = false;
+
 	/**
 	 * Manages the list of layers.
 	 * @type {LayerList}
@@ -60,6 +123,16 @@ export default class Config {
 	 */
 	pending = {};
 
+	/**
+	 * The names of the recognized profiles or `null` if profiles are not enabled. When enabled,
+	 * config files with a filename tag matching a recognized profile, such as
+	 * `config.production.json`, are loaded into the profile's layer or ignored if the profile is
+	 * not active.
+	 * @type {Array.<String>}
+	 * @access public
+	 */
+	profiles = null;
+
 	/**
 	 * Tracks the store types by file extension.
 	 * @type {StoreRegistry}
@@ -94,15 +167,34 @@ export default class Config {
 	 * @param {Boolean} [opts.allowUnknown=true] - Allows object values to contain unknown keys.
 	 * @param {Boolean} [opts.applyOwner=true] - When `true`, determines the owner of the closest
 	 * existing parent directory and apply the owner to the file and any newly created directories.
+	 * @param {Boolean|Array.<String>|Object} [opts.argv] - `true` to use `process.argv`, an array of
+	 * command line arguments, or `ArgvStore` options. When set, a command line arguments layer is
+	 * added above the environment variable layer and any config files passed in via the config file
+	 * flag are loaded into their own `config-file:<file>` layers, in order, above all other file
+	 * layers and below the environment variable and command line arguments layers.
 	 * @param {Object} [opts.data] - Data to initialize the base config layer with.
+	 * @param {String|Object} [opts.env] - The environment variable name prefix or `EnvStore`
+	 * options. When set, an environment variable layer with the highest precedence is added and
+	 * the base layer's schema is used to coerce the values.
 	 * @param {String} [opts.file] - The file to associate with the base layer.
+	 * @param {Boolean} [opts.includes=false] - When `true`, loaded config files may extend other
+	 * config files using a top-level `extends` or `$include` key.
 	 * @param {Object|Layer|Array.<Object|Layer>} [opts.layers] - One or more layers to add in
 	 * addition to the base layer.
+	 * @param {String|Array.<String>} [opts.profile] - One or more active profiles in order of
+	 * precedence. Defaults to the comma separated list in the `profileEnv` environment variable.
+	 * @param {String} [opts.profileEnv="NODE_ENV"] - The name of the environment variable
+	 * containing the active profiles.
+	 * @param {String|Array.<String>} [opts.profiles] - The names of the recognized profiles. Files
+	 * tagged with a recognized profile that is not active are ignored. Active profiles are always
+	 * recognized. Profiles are enabled when `profile`, `profileEnv`, or `profiles` is set.
 	 * @param {Object} [opts.schema] - A Joi schema for the base layer.
 	 * @param {Store|Function} [opts.store] - A store instance or store class to use for the base
 	 * layer.
 	 * @param {Function|Array.<Function>} [opts.stores] - A store class or array of store classes
-	 * to register in addition to the built-in `JSStore` and `JSONStore`.
+	 * to register in addition to the built-in `DotEnvStore`, `IniStore`, `JSStore`, `JSONCStore`,
+	 * `JSONStore`, `PlistStore`, `PropertiesStore`, `SQLiteStore`, `TOMLStore`, `XMLStore`, and
+	 * `YAMLStore`.
 	 * @returns {Promise}
 	 * @access public
 	 */
@@ -122,17 +214,50 @@ export default class Config {
 			throw new TypeError('Expected config data to be an object');
 		}
 
+		if (opts.argv && opts.argv !== true && typeof opts.argv !== 'object') {
+			throw new TypeError('Expected argv to be an array or an object');
+		}
+
+		if (opts.env && typeof opts.env !== 'string' && typeof opts.env !== 'object') {
+			throw new TypeError('Expected env to be a prefix string or an object');
+		}
+
+		for (const prop of [ 'profile', 'profiles' ]) {
+			if (opts[prop] !== undefined && !arrayify(opts[prop]).every(name => name && typeof name === 'string')) {
+				throw new TypeError(`Expected ${prop} to be a string or an array of strings`);
+			}
+		}
+
+		if (opts.profileEnv !== undefined && (!opts.profileEnv || typeof opts.profileEnv !== 'string')) {
+			throw new TypeError('Expected profile env to be a non-empty string');
+		}
+
+		this.includes = !!opts.includes;
+
+		// content detection tries the most recently registered store types first, so the store
+		// types with the most lenient formats are registered first
+		this.stores.add(YAMLStore);
+		this.stores.add(IniStore);
+		this.stores.add(TOMLStore);
+		this.stores.add(DotEnvStore);
 		this.stores.add(JSStore);
+		this.stores.add(JSONCStore);
 		this.stores.add(JSONStore);
+		this.stores.add(PropertiesStore);
+		this.stores.add(SQLiteStore);
 		this.stores.add(XMLStore);
+		this.stores.add(PlistStore);
 		for (const store of arrayify(opts.stores)) {
 			this.stores.add(store);
 		}
 
 		let { store } = opts;
 		if (store) {
-			// if we have an explicit `store`, then register it's class
-			this.stores.add(store instanceof Store ? Object.getPrototypeOf(store).constructor : store);
+			// if we have an explicit `store` for a file type, then register it's class
+			const StoreClass = store instanceof Store ? Object.getPrototypeOf(store).constructor : store;
+			if (StoreClass.extension) {
+				this.stores.add(StoreClass);
+			}
 		} else if (opts.file) {
 			const StoreClass = this.stores.get(path.extname(opts.file));
 			store = new StoreClass();
@@ -152,6 +277,56 @@ export default class Config {
 			await this.layers.add(layer);
 		}
 
+		if (opts.profile !== undefined || opts.profileEnv !== undefined || opts.profiles !== undefined) {
+			const active = opts.profile !== undefined
+				? arrayify(opts.profile)
+				: (process.env[opts.profileEnv || 'NODE_ENV'] || '').split(',');
+			this.activeProfiles = unique(active.map(name => name.trim()).filter(Boolean));
+			this.profiles = unique([ ...arrayify(opts.profiles), ...this.activeProfiles ]);
+
+			// profile layers sit between the base layer and the system layer with later profiles
+			// taking precedence
+			for (let i = 0; i < this.activeProfiles.length; i++) {
+				await this.layers.add({
+					id:    `profile:${this.activeProfiles[i]}`,
+					order: -4 + i / this.activeProfiles.length
+				});
+			}
+		}
+
+		if (opts.env) {
+			await this.layers.add({
+				id:     Env,
+				order:  Infinity,
+				static: true,
+				store:  new EnvStore({
+					...(typeof opts.env === 'string' ? { prefix: opts.env } : opts.env),
+					schema: this.layers.get(Base).schema
+				})
+			});
+		}
+
+		if (opts.argv) {
+			const layer = await this.layers.add({
+				id:     Argv,
+				order:  Infinity,
+				static: true,
+				store:  new ArgvStore({
+					...(Array.isArray(opts.argv) ? { argv: opts.argv } : opts.argv === true ? {} : opts.argv),
+					schema: this.layers.get(Base).schema
+				})
+			});
+
+			// config files passed in on the command line override other config files, but not the
+			// environment variables or command line arguments
+			for (const file of layer.store.configFiles) {
+				await this.load(file, {
+					id:    `config-file:${file}`,
+					order: Number.MAX_SAFE_INTEGER
+				});
+			}
+		}
+
 		return this;
 	}
 
@@ -195,6 +370,106 @@ export default class Config {
 		return deleted;
 	}
 
+	/**
+	 * Searches for rc files and loads each one into its own layer. The layer id is the file's
+	 * path.
+	 *
+	 * The current directory and each parent directory up to `stopAt` or the root are searched,
+	 * followed by `$XDG_CONFIG_HOME` (defaults to `~/.config`) and the home directory. In each
+	 * directory, `.<name>rc`, `.<name>rc.<ext>`, and `<name>.config.<ext>` files are found for each
+	 * registered store type's extension, except SQLite databases. The store type of a `.<name>rc`
+	 * file is detected from its contents and the file is skipped if it can't be detected.
+	 *
+	 * Nearer files take precedence over farther files. Within a directory, `.<name>rc` takes
+	 * precedence over `.<name>rc.<ext>` which takes precedence over `<name>.config.<ext>`.
+	 *
+	 * @param {Object} opts - Various options.
+	 * @param {String} [opts.cwd] - The directory to start searching from. Defaults to the current
+	 * working directory.
+	 * @param {String} opts.name - The app name used to build the rc filenames.
+	 * @param {Number} [opts.order=0] - The layer precedence of the discovered layers.
+	 * @param {String} [opts.stopAt] - The last parent directory to search.
+	 * @returns {Promise} Resolves this `Config` instance.
+	 * @access public
+	 */
+	async discover(opts = {}) {
+		if (!opts || typeof opts !== 'object') {
+			throw new TypeError('Expected options to be an object');
+		}
+
+		const { name } = opts;
+		if (!name || typeof name !== 'string') {
+			throw new TypeError('Expected name to be a non-empty string');
+		}
+
+		for (const prop of [ 'cwd', 'stopAt' ]) {
+			if (opts[prop] !== undefined && (!opts[prop] || typeof opts[prop] !== 'string')) {
+				throw new TypeError(`Expected ${prop} to be a non-empty string`);
+			}
+		}
+
+		if (opts.order !== undefined && typeof opts.order !== 'number') {
+			throw new TypeError('Expected order to be a number');
+		}
+
+		const stopAt = opts.stopAt && path.resolve(opts.stopAt);
+		const dirs = [];
+		for (let dir = path.resolve(opts.cwd || process.cwd()); ; dir = path.dirname(dir)) {
+			dirs.push(dir);
+			if (dir === stopAt || path.dirname(dir) === dir) {
+				break;
+			}
+		}
+
+		const home = os.homedir();
+		dirs.push(path.resolve(process.env.XDG_CONFIG_HOME || path.join(home, '.config')), home);
+
+		const rcFilename = `.${name}rc`;
+		const exts = Object.keys(this.stores.types).filter(ext => this.stores.types[ext] !== SQLiteStore);
+		const filenames = [
+			rcFilename,
+			...exts.map(ext => `${rcFilename}${ext}`),
+			...exts.map(ext => `${name}.config${ext}`)
+		];
+
+		const files = [];
+		for (const dir of unique(dirs)) {
+			let entries;
+			try {
+				entries = new Set(await fs.readdir(dir));
+			} catch (e) {
+				continue;
+			}
+
+			for (const filename of filenames) {
+				const file = path.join(dir, filename);
+				if (!entries.has(filename) || !(await fs.stat(file).catch(() => null))?.isFile()) {
+					continue;
+				}
+
+				let format;
+				if (filename === rcFilename) {
+					const StoreClass = this.stores.detect(await fs.readFile(file));
+					if (!StoreClass) {
+						log(`Skipping ${highlight(file)} because its file type could not be detected`);
+						continue;
+					}
+					format = StoreClass.extension;
+				}
+				files.push({ file, format });
+			}
+		}
+
+		log(`Discovered ${files.length} ${highlight(name)} config file${files.length === 1 ? '' : 's'}`);
+
+		// load the farthest files first so that nearer files are layered above them
+		for (const { file, format } of files.reverse()) {
+			await this.load(file, { format, id: file, order: opts.order || 0 });
+		}
+
+		return this;
+	}
+
 	/**
 	 * Retrieves a value for the specified key.
 	 *
@@ -219,7 +494,7 @@ export default class Config {
 				});
 			} else if (Array.isArray(it)) {
 				return it.map(i => replace(i));
-			} else if (it && typeof it === 'object') {
+			} else if (!isScalar(it)) {
 				const obj = {};
 				for (const [ key, value ] of Object.entries(it)) {
 					obj[key] = replace(value);
@@ -230,7 +505,7 @@ export default class Config {
 		};
 		const merge = (src, dest) => {
 			for (const [ key, srcValue ] of Object.entries(src)) {
-				if (srcValue && typeof srcValue === 'object' && dest[key] && typeof dest[key] === 'object' && !Array.isArray(srcValue)) {
+				if (!isScalar(srcValue) && !isScalar(dest[key]) && !Array.isArray(srcValue)) {
 					merge(srcValue, dest[key]);
 				} else {
 					dest[key] = srcValue;
@@ -248,7 +523,7 @@ export default class Config {
 		for (const layer of this.layers.query(id, true)) {
 			const value = replace(layer.get(key));
 			if (value !== undefined) {
-				if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+				if (isScalar(value) || Array.isArray(value)) {
 					return value;
 				}
 				objects.unshift(value);
@@ -292,15 +567,35 @@ export default class Config {
 	/**
 	 * Loads a config file. By default, it loads it into the config's default layer.
 	 *
-	 * @param {String} file - The path to the config file to load.
+	 * When includes are enabled, a config file may extend other config files by listing their
+	 * paths or package specifiers in a top-level `extends` or `$include` key. The extended files
+	 * are loaded first and merged underneath the file's values in the same layer.
+	 *
+	 * The store type is determined by the file's extension. If the extension is not registered,
+	 * such as `.myapprc` or a file without an extension, the store type is detected from the file's
+	 * contents.
+	 *
+	 * When the `directory` option is set, every supported config file in the directory is loaded
+	 * in lexical order and merged into a single layer using a `DirectoryStore`.
+	 *
+	 * @param {String} file - The path to the config file or directory to load.
 	 * @param {Object} [opts] - Various options.
+	 * @param {Boolean} [opts.directory=false] - When `true`, the path is a directory of config
+	 * files to load as a single layer.
+	 * @param {String} [opts.format] - The file extension without the leading period of the store
+	 * type to load the file with, such as `"json"` or `"yaml"`. Overrides the file's extension and
+	 * content detection.
 	 * @param {Boolean} [opts.graceful=false] - When `true`, doesn't error if the config file does
 	 * not exist.
+	 * @param {Boolean} [opts.includes] - When `true`, the file may extend other config files using
+	 * a top-level `extends` or `$include` key. Defaults to the `includes` init option.
 	 * @param {Object} [opts.id] - The layer id to load the file into. If the layer id does not
 	 * exist, it will create it.
 	 * @param {String} [opts.namespace] - The name of the scope encompassing this layer's data and
 	 * schema if not already defined.
 	 * @param {Number} [opts.order=0] - The layer precedence.
+	 * @param {String} [opts.overflowFile] - When loading a directory, the file relative to the
+	 * directory to save values that are not defined by any file.
 	 * @param {Boolean} [opts.readonly] - Indicates if this layer's data can be changed.
 	 * @param {Object|String} [opts.schema] - A Joi schema, object to compile into a Joi schema, or
 	 * a path to a `.js` or `.json` file containing a Joi schema.
@@ -321,16 +616,44 @@ export default class Config {
 			throw new Error('Expected options to be an object');
 		}
 
+		if (opts.format !== undefined && (!opts.format || typeof opts.format !== 'string')) {
+			throw new TypeError('Expected format to be a non-empty string');
+		}
+
+		const isDir = !!opts.directory;
 		const filename = path.basename(file);
-		const tags = filename.split('.').slice(1);
+		const tags = isDir ? [] : filename.split('.').slice(1);
 		const ext = tags.pop();
-		const StoreClass = this.stores.get(`.${ext}`);
+		let anyExtension = false;
+		let StoreClass;
+
+		if (isDir) {
+			StoreClass = DirectoryStore;
+		} else if (opts.format) {
+			const format = opts.format.replace(/^\./, '');
+			StoreClass = this.stores.get(`.${format}`);
+			if (!StoreClass) {
+				throw new Error(`Unsupported format "${format}"`);
+			}
+			anyExtension = true;
+		} else {
+			StoreClass = this.stores.get(`.${ext}`);
+			if (!StoreClass && fs.existsSync(file) && fs.statSync(file).isFile()) {
+				// unknown extension, try to detect the store type from the contents
+				StoreClass = this.stores.detect(await fs.readFile(file));
+				anyExtension = true;
+			}
+		}
 
 		if (!StoreClass) {
 			throw new Error(`Unsupported file type "${ext ? `.${ext}` : filename}"`);
 		}
 
 		const layers = unique(opts.id || this.resolve({ action: 'load', tags }));
+		if (!layers.length) {
+			log(`Skipping ${highlight(file)} because it does not belong to any layer`);
+			return this;
+		}
 
 		log(`Loading ${highlight(file)} into ${layers.map(s => highlight(String(s))).join(', ')}`);
 
@@ -342,7 +665,10 @@ export default class Config {
 				file,
 				graceful: !!opts.graceful,
 				id,
-				store: new StoreClass()
+				registry: !isDir && (opts.includes !== undefined ? opts.includes : this.includes) ? this.stores : null,
+				store: isDir
+					? new DirectoryStore({ applyOwner: this.layers.applyOwner, overflowFile: opts.overflowFile, registry: this.stores })
+					: new StoreClass({ anyExtension, applyOwner: this.layers.applyOwner })
 			});
 
 			if (existing) {
@@ -403,6 +729,98 @@ export default class Config {
 		return this;
 	}
 
+	/**
+	 * Loads the system, user, and project config files for an app into the `System`, `User`, and
+	 * `Project` layers. The layers are ordered above the base layer and below layers with the
+	 * default order so that system config is overridden by user config which is overridden by
+	 * project config.
+	 *
+	 * The system and user config files are named `<filename>` or `<filename>.<ext>` for each
+	 * registered store type's extension and are found in the directories returned by
+	 * `getAppPaths()`. The project config file is `.<name>rc`, `.<name>rc.<ext>`, or
+	 * `<name>.config.<ext>` in the project directory.
+	 *
+	 * The system layer is only added if a system config file exists. If a user or project config
+	 * file doesn't exist, the layer is added with a `.json` file so that it can be saved.
+	 *
+	 * @param {Object} opts - Various options.
+	 * @param {String} [opts.cwd] - The project directory. Defaults to the current working
+	 * directory.
+	 * @param {Object} [opts.env=process.env] - The environment variables used to resolve the
+	 * directories.
+	 * @param {String} [opts.filename="config"] - The name of the system and user config files
+	 * without an extension.
+	 * @param {String} [opts.homeDir] - The user's home directory. Defaults to `os.homedir()`.
+	 * @param {String} opts.name - The app name.
+	 * @param {String} [opts.platform=process.platform] - The platform to resolve the directories
+	 * for.
+	 * @returns {Promise} Resolves this `Config` instance.
+	 * @access public
+	 */
+	async loadStandardLayers(opts = {}) {
+		if (!opts || typeof opts !== 'object') {
+			throw new TypeError('Expected options to be an object');
+		}
+
+		const { name } = opts;
+		if (!name || typeof name !== 'string') {
+			throw new TypeError('Expected name to be a non-empty string');
+		}
+
+		for (const prop of [ 'cwd', 'filename' ]) {
+			if (opts[prop] !== undefined && (!opts[prop] || typeof opts[prop] !== 'string')) {
+				throw new TypeError(`Expected ${prop} to be a non-empty string`);
+			}
+		}
+
+		const cwd = path.resolve(opts.cwd || process.cwd());
+		const filename = opts.filename || 'config';
+		const paths = getAppPaths(name, opts);
+		const exts = Object.keys(this.stores.types);
+
+		const find = (dirs, filenames) => {
+			for (const dir of dirs) {
+				for (const base of filenames) {
+					const file = path.join(dir, base);
+					if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+						return file;
+					}
+				}
+			}
+		};
+
+		const configFilenames = [ filename, ...exts.map(ext => `${filename}${ext}`) ];
+		const layers = [
+			{
+				file:  find(paths.system, configFilenames),
+				id:    System,
+				order: -3
+			},
+			{
+				file:  find([ paths.user ], configFilenames) || path.join(paths.user, `${filename}.json`),
+				id:    User,
+				order: -2
+			},
+			{
+				file: find([ cwd ], [
+					`.${name}rc`,
+					...exts.map(ext => `.${name}rc${ext}`),
+					...exts.map(ext => `${name}.config${ext}`)
+				]) || path.join(cwd, `${name}.config.json`),
+				id:    Project,
+				order: -1
+			}
+		];
+
+		for (const { file, id, order } of layers) {
+			if (file) {
+				await this.load(file, { graceful: true, id, order });
+			}
+		}
+
+		return this;
+	}
+
 	/**
 	 * Deeply merges an object into a layer's store.
 	 *
@@ -534,13 +952,27 @@ export default class Config {
 	 * config doesn't care about tags, it can simply return the default config layer id. Custom
 	 * config implementations are encouraged to override this method.
 	 *
+	 * When profiles are enabled, files tagged with recognized profiles resolve to the layer of
+	 * the active profile with the highest precedence, such as `"profile:production"`. If any of
+	 * the file's profiles are not active, no layers are returned and the file is not loaded.
+	 *
 	 * @param {Object} [opts] - Various options.
 	 * @param {String} [opts.action] - The action being performed.
 	 * @param {Array.<String>} [opts.tags] - A list of tags parsed from the filename.
 	 * @returns {String|Symbol|Array.<String|Symbol>}
 	 * @access public
 	 */
-	resolve() {
+	resolve({ tags } = {}) {
+		if (this.profiles) {
+			const profiles = unique(tags).filter(tag => this.profiles.includes(tag));
+			if (profiles.length) {
+				if (!profiles.every(name => this.activeProfiles.includes(name))) {
+					return [];
+				}
+				const name = this.activeProfiles.filter(name => profiles.includes(name)).pop();
+				return `profile:${name}`;
+			}
+		}
 		return Config.Base;
 	}
 
@@ -617,6 +1049,29 @@ export default class Config {
 		return await this._mutate({ id, key, action: 'shift' });
 	}
 
+	/**
+	 * Determines where a config value came from.
+	 *
+	 * @param {String|Array.<String>} key - The key to look up.
+	 * @param {String|Symbol|Array.<String|Symbol>} [id] - A specific layer id or ids to scan for
+	 * the key. If not specified, then it scans all layers.
+	 * @returns {Object} The `id` of the highest precedence layer defining the key and the `file`
+	 * that defines it, which is `null` if the value didn't come from a file, or `undefined` if the
+	 * key is not set.
+	 * @access public
+	 */
+	source(key, id) {
+		key = splitKey(key);
+		for (const layer of this.layers.query(id, true)) {
+			if (layer.has(key)) {
+				return {
+					file: layer.source(key) || null,
+					id:   layer.id
+				};
+			}
+		}
+	}
+
 	/**
 	 * Returns a string prepresentation of the configuration.
 	 *
@@ -1,20 +1,50 @@
+import ArgvStore from './stores/argv-store.js';
 import Config from './config.js';
+import DirectoryStore from './stores/directory-store.js';
+import DotEnvStore from './stores/dotenv-store.js';
+import EnvStore from './stores/env-store.js';
+import IniStore from './stores/ini-store.js';
 import Joi from 'joi';
 import JSStore from './stores/js-store.js';
+import JSONCStore from './stores/jsonc-store.js';
 import JSONStore from './stores/json-store.js';
+import MemoryStore from './stores/memory-store.js';
+import PackageJSONStore from './stores/package-json-store.js';
+import PlistStore from './stores/plist-store.js';
+import PropertiesStore from './stores/properties-store.js';
+import RemoteStore from './stores/remote-store.js';
+import SQLiteStore from './stores/sqlite-store.js';
+import TOMLStore from './stores/toml-store.js';
 import XMLStore from './stores/xml-store.js';
+import YAMLStore from './stores/yaml-store.js';
 import Layer from './layer.js';
 import Node from './node.js';
 import Store from './store.js';
+import { getAppPaths } from './util.js';
 
 export default Config;
 export {
+	ArgvStore,
 	Config,
+	DirectoryStore,
+	DotEnvStore,
+	EnvStore,
+	IniStore,
 	Joi,
 	JSStore,
+	JSONCStore,
 	JSONStore,
+	MemoryStore,
+	PackageJSONStore,
+	PlistStore,
+	PropertiesStore,
+	RemoteStore,
+	SQLiteStore,
+	TOMLStore,
 	XMLStore,
+	YAMLStore,
 	Layer,
 	Node,
-	Store
+	Store,
+	getAppPaths
 };
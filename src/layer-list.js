@@ -1,4 +1,5 @@
 import Layer from './layer.js';
+import MemoryStore from './stores/memory-store.js';
 import snooplogg from 'snooplogg';
 import { arrayify, hashValue, validate } from './util.js';
 
@@ -11,12 +12,42 @@ const { highlight } = snooplogg.styles;
  */
 export const All = Symbol('all');
 
+/**
+ * The id for the command line arguments layer.
+ * @type {Symbol}
+ */
+export const Argv = Symbol('argv');
+
 /**
  * The id for the base layer.
  * @type {Symbol}
  */
 export const Base = Symbol('base');
 
+/**
+ * The id for the environment variable layer.
+ * @type {Symbol}
+ */
+export const Env = Symbol('env');
+
+/**
+ * The id for the project config file layer.
+ * @type {Symbol}
+ */
+export const Project = Symbol('project');
+
+/**
+ * The id for the system config file layer.
+ * @type {Symbol}
+ */
+export const System = Symbol('system');
+
+/**
+ * The id for the user config file layer.
+ * @type {Symbol}
+ */
+export const User = Symbol('user');
+
 /**
  * An indexed list of elements.
  */
@@ -99,7 +130,8 @@ export default class LayerList {
 	}
 
 	/**
-	 * Adds a layer. If the layer id already exists, it will replace it.
+	 * Adds a layer. If the layer id already exists, it will replace it. Layers without a store or
+	 * file use a `MemoryStore`.
 	 *
 	 * @param {Layer|Object|String} layer - The layer, layer contructor arguments, or layer id.
 	 * @returns {Promise} Resolves this `Layer` instance.
@@ -163,6 +195,10 @@ export default class LayerList {
 		}
 
 		if (!isLayer) {
+			if (!layer.store && !layer.file) {
+				// layers without a file only live in memory
+				layer.store = MemoryStore;
+			}
 			log(`Creating new layer: ${highlight(String(id))}`);
 			layer = await new Layer().init(layer);
 		} else if (existing && Object.prototype.hasOwnProperty.call(existing, 'file')) {
@@ -176,6 +212,10 @@ export default class LayerList {
 			if (p !== -1) {
 				this.layers.splice(p, 1);
 			}
+			if (existing.store !== layer.store) {
+				// stop the replaced store from polling for changes
+				existing.store?.stop?.();
+			}
 		}
 
 		let inserted;
@@ -186,7 +226,8 @@ export default class LayerList {
 			}
 		}
 		if (!inserted) {
-			this.layers.push(layer);
+			// the layer has the lowest order, such as the base layer being reloaded
+			this.layers.unshift(layer);
 		}
 
 		// add the watchers to this layer
@@ -257,7 +298,8 @@ export default class LayerList {
 		const p = this.layers.findIndex(layer => layer === idOrLayer || layer.id === idOrLayer);
 		if (layer) {
 			log(`Unloading layer: ${highlight(String(idOrLayer))}`);
-			this.map[idOrLayer].unload();
+			layer.unload();
+			layer.store?.stop?.();
 			delete this.map[idOrLayer];
 		}
 		if (p !== -1) {
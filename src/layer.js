@@ -1,15 +1,23 @@
 import fs from 'fs-extra';
 import Joi from 'joi';
 import JSONStore from './stores/json-store.js';
+import Node from './node.js';
 import path from 'path';
 import snooplogg from 'snooplogg';
 import Store from './store.js';
 import Values from 'joi/lib/values.js';
-import { getSchemaInitialValues, validate } from './util.js';
+import { createRequire } from 'module';
+import { getSchemaInitialValues, isScalar, validate } from './util.js';
 
 const { log } = snooplogg('config-kit')('js-store');
 const { highlight } = snooplogg.styles;
 
+/**
+ * The names of the top-level keys that list the config files a config file extends.
+ * @type {Array.<String>}
+ */
+const directives = [ 'extends', '$include' ];
+
 /**
  * Contains information about a layer. The layer's data is located in the layer's store.
  */
@@ -20,6 +28,12 @@ export default class Layer {
 	 */
 	allowNulls = false;
 
+	/**
+	 * The config files extended by the loaded file and their stores in the order they were loaded.
+	 * @type {Array.<Object>}
+	 */
+	bases = [];
+
 	/**
 	 * Values extracted from the environment variables as defined by the schema.
 	 * @type {Object}
@@ -39,6 +53,20 @@ export default class Layer {
 	 */
 	id = null;
 
+	/**
+	 * The merged values of the extended config files or `null` if the loaded file doesn't extend
+	 * any files.
+	 * @type {Object}
+	 */
+	inherited = null;
+
+	/**
+	 * The loaded file's values merged over the inherited values. It's computed the first time a
+	 * value is looked up and reset whenever the layer's values change.
+	 * @type {Node}
+	 */
+	merged = null;
+
 	/**
 	 * An optional name of the scope encompassing this layer's data and schema.
 	 * @type {String}
@@ -57,6 +85,13 @@ export default class Layer {
 	 */
 	readonly = false;
 
+	/**
+	 * The store registry used to load the config files that the loaded file extends. When not
+	 * set, `extends` and `$include` are treated as regular config values.
+	 * @type {StoreRegistry}
+	 */
+	registry = null;
+
 	/**
 	 * The Joi schema.
 	 * @type {Object}
@@ -105,6 +140,8 @@ export default class Layer {
 	 * schema if not already defined.
 	 * @param {Number} [opts.order=0] - The layer precedence.
 	 * @param {Boolean} [opts.readonly] - Indicates if this layer's data can be changed.
+	 * @param {StoreRegistry} [opts.registry] - The store registry used to load the config files
+	 * that the loaded file extends.
 	 * @param {Object} [opts.schema] - A Joi schema or object to compile into a Joi schema.
 	 * @param {Boolean} [opts.static] - Indicates if this layer can be unloaded.
 	 * @param {Store} [opts.store] - The data store. Defaults to a `JSONStore` instance.
@@ -118,6 +155,7 @@ export default class Layer {
 		this.namespace  = opts.namespace;
 		this.order      = opts.order || 0;
 		this.readonly   = !!opts.readonly;
+		this.registry   = opts.registry || null;
 		this.static     = !!opts.static;
 
 		if (opts.validate !== undefined) {
@@ -165,6 +203,7 @@ export default class Layer {
 			// we can merge the environment variable values directly into the store since we've
 			// already done the validation in `getSchemaInitialValues()`
 			this.store.merge(env);
+			this.merged = null;
 		}
 
 		return this;
@@ -187,6 +226,7 @@ export default class Layer {
 
 		this.validate({ action: 'delete', key });
 		if (key = this.resolveKey(key)) {
+			this.merged = null;
 			const keys = this.namespace && this.store.keys();
 			if (keys && keys.length === 1 && keys[0] === this.namespace) {
 				// data is namespaced, so we need to add the namespace back
@@ -217,9 +257,9 @@ export default class Layer {
 		let value;
 		if (keys && keys.length === 1 && keys[0] === this.namespace) {
 			// data is namespaced, so we need to add the namespace back
-			value = this.store.get([ this.namespace, ...nsKey ]);
+			value = this.lookup([ this.namespace, ...nsKey ]);
 		} else {
-			value = this.store.get(nsKey);
+			value = this.lookup(nsKey);
 		}
 
 		if (!nsKey?.length && value === undefined) {
@@ -248,17 +288,24 @@ export default class Layer {
 		}
 
 		const keys = this.namespace && this.store.keys();
+		const has = key => (this.registry ? this.lookup(key) !== undefined : this.store.has(key));
 		if (keys && keys.length === 1 && keys[0] === this.namespace) {
 			// data is namespaced, so we need to add the namespace back
-			return this.store.has([ this.namespace, ...nsKey ]);
+			return has([ this.namespace, ...nsKey ]);
 		}
 
-		return this.store.has(nsKey);
+		return has(nsKey);
 	}
 
 	/**
 	 * Loads a config file.
 	 *
+	 * If the layer has a store registry and the file has a top-level `extends` or `$include` key,
+	 * the referenced config files are loaded first and their values are merged underneath the
+	 * file's values. A reference is either a path relative to the file or a package specifier
+	 * such as `@myorg/config` or `@myorg/config/base.yml`. Extended files may extend other files.
+	 * The extended values are read-only and saving the layer only writes the file's own values.
+	 *
 	 * @param {String} file - The path to the config file to load.
 	 * @param {Boolean} [graceful=false] - When `true`, doesn't error if the config file does not
 	 * exist.
@@ -277,9 +324,21 @@ export default class Layer {
 			log(`${String(this.id)} Gracefully handling non-existent config file: ${highlight(file)}`);
 		}
 
+		this.bases = [];
+		this.inherited = null;
+		this.merged = null;
+
 		if (!graceful || exists) {
 			await this.store.load(file);
-			const data = this.store.get();
+
+			if (this.registry) {
+				this.bases = await this.loadBases(file, this.store.get(), [ path.resolve(file) ]);
+				for (const { store } of this.bases) {
+					this.inherited = mergeValues(this.inherited || {}, omitDirectives(store.get()));
+				}
+			}
+
+			const data = this.lookup([]);
 			this.validate({
 				action: 'load',
 				message: 'Failed to load config file',
@@ -290,6 +349,71 @@ export default class Layer {
 		return this;
 	}
 
+	/**
+	 * Loads the config files extended by a config file.
+	 *
+	 * @param {String} file - The path to the config file.
+	 * @param {Object} data - The config file's data.
+	 * @param {Array.<String>} chain - The resolved paths of the config files leading to and
+	 * including this file, used to detect cycles.
+	 * @returns {Promise} Resolves an array of the extended files and their stores in the order
+	 * they should be merged.
+	 * @access private
+	 */
+	async loadBases(file, data, chain) {
+		const bases = [];
+		const via = () => `(extended by ${chain.join(' -> ')})`;
+
+		for (const name of directives) {
+			const value = data && typeof data === 'object' ? data[name] : undefined;
+			if (value === undefined) {
+				continue;
+			}
+
+			const specs = Array.isArray(value) ? value : [ value ];
+			if (specs.some(spec => !spec || typeof spec !== 'string')) {
+				throw new TypeError(`Expected "${name}" to be a string or an array of strings ${via()}`);
+			}
+
+			for (const spec of specs) {
+				const baseFile = resolveBase(spec, file, via);
+
+				if (chain.includes(baseFile)) {
+					throw new Error(`Circular "${name}" detected: ${[ ...chain, baseFile ].join(' -> ')}`);
+				}
+
+				if (!fs.existsSync(baseFile)) {
+					const err = new Error(`File not found: ${baseFile} ${via()}`);
+					err.code = 'ENOENT';
+					throw err;
+				}
+
+				const StoreClass = this.registry.get(path.extname(baseFile)) || this.registry.detect(await fs.readFile(baseFile));
+				if (!StoreClass) {
+					throw new Error(`Unsupported file type "${path.extname(baseFile) || path.basename(baseFile)}" ${via()}`);
+				}
+
+				const store = new StoreClass({ applyOwner: this.store.applyOwner });
+				if (this.store.schema) {
+					store.schema = this.store.schema;
+				}
+
+				log(`${String(this.id)} Loading ${highlight(baseFile)} extended by ${highlight(file)}`);
+				try {
+					await store.load(baseFile);
+				} catch (e) {
+					e.message = `${e.message} ${via()}`;
+					throw e;
+				}
+
+				bases.push(...await this.loadBases(baseFile, store.get(), [ ...chain, baseFile ]));
+				bases.push({ file: baseFile, store });
+			}
+		}
+
+		return bases;
+	}
+
 	/**
 	 * Loads a schema from a file or object.
 	 *
@@ -392,6 +516,32 @@ export default class Layer {
 		return this;
 	}
 
+	/**
+	 * Retrieves a value from the store with the values of the extended config files merged
+	 * underneath it. The `extends` and `$include` directives are not config values and are
+	 * omitted. The merged values are copied into a `Node` once and reused until the layer's values
+	 * change so that their hash can be compared when the layer is reloaded.
+	 *
+	 * @param {Array.<String>} key - The key to get.
+	 * @returns {*}
+	 * @access private
+	 */
+	lookup(key) {
+		if (!this.registry) {
+			return this.store.get(key);
+		}
+
+		if (!this.inherited && !directives.some(name => this.store.has([ name ]))) {
+			return this.store.get(key);
+		}
+
+		if (!this.merged) {
+			this.merged = new Node(copyValue(mergeValues(this.inherited || {}, omitDirectives(this.store.get()))));
+		}
+
+		return getValue(this.merged, key);
+	}
+
 	/**
 	 * Deeply merges an object into a layer's store.
 	 *
@@ -405,6 +555,7 @@ export default class Layer {
 		}
 		this.validate({ action: 'merge', value });
 		if ((!this.namespace || (value = value[this.namespace])) && typeof value === 'object') {
+			this.merged = null;
 			this.store.merge(value);
 		}
 		return this;
@@ -438,6 +589,38 @@ export default class Layer {
 		return this;
 	}
 
+	/**
+	 * Returns the path of the config file that defines a key. When the key is defined by both the
+	 * loaded file and the files it extends, the file with the highest precedence is returned.
+	 *
+	 * @param {Array.<String>} key - The key to look up.
+	 * @returns {String} The file path, `null` if the key is set but didn't come from a file, or
+	 * `undefined` if the key is not set.
+	 * @access public
+	 */
+	source(key) {
+		let nsKey = this.resolveKey(key);
+		if (nsKey === null) {
+			return;
+		}
+
+		const keys = this.namespace && this.store.keys();
+		if (keys && keys.length === 1 && keys[0] === this.namespace) {
+			// data is namespaced, so we need to add the namespace back
+			nsKey = [ this.namespace, ...nsKey ];
+		}
+
+		if (!(this.registry && directives.includes(nsKey[0])) && this.store.has(nsKey)) {
+			return this.file;
+		}
+
+		for (let i = this.bases.length - 1; i >= 0; i--) {
+			if (getValue(omitDirectives(this.bases[i].store.get()), nsKey) !== undefined) {
+				return this.bases[i].file;
+			}
+		}
+	}
+
 	/**
 	 * Sets a value for the specified key.
 	 *
@@ -457,6 +640,7 @@ export default class Layer {
 
 		this.validate({ action, key, value });
 		if (key = this.resolveKey(key)) {
+			this.merged = null;
 			const keys = this.namespace && this.store.keys();
 			if (keys && keys.length === 1 && keys[0] === this.namespace) {
 				// data is namespaced, so we need to add the namespace back
@@ -544,3 +728,113 @@ export default class Layer {
 		return this;
 	}
 }
+
+/**
+ * Returns a deep copy of a value with any nodes converted to plain objects and arrays. This
+ * allows the value to be wrapped in a new `Node` without adding it as a parent of the original
+ * nodes.
+ *
+ * @param {*} value - The value to copy.
+ * @returns {*}
+ */
+function copyValue(value) {
+	if (isScalar(value)) {
+		return value;
+	}
+
+	if (Array.isArray(value)) {
+		return value.map(copyValue);
+	}
+
+	const result = {};
+	for (const prop of Object.keys(value)) {
+		result[prop] = copyValue(value[prop]);
+	}
+	return result;
+}
+
+/**
+ * Returns a nested value from an object.
+ *
+ * @param {Object} obj - The object to walk.
+ * @param {Array.<String>} key - The key of the value.
+ * @returns {*}
+ */
+function getValue(obj, key) {
+	for (const prop of key) {
+		if (isScalar(obj) || Array.isArray(obj)) {
+			return;
+		}
+		obj = obj[prop];
+	}
+	return obj;
+}
+
+/**
+ * Deeply merges a value over a base value. Objects are merged and all other values replace the
+ * base value. Objects are copied so the base value is never modified.
+ *
+ * @param {*} base - The base value.
+ * @param {*} value - The value to merge over the base value.
+ * @returns {*}
+ */
+function mergeValues(base, value) {
+	if (value === undefined) {
+		return base;
+	}
+
+	if (isScalar(base) || Array.isArray(base) || isScalar(value) || Array.isArray(value)) {
+		return value;
+	}
+
+	const result = {};
+	for (const prop of Object.keys(base)) {
+		result[prop] = base[prop];
+	}
+	for (const prop of Object.keys(value)) {
+		result[prop] = mergeValues(base[prop], value[prop]);
+	}
+	return result;
+}
+
+/**
+ * Returns a shallow copy of a config file's data without the `extends` and `$include`
+ * directives.
+ *
+ * @param {*} data - The config file's data.
+ * @returns {*}
+ */
+function omitDirectives(data) {
+	if (isScalar(data) || Array.isArray(data) || !directives.some(name => Object.prototype.hasOwnProperty.call(data, name))) {
+		return data;
+	}
+
+	const result = {};
+	for (const prop of Object.keys(data)) {
+		if (!directives.includes(prop)) {
+			result[prop] = data[prop];
+		}
+	}
+	return result;
+}
+
+/**
+ * Resolves the path of an extended config file. Paths are resolved relative to the extending file
+ * and anything else is resolved as a package specifier.
+ *
+ * @param {String} spec - The path or package specifier.
+ * @param {String} file - The path of the extending config file.
+ * @param {Function} via - Returns the chain of config files for error messages.
+ * @returns {String} The resolved path.
+ */
+function resolveBase(spec, file, via) {
+	if (path.isAbsolute(spec) || /^\.\.?([\\/]|$)/.test(spec)) {
+		return path.resolve(path.dirname(file), spec);
+	}
+
+	try {
+		return createRequire(path.resolve(file)).resolve(spec);
+	} catch (e) {
+		throw new Error(`Unable to resolve "${spec}" ${via()}`);
+	}
+}
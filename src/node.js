@@ -1,4 +1,4 @@
-import { hashValue } from './util.js';
+import { hashValue, isScalar } from './util.js';
 
 /**
  * A node is value in an object. It wraps a the value in a proxy so that we can listen for when the
@@ -95,7 +95,7 @@ export default class Node {
 						continue;
 					}
 
-					if (node[key] && typeof node[key] === 'object') {
+					if (!isScalar(node[key])) {
 						if (!node[key]?.[Node.Meta]) {
 							node[key] = new cls(node[key], node);
 						}
@@ -210,10 +210,15 @@ export default class Node {
 				let result = true;
 
 				if (Object.prototype.hasOwnProperty.call(target, prop)) {
+					const value = target[prop];
 					// eslint-disable-next-line no-unused-expressions
-					target[prop]?.[Node.Meta]?.parents.delete(node);
+					value?.[Node.Meta]?.parents.delete(node);
 					result = delete target[prop];
 
+					if (result && typeof cls.onDelete === 'function') {
+						cls.onDelete({ internal, node, prop, target, value });
+					}
+
 					delete internal.hashes[prop];
 					internal.hash = hashValue(internal.hashes);
 
@@ -232,8 +237,21 @@ export default class Node {
 					if (additive || prop === 'pop' || prop === 'shift') {
 						return function (...args) {
 							internal.pause();
+							const { length } = target;
 							const result = Array.prototype[prop].apply(target, args);
 
+							if (typeof cls.onSplice === 'function') {
+								const deleteCount = additive ? 0 : length - target.length;
+								cls.onSplice({
+									internal,
+									node,
+									start:   prop === 'push' ? length : prop === 'pop' ? target.length : 0,
+									deleteCount,
+									items:   additive ? args : [],
+									removed: deleteCount ? [ result ] : []
+								});
+							}
+
 							internal.rehash();
 							internal.resume();
 
@@ -254,7 +272,20 @@ export default class Node {
 							}
 
 							const { hash } = internal;
+							const { length } = target;
 							const arr = Array.prototype.splice.call(target, start, deleteCount, ...items);
+
+							if (typeof cls.onSplice === 'function') {
+								start = Math.trunc(start) || 0;
+								cls.onSplice({
+									internal,
+									node,
+									start:       start < 0 ? Math.max(length + start, 0) : Math.min(start, length),
+									deleteCount: arr.length,
+									items,
+									removed:     arr
+								});
+							}
 							for (const item of arr) {
 								// eslint-disable-next-line no-unused-expressions
 								item?.[Node.Meta]?.parents.delete(node);
@@ -282,8 +313,9 @@ export default class Node {
 
 				let hash = null;
 				const desc = Object.getOwnPropertyDescriptor(target, prop);
+				const previous = desc?.value;
 
-				if (value && typeof value === 'object' && !(value instanceof Date) && value !== process.env && value !== JSON && value !== Math) {
+				if (!isScalar(value) && value !== process.env && value !== JSON && value !== Math) {
 					if (value[Node.Meta]) {
 						value[Node.Meta].parents.add(node);
 					} else {
@@ -313,7 +345,7 @@ export default class Node {
 				target[prop] = value;
 
 				if (typeof cls.onSet === 'function') {
-					cls.onSet({ internal, node, prop, target, value });
+					cls.onSet({ internal, node, prop, target, value, previous });
 				}
 
 				internal.hashes[prop] = hash;
@@ -386,7 +418,7 @@ export default class Node {
 
 				const srcValue = src[key];
 
-				if (srcValue !== null && typeof srcValue === 'object' && !Array.isArray(srcValue)) {
+				if (!isScalar(srcValue) && !Array.isArray(srcValue)) {
 					if (!dest[key]?.[Node.Meta]) {
 						dest[key] = {};
 					}
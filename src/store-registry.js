@@ -1,5 +1,6 @@
 import Store from './store.js';
 import snooplogg from 'snooplogg';
+import { arrayify, unique } from './util.js';
 
 const { log } = snooplogg('config-kit')('types');
 
@@ -15,7 +16,7 @@ export default class StoreRegistry {
 	types = {};
 
 	/**
-	 * Validates and registers a store type class by extension.
+	 * Validates and registers a store type class by each of its extensions.
 	 *
 	 * @param {Store} cls - The store type class to add.
 	 * @returns {TypesMap}
@@ -34,15 +35,50 @@ export default class StoreRegistry {
 			throw new TypeError(`Expected type "${cls.name}" to declare a non-empty string extension`);
 		}
 
-		if (this.types[cls.extension] === cls) {
-			log(`Store type "${cls.name}" already registered`);
-		} else {
-			this.types[cls.extension] = cls;
+		const exts = unique([ cls.extension, ...arrayify(cls.extensions) ]);
+		for (const ext of exts) {
+			if (!ext || typeof ext !== 'string') {
+				throw new TypeError(`Expected type "${cls.name}" extensions to be non-empty strings`);
+			}
+		}
+
+		for (const ext of exts) {
+			if (this.types[ext] === cls) {
+				log(`Store type "${cls.name}" already registered for "${ext}" files`);
+			} else {
+				this.types[ext] = cls;
+			}
 		}
 
 		return this;
 	}
 
+	/**
+	 * Detects the store type class for the contents of a file by calling the `detect()` function
+	 * declared by each registered store type. The most recently registered store types are tried
+	 * first. Returns `undefined` if no store type recognizes the contents.
+	 *
+	 * @param {Buffer|String} content - The file contents.
+	 * @returns {Store}
+	 * @access public
+	 */
+	detect(content) {
+		const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content));
+
+		for (const cls of unique(Object.values(this.types)).reverse()) {
+			if (Object.prototype.hasOwnProperty.call(cls, 'detect') && typeof cls.detect === 'function') {
+				try {
+					if (cls.detect(buffer)) {
+						log(`Detected store type "${cls.name}"`);
+						return cls;
+					}
+				} catch (e) {
+					log(`Store type "${cls.name}" failed to detect contents: ${e.message}`);
+				}
+			}
+		}
+	}
+
 	/**
 	 * Retrieves the store type class by extension. Returns `undefined` if not found.
 	 *
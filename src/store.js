@@ -6,12 +6,27 @@ import Joi from 'joi';
  * A base class for all store implemntations.
  */
 export default class Store {
+	/**
+	 * An optional function that is passed a `Buffer` with the contents of a file that doesn't have
+	 * a registered extension and returns `true` if this type of store can load it. Store types only
+	 * use a `detect()` they declare themselves, it is not inherited.
+	 * @type {Function}
+	 */
+	static detect = null;
+
 	/**
 	 * The file extension associated to this type of store.
 	 * @type {String}
 	 */
 	static extension = null;
 
+	/**
+	 * A list of all file extensions associated to this type of store. This is only needed when a
+	 * store supports more than the one `extension`.
+	 * @type {Array.<String>}
+	 */
+	static extensions = null;
+
 	/**
 	 * A Joi schema. The `Layer` will pass in the schema into the `schema` setter during
 	 * construction or when the schema is loaded.
@@ -19,10 +34,19 @@ export default class Store {
 	 */
 	_schema = null;
 
+	/**
+	 * When `true`, the data is saved regardless of the file's extension.
+	 * @type {Boolean}
+	 */
+	anyExtension = false;
+
 	/**
 	 * Initializes the store.
 	 *
 	 * @param {Object} [opts] - Various options.
+	 * @param {Boolean} [opts.anyExtension=false] - When `true`, saves files regardless of their
+	 * extension. This is used for files whose store type was detected from the contents or chosen
+	 * using the `format` load option, such as `.myapprc`.
 	 * @param {Boolean} [opts.applyOwner=true] - When `true`, determines the owner of the closest
 	 * existing parent directory and apply the owner to the file and any newly created directories.
 	 * @param {String} [opts.file] - The file backing this layer's store.
@@ -37,6 +61,7 @@ export default class Store {
 			throw new TypeError('Expected store options to be an object');
 		}
 
+		this.anyExtension = !!opts.anyExtension;
 		this.applyOwner = opts.applyOwner !== false;
 	}
 
@@ -0,0 +1,200 @@
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import snooplogg from 'snooplogg';
+import { coerce, findSchemaKey } from '../util.js';
+
+const { log } = snooplogg('config-kit')('argv-store');
+const { highlight } = snooplogg.styles;
+
+/**
+ * Exposes command line arguments as config values.
+ *
+ * Arguments in the form `--server.port=8080` or `--server.port 8080` set `server.port`. A flag
+ * without a value is set to `true` and a flag prefixed with `--no-` is set to `false`. Repeating a
+ * flag produces an array. Parsing stops at `--` and all positional arguments are ignored. When a
+ * schema is set, key segments are matched ignoring case, underscores, and dashes and the values
+ * are coerced by the key's schema.
+ *
+ * The config file flag (`--config-file` by default) is not mapped to a config value. Instead, the
+ * paths are collected in `configFiles` so that they can be loaded.
+ */
+export default class ArgvStore extends JSONStore {
+	/**
+	 * The paths passed in via the config file flag.
+	 * @type {Array.<String>}
+	 */
+	configFiles = [];
+
+	/**
+	 * Initializes the store.
+	 *
+	 * @param {Object} [opts] - Various options.
+	 * @param {Array.<String>} [opts.argv=process.argv.slice(2)] - The command line arguments.
+	 * @param {String} [opts.configFileFlag="config-file"] - The name of the flag for config files
+	 * to load.
+	 * @param {Object} [opts.schema] - A Joi schema used to resolve key names and coerce values.
+	 * @access public
+	 */
+	constructor(opts = {}) {
+		super(opts);
+
+		if (opts.argv !== undefined && (!Array.isArray(opts.argv) || opts.argv.some(arg => typeof arg !== 'string'))) {
+			throw new TypeError('Expected argv to be an array of strings');
+		}
+
+		if (opts.configFileFlag !== undefined && (!opts.configFileFlag || typeof opts.configFileFlag !== 'string')) {
+			throw new TypeError('Expected config file flag to be a non-empty string');
+		}
+
+		/**
+		 * The command line arguments.
+		 * @type {Array.<String>}
+		 */
+		this.argv = opts.argv || process.argv.slice(2);
+
+		/**
+		 * The name of the flag for config files to load.
+		 * @type {String}
+		 */
+		this.configFileFlag = opts.configFileFlag || 'config-file';
+
+		this.schema = opts.schema || null;
+	}
+
+	/**
+	 * Re-parses the command line arguments. This is called automatically when the schema changes.
+	 *
+	 * @returns {ArgvStore}
+	 * @access public
+	 */
+	refresh() {
+		const { argv } = this;
+		const configFiles = [];
+		const flags = new Map();
+
+		for (let i = 0; i < argv.length; i++) {
+			const arg = argv[i];
+			if (arg === '--') {
+				break;
+			}
+
+			const m = arg.match(/^--([^=]+)(?:=([\s\S]*))?$/);
+			if (!m) {
+				log(`Skipping argument: ${highlight(arg)}`);
+				continue;
+			}
+
+			let [ , name, value ] = m;
+
+			if (value === undefined && name.startsWith('no-') && name.length > 3) {
+				name = name.slice(3);
+				value = false;
+			}
+
+			const resolved = this.resolveFlag(name);
+			if (!resolved) {
+				log(`Skipping argument with invalid key: ${highlight(arg)}`);
+				continue;
+			}
+
+			if (value === undefined) {
+				const next = argv[i + 1];
+				if (resolved.schema?.type !== 'boolean' && next !== undefined && next !== '--' && (!next.startsWith('-') || /^-\d/.test(next))) {
+					value = next;
+					i++;
+				} else {
+					value = true;
+				}
+			}
+
+			if (name === this.configFileFlag) {
+				if (typeof value === 'string') {
+					configFiles.push(value);
+				}
+				continue;
+			}
+
+			const id = resolved.key.join('.');
+			if (flags.has(id)) {
+				flags.get(id).values.push(value);
+			} else {
+				flags.set(id, { ...resolved, values: [ value ] });
+			}
+		}
+
+		const data = {};
+
+		for (const { key, schema, values } of flags.values()) {
+			let obj = data;
+			for (let i = 0; i < key.length - 1; i++) {
+				if (typeof obj[key[i]] !== 'object' || Array.isArray(obj[key[i]])) {
+					obj[key[i]] = {};
+				}
+				obj = obj[key[i]];
+			}
+
+			const value = values.length > 1 || schema?.type === 'array' ? values : values[0];
+			obj[key[key.length - 1]] = coerce(value, schema);
+			log(`Mapped ${highlight(`--${key.join('.')}`)} to ${highlight(key.join('.'))}`);
+		}
+
+		this.configFiles = configFiles;
+
+		// rebuild the data in place so that existing watchers keep working
+		Node.pause(this.data);
+		for (const key of Object.keys(this.data)) {
+			delete this.data[key];
+		}
+		Node.merge(this.data, data);
+		Node.resume(this.data);
+
+		return this;
+	}
+
+	/**
+	 * Resolves a flag name into a key and the key's schema.
+	 *
+	 * @param {String} name - The flag name without the leading dashes.
+	 * @returns {Object} The `key` and `schema` or `undefined` if the name is not a valid key.
+	 * @access private
+	 */
+	resolveFlag(name) {
+		const segments = name.split('.');
+		if (segments.some(s => !s)) {
+			return;
+		}
+
+		let { schema } = this;
+		const key = segments.map(segment => {
+			const item = findSchemaKey(schema, segment);
+			schema = item?.schema;
+			return item ? item.key : segment;
+		});
+
+		return { key, schema };
+	}
+
+	/**
+	 * Command line arguments cannot be saved.
+	 *
+	 * @returns {Promise}
+	 * @access public
+	 */
+	async save() {
+		throw new Error('Saving command line arguments is unsupported');
+	}
+
+	/**
+	 * A Joi schema object.
+	 * @type {Object}
+	 * @access public
+	 */
+	get schema() {
+		return super.schema;
+	}
+
+	set schema(newSchema) {
+		super.schema = newSchema;
+		this.refresh();
+	}
+}
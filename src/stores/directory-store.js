@@ -0,0 +1,340 @@
+import fs from 'fs-extra';
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import StoreRegistry from '../store-registry.js';
+import { hashValue, isScalar } from '../util.js';
+
+const { log } = snooplogg('config-kit')('directory-store');
+const { highlight } = snooplogg.styles;
+
+/**
+ * Loads every supported config file in a directory, such as a `conf.d` directory of drop-in config
+ * fragments, as a single store.
+ *
+ * The files are loaded in lexical order using the store registry to pick the store type by file
+ * extension and deep merged so that files sorting later take precedence. Hidden files and files
+ * with unsupported extensions are skipped.
+ *
+ * When saving, each value is written to the file that defines it. Values not defined by any file
+ * are written to the overflow file.
+ */
+export default class DirectoryStore extends JSONStore {
+	/**
+	 * The path of the loaded directory.
+	 * @type {String}
+	 */
+	dir = null;
+
+	/**
+	 * The loaded files and their stores in the order they were loaded.
+	 * @type {Array.<Object>}
+	 */
+	files = [];
+
+	/**
+	 * Initializes the store.
+	 *
+	 * @param {Object} opts - Various options.
+	 * @param {Object} [opts.data] - A data object to initialize the store with.
+	 * @param {String} [opts.overflowFile] - The file, relative to the directory, to save values
+	 * that are not defined by any file. The extension determines the store type.
+	 * @param {StoreRegistry} opts.registry - The store registry used to pick the store type for
+	 * each file.
+	 * @access public
+	 */
+	constructor(opts = {}) {
+		super(opts);
+
+		if (!(opts.registry instanceof StoreRegistry)) {
+			throw new TypeError('Expected registry to be a StoreRegistry instance');
+		}
+
+		if (opts.overflowFile !== undefined && (!opts.overflowFile || typeof opts.overflowFile !== 'string')) {
+			throw new TypeError('Expected overflow file to be a non-empty string');
+		}
+
+		/**
+		 * The file to save values that are not defined by any file.
+		 * @type {String}
+		 */
+		this.overflowFile = opts.overflowFile || null;
+
+		/**
+		 * The store registry used to pick the store type for each file.
+		 * @type {StoreRegistry}
+		 */
+		this.registry = opts.registry;
+	}
+
+	/**
+	 * Creates a store for a file based on the file's extension.
+	 *
+	 * @param {String} file - The path to the config file.
+	 * @returns {Store} The store or `undefined` if the file type is not supported.
+	 * @access private
+	 */
+	createStore(file) {
+		const StoreClass = this.registry.get(path.extname(file));
+		if (StoreClass) {
+			const store = new StoreClass({ applyOwner: this.applyOwner });
+			if (this._schema) {
+				store.schema = this._schema;
+			}
+			return store;
+		}
+	}
+
+	/**
+	 * Loads all supported config files in a directory.
+	 *
+	 * @param {String} dir - The path to the directory to load.
+	 * @returns {Promise} Resolves this `DirectoryStore` instance.
+	 * @access public
+	 */
+	async load(dir) {
+		if (!await fs.pathExists(dir)) {
+			const err = new Error(`Directory not found: ${dir}`);
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		if (!(await fs.stat(dir)).isDirectory()) {
+			const err = new Error(`Not a directory: ${dir}`);
+			err.code = 'ENOTDIR';
+			throw err;
+		}
+
+		const files = [];
+
+		log(`Loading directory ${highlight(dir)}`);
+		for (const name of (await fs.readdir(dir)).sort()) {
+			const file = path.join(dir, name);
+			const store = name[0] !== '.' && (await fs.stat(file)).isFile() && this.createStore(file);
+			if (!store) {
+				log(`Skipping ${highlight(file)}`);
+				continue;
+			}
+
+			await store.load(file);
+			files.push({ file, store });
+
+			const data = store.get();
+			if (data && typeof data === 'object') {
+				Node.merge(this.data, clone(data));
+			}
+		}
+
+		this.dir = dir;
+		this.files = files;
+
+		return this;
+	}
+
+	/**
+	 * Saves changed values back to the files that define them. Values that are not defined by any
+	 * file are saved to the overflow file. Deleted values are removed from every file that defines
+	 * them.
+	 *
+	 * @param {String} dir - The directory to save the files to. When this is not the loaded
+	 * directory, every file is written to it.
+	 * @returns {Promise} Resolves this `DirectoryStore` instance.
+	 * @access public
+	 */
+	async save(dir) {
+		if (!dir || typeof dir !== 'string') {
+			throw new TypeError('Expected config directory path to be a string');
+		}
+
+		const base = this.dir || dir;
+		const dirty = new Set();
+		const data = this.get() || {};
+		const current = new Set(Array.from(leaves(data), key => JSON.stringify(key)));
+
+		// map each key to the last file defining it
+		const owners = new Map();
+		for (const entry of this.files) {
+			for (const key of keys(entry.store.get())) {
+				owners.set(JSON.stringify(key), entry);
+			}
+		}
+
+		// remove deleted values, but leave values that have been overridden by a different type
+		for (const entry of this.files) {
+			for (const key of Array.from(leaves(entry.store.get()))) {
+				if (!current.has(JSON.stringify(key)) && !isOverridden(key, current)) {
+					log(`Deleting ${highlight(key.join('.'))} from ${highlight(entry.file)}`);
+					entry.store.delete(key);
+					dirty.add(entry);
+				}
+			}
+		}
+
+		for (const key of leaves(data)) {
+			const value = key.reduce((obj, prop) => obj[prop], data);
+			const entry = findOwner(key, owners) || await this.getOverflowEntry(key, base);
+
+			if (hashValue(entry.store.get(key)) !== hashValue(value)) {
+				log(`Setting ${highlight(key.join('.'))} in ${highlight(entry.file)}`);
+				entry.store.set(key, clone(value));
+				dirty.add(entry);
+			}
+		}
+
+		const relocate = path.resolve(dir) !== path.resolve(base);
+		for (const entry of this.files) {
+			if (relocate || dirty.has(entry)) {
+				await entry.store.save(path.join(dir, path.relative(base, entry.file)));
+			}
+		}
+
+		return this;
+	}
+
+	/**
+	 * Returns the overflow file entry. If the overflow file was not loaded with the directory, its
+	 * store is created and the file is loaded if it exists.
+	 *
+	 * @param {Array.<String>} key - The key being saved, used for the error message.
+	 * @param {String} dir - The directory the overflow file is relative to.
+	 * @returns {Promise} Resolves the file entry.
+	 * @access private
+	 */
+	async getOverflowEntry(key, dir) {
+		if (!this.overflowFile) {
+			throw new Error(`Unable to save "${key.join('.')}" because no file defines it and no overflow file is configured`);
+		}
+
+		const file = path.resolve(dir, this.overflowFile);
+		let entry = this.files.find(entry => path.resolve(entry.file) === file);
+
+		if (!entry) {
+			const store = this.createStore(file);
+			if (!store) {
+				throw new Error(`Unsupported overflow file type "${path.extname(file) || path.basename(file)}"`);
+			}
+			if (fs.existsSync(file)) {
+				await store.load(file);
+			}
+			entry = { file, store };
+			this.files.push(entry);
+		}
+
+		return entry;
+	}
+
+	/**
+	 * A Joi schema object.
+	 * @type {Object}
+	 * @access public
+	 */
+	get schema() {
+		return super.schema;
+	}
+
+	set schema(newSchema) {
+		super.schema = newSchema;
+		for (const { store } of this.files) {
+			store.schema = newSchema;
+		}
+	}
+}
+
+/**
+ * Deeply copies objects and arrays so that merged values aren't shared between stores.
+ *
+ * @param {*} value - The value to copy.
+ * @returns {*}
+ */
+function clone(value) {
+	if (isScalar(value)) {
+		return value;
+	}
+	if (Array.isArray(value)) {
+		return value.map(clone);
+	}
+	const obj = {};
+	for (const key of Object.keys(value)) {
+		obj[key] = clone(value[key]);
+	}
+	return obj;
+}
+
+/**
+ * Finds the file entry that should save a value. This is the last file defining the key or, if no
+ * file defines the key, the last file defining the closest parent key.
+ *
+ * @param {Array.<String>} key - The key.
+ * @param {Map} owners - A map of encoded keys to the last file entry defining them.
+ * @returns {Object} The file entry or `undefined` if not found.
+ */
+function findOwner(key, owners) {
+	for (let i = key.length; i > 0; i--) {
+		const entry = owners.get(JSON.stringify(key.slice(0, i)));
+		if (entry) {
+			return entry;
+		}
+	}
+}
+
+/**
+ * Determines if a key that is no longer set was replaced by a parent or nested key.
+ *
+ * @param {Array.<String>} key - The key.
+ * @param {Set} current - A set of encoded keys of the values currently set.
+ * @returns {Boolean}
+ */
+function isOverridden(key, current) {
+	for (let i = key.length - 1; i > 0; i--) {
+		if (current.has(JSON.stringify(key.slice(0, i)))) {
+			return true;
+		}
+	}
+
+	const prefix = JSON.stringify(key).slice(0, -1);
+	for (const other of current) {
+		if (other.startsWith(`${prefix},`)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Walks an object and yields the key of every nested value including objects.
+ *
+ * @param {*} value - The value to walk.
+ * @param {Array.<String>} [key] - The key of the value.
+ * @yields {Array.<String>} A key.
+ */
+function* keys(value, key = []) {
+	if (key.length) {
+		yield key;
+	}
+	if (!isScalar(value) && !Array.isArray(value)) {
+		for (const prop of Object.keys(value)) {
+			yield* keys(value[prop], [ ...key, prop ]);
+		}
+	}
+}
+
+/**
+ * Walks an object and yields the key of each value that is a scalar, an array, or an empty
+ * object.
+ *
+ * @param {*} value - The value to walk.
+ * @param {Array.<String>} [key] - The key of the value.
+ * @yields {Array.<String>} A key.
+ */
+function* leaves(value, key = []) {
+	if (isScalar(value) || Array.isArray(value) || !Object.keys(value).length) {
+		if (key.length && value !== undefined) {
+			yield key;
+		}
+		return;
+	}
+	for (const prop of Object.keys(value)) {
+		yield* leaves(value[prop], [ ...key, prop ]);
+	}
+}
@@ -0,0 +1,344 @@
+import fs from 'fs-extra';
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import { detectLineEndings, isScalar } from '../util.js';
+import { move, writeFile } from '../fsutil.js';
+
+const { log } = snooplogg('config-kit')('dotenv-store');
+const { highlight } = snooplogg.styles;
+
+const commentRE = /^\s*#/;
+const entryRE   = /^(\s*(?:export\s+)?)([A-Za-z_][\w.-]*)(\s*=\s*)(.*)$/;
+
+/**
+ * Loads `.env` config files.
+ *
+ * Variable names are split on the `separator` and lowercased so that `FOO__BAR=baz` is mapped to
+ * `foo.bar`. Values may be unquoted, single quoted, or double quoted. Double quoted values support
+ * escape sequences and both quoted forms may span multiple lines. Since environment variables are
+ * always strings, values are not cast. The original lines are retained so that comments and
+ * ordering are preserved when the file is saved.
+ */
+export default class DotEnvStore extends JSONStore {
+	/**
+	 * The file extension associated to this type of store.
+	 * @type {String}
+	 */
+	static extension = '.env';
+
+	/**
+	 * The parsed lines of the loaded file.
+	 * @type {Array.<Object>}
+	 */
+	lines = [];
+
+	/**
+	 * The line ending to write.
+	 * @type {String}
+	 */
+	lineEnding = '\n';
+
+	/**
+	 * When `true`, the file ends with a line ending.
+	 * @type {Boolean}
+	 */
+	trailingLineEnding = true;
+
+	/**
+	 * Initializes the store.
+	 *
+	 * @param {Object} [opts] - Various options.
+	 * @param {Object} [opts.data] - A data object to initialize the store with.
+	 * @param {String} [opts.separator="__"] - The string that separates nested key segments in
+	 * variable names.
+	 * @access public
+	 */
+	constructor(opts = {}) {
+		super(opts);
+
+		if (opts.separator !== undefined && (!opts.separator || typeof opts.separator !== 'string')) {
+			throw new TypeError('Expected separator to be a non-empty string');
+		}
+
+		/**
+		 * The string that separates nested key segments in variable names.
+		 * @type {String}
+		 */
+		this.separator = opts.separator || '__';
+	}
+
+	/**
+	 * Loads a config file.
+	 *
+	 * @param {String} file - The path to the config file to load.
+	 * @returns {Promise} Resolves this `DotEnvStore` instance.
+	 * @access public
+	 */
+	async load(file) {
+		if (!fs.existsSync(file)) {
+			const err = new Error(`File not found: ${file}`);
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		let content;
+
+		log(`Loading ${highlight(file)}`);
+		try {
+			content = await fs.readFile(file, 'utf8');
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		const { data, lines } = parse(content, this.separator);
+
+		Node.merge(this.data, data);
+
+		this.lines              = lines;
+		this.lineEnding         = detectLineEndings(content);
+		this.trailingLineEnding = !content || /[\r\n]$/.test(content);
+
+		return this;
+	}
+
+	/**
+	 * Saves the data to disk.
+	 *
+	 * @param {String} file - The filename to save the data to.
+	 * @returns {Promise} Resolves this `DotEnvStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (!file || typeof file !== 'string') {
+			throw new TypeError('Expected config file path to be a string');
+		}
+
+		const ext = path.extname(file) || path.basename(file);
+		if (!this.anyExtension && ext !== DotEnvStore.extension) {
+			throw new Error(`Expected dotenv config file to have "${DotEnvStore.extension}" extension, found "${ext}"`);
+		}
+
+		const tmpFile = `${file}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, this.toString(), { applyOwner: this.applyOwner });
+		await move(tmpFile, file, { applyOwner: this.applyOwner });
+		log(`Wrote config file: ${highlight(file)}`);
+
+		return this;
+	}
+
+	/**
+	 * Returns the data as `.env` formatted variables. Lines from the loaded file are reused for
+	 * values that have not changed and new variables are appended to the end.
+	 *
+	 * @returns {String}
+	 * @access public
+	 */
+	toString() {
+		const values = flatten(this.data);
+		const written = new Set();
+		const out = [];
+		const prefix = this.lines.find(line => line.type === 'entry')?.prefix.trim() ? 'export ' : '';
+
+		for (const line of this.lines) {
+			if (line.type !== 'entry') {
+				out.push(line.raw);
+				continue;
+			}
+
+			const id = line.key.join('\0');
+			if (!values.has(id) || written.has(id)) {
+				continue;
+			}
+			written.add(id);
+
+			const value = values.get(id);
+			if (value === line.value) {
+				out.push(...line.raw.split('\n'));
+			} else {
+				out.push(`${line.prefix}${line.name}${line.assign}${formatValue(value, line.quote)}`);
+			}
+		}
+
+		for (const [ id, value ] of values) {
+			if (!written.has(id)) {
+				const name = id.split('\0').map(s => s.toUpperCase()).join(this.separator);
+				out.push(`${prefix}${name}=${formatValue(value)}`);
+			}
+		}
+
+		if (!out.length) {
+			return '';
+		}
+
+		return out.join(this.lineEnding) + (this.trailingLineEnding ? this.lineEnding : '');
+	}
+}
+
+/**
+ * Flattens an object into a map of keys joined by a null character and their string values.
+ *
+ * @param {Object} data - The data to flatten.
+ * @returns {Map}
+ */
+function flatten(data) {
+	const values = new Map();
+
+	(function walk(obj, key) {
+		for (const [ prop, value ] of Object.entries(obj)) {
+			if (value === undefined) {
+				continue;
+			}
+			if (isScalar(value) || Array.isArray(value)) {
+				values.set([ ...key, prop ].join('\0'), toEnvString(value));
+			} else {
+				walk(value, [ ...key, prop ]);
+			}
+		}
+	}(data, []));
+
+	return values;
+}
+
+/**
+ * Formats a value so that it is parsed back to the same string.
+ *
+ * @param {String} value - The value to format.
+ * @param {String} [quote] - The quote character the value was originally wrapped in.
+ * @returns {String}
+ */
+function formatValue(value, quote) {
+	if (quote === '\'' && !/['\r\n]/.test(value)) {
+		return `'${value}'`;
+	}
+
+	if (quote === '"' || /[\s#"'\\]/.test(value)) {
+		return `"${value
+			.replace(/\\/g, '\\\\')
+			.replace(/"/g, '\\"')
+			.replace(/\n/g, '\\n')
+			.replace(/\r/g, '\\r')}"`;
+	}
+
+	return value;
+}
+
+/**
+ * Parses the contents of a `.env` file.
+ *
+ * @param {String} content - The `.env` file contents.
+ * @param {String} separator - The string that separates nested key segments in variable names.
+ * @returns {Object} The parsed `data` and an array of `lines`.
+ */
+function parse(content, separator) {
+	const data = {};
+	const lines = [];
+	const rawLines = content.split(/\r\n|\r|\n/);
+
+	if (rawLines[rawLines.length - 1] === '') {
+		// the file ends with a line ending
+		rawLines.pop();
+	}
+
+	for (let i = 0; i < rawLines.length; i++) {
+		let raw = rawLines[i];
+		let m;
+
+		if (!raw.trim()) {
+			lines.push({ type: 'blank', raw });
+			continue;
+		}
+
+		if (commentRE.test(raw)) {
+			lines.push({ type: 'comment', raw });
+			continue;
+		}
+
+		if (!(m = raw.match(entryRE))) {
+			throw new Error(`Failed to load config file: Invalid entry on line ${i + 1}: ${raw}`);
+		}
+
+		const [ , prefix, name, assign ] = m;
+		let rest = m[4];
+		let quote = null;
+		let value;
+
+		if (rest[0] === '"' || rest[0] === '\'') {
+			quote = rest[0];
+			const start = i;
+			let end;
+
+			// quoted values may span multiple lines
+			while ((end = findClosingQuote(rest, quote)) === -1) {
+				if (++i >= rawLines.length) {
+					throw new Error(`Failed to load config file: Unterminated quoted value on line ${start + 1}`);
+				}
+				raw += `\n${rawLines[i]}`;
+				rest += `\n${rawLines[i]}`;
+			}
+
+			value = rest.slice(1, end);
+			if (quote === '"') {
+				value = value.replace(/\\([nrt"\\])/g, (s, c) => ({ n: '\n', r: '\r', t: '\t' })[c] || c);
+			}
+		} else {
+			value = rest.replace(/(^|\s+)#.*$/, '').trim();
+		}
+
+		let key = name.split(separator).filter(Boolean).map(s => s.toLowerCase());
+		if (!key.length) {
+			key = [ name.toLowerCase() ];
+		}
+		let obj = data;
+		for (const segment of key.slice(0, -1)) {
+			if (isScalar(obj[segment])) {
+				obj[segment] = {};
+			}
+			obj = obj[segment];
+		}
+		obj[key[key.length - 1]] = value;
+
+		lines.push({ type: 'entry', raw, assign, key, name, prefix, quote, value });
+	}
+
+	return { data, lines };
+}
+
+/**
+ * Finds the index of the quote that closes a quoted value.
+ *
+ * @param {String} str - The value starting with the opening quote.
+ * @param {String} quote - The quote character.
+ * @returns {Number} The index of the closing quote or `-1` if not found.
+ */
+function findClosingQuote(str, quote) {
+	for (let i = 1; i < str.length; i++) {
+		if (quote === '"' && str[i] === '\\') {
+			i++;
+		} else if (str[i] === quote) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Converts a config value to the string that will be written to the `.env` file.
+ *
+ * @param {*} value - The value to convert.
+ * @returns {String}
+ */
+function toEnvString(value) {
+	if (value === null) {
+		return '';
+	}
+	if (value instanceof Date) {
+		return value.toISOString();
+	}
+	if (typeof value === 'object') {
+		return JSON.stringify(value);
+	}
+	return String(value);
+}
@@ -0,0 +1,143 @@
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import snooplogg from 'snooplogg';
+import { coerce, findSchemaKey } from '../util.js';
+
+const { log } = snooplogg('config-kit')('env-store');
+const { highlight } = snooplogg.styles;
+
+/**
+ * Exposes environment variables that begin with a prefix as config values.
+ *
+ * The prefix is removed and the remainder is split on the `separator` so that `MYAPP_SERVER__PORT`
+ * with the prefix `MYAPP_` is mapped to `server.port`. Segments are lowercased unless a schema
+ * defines a matching key, in which case the key is matched ignoring case, underscores, and dashes
+ * (e.g. `LOG_LEVEL` matches `logLevel`) and the value is coerced by the key's schema.
+ */
+export default class EnvStore extends JSONStore {
+	/**
+	 * Initializes the store.
+	 *
+	 * @param {Object} opts - Various options.
+	 * @param {Object} [opts.env=process.env] - The environment variables to map.
+	 * @param {String} opts.prefix - The prefix of the environment variable names to map.
+	 * @param {Object} [opts.schema] - A Joi schema used to resolve key names and coerce values.
+	 * @param {String} [opts.separator="__"] - The string that separates nested key segments in
+	 * variable names.
+	 * @access public
+	 */
+	constructor(opts = {}) {
+		super(opts);
+
+		if (!opts.prefix || typeof opts.prefix !== 'string') {
+			throw new TypeError('Expected prefix to be a non-empty string');
+		}
+
+		if (opts.separator !== undefined && (!opts.separator || typeof opts.separator !== 'string')) {
+			throw new TypeError('Expected separator to be a non-empty string');
+		}
+
+		if (opts.env !== undefined && (!opts.env || typeof opts.env !== 'object')) {
+			throw new TypeError('Expected env to be an object');
+		}
+
+		/**
+		 * The environment variables to map.
+		 * @type {Object}
+		 */
+		this.env = opts.env || process.env;
+
+		/**
+		 * The prefix of the environment variable names to map.
+		 * @type {String}
+		 */
+		this.prefix = opts.prefix;
+
+		/**
+		 * The string that separates nested key segments in variable names.
+		 * @type {String}
+		 */
+		this.separator = opts.separator || '__';
+
+		this.schema = opts.schema || null;
+	}
+
+	/**
+	 * Re-maps the environment variables to config values. This is called automatically when the
+	 * schema changes.
+	 *
+	 * @returns {EnvStore}
+	 * @access public
+	 */
+	refresh() {
+		const prefix = this.prefix.toUpperCase();
+		const data = {};
+
+		for (const name of Object.keys(this.env).sort()) {
+			if (name.length <= prefix.length || !name.toUpperCase().startsWith(prefix)) {
+				continue;
+			}
+
+			const segments = name.slice(prefix.length).split(this.separator);
+			if (segments.some(s => !s)) {
+				log(`Skipping environment variable with empty key segment: ${highlight(name)}`);
+				continue;
+			}
+
+			let schema = this.schema;
+			let obj = data;
+			const key = [];
+
+			for (let i = 0; i < segments.length; i++) {
+				const item = findSchemaKey(schema, segments[i]);
+				const segment = item ? item.key : segments[i].toLowerCase();
+				schema = item?.schema;
+				key.push(segment);
+
+				if (i + 1 < segments.length) {
+					if (typeof obj[segment] !== 'object') {
+						obj[segment] = {};
+					}
+					obj = obj[segment];
+				} else {
+					obj[segment] = coerce(this.env[name], schema);
+					log(`Mapped ${highlight(name)} to ${highlight(key.join('.'))}`);
+				}
+			}
+		}
+
+		// rebuild the data in place so that existing watchers keep working
+		Node.pause(this.data);
+		for (const key of Object.keys(this.data)) {
+			delete this.data[key];
+		}
+		Node.merge(this.data, data);
+		Node.resume(this.data);
+
+		return this;
+	}
+
+	/**
+	 * Environment variables cannot be saved.
+	 *
+	 * @returns {Promise}
+	 * @access public
+	 */
+	async save() {
+		throw new Error('Saving environment variables is unsupported');
+	}
+
+	/**
+	 * A Joi schema object.
+	 * @type {Object}
+	 * @access public
+	 */
+	get schema() {
+		return super.schema;
+	}
+
+	set schema(newSchema) {
+		super.schema = newSchema;
+		this.refresh();
+	}
+}
@@ -0,0 +1,409 @@
+import fs from 'fs-extra';
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import { cast } from './xml/util.js';
+import { detectLineEndings, hashValue, isScalar } from '../util.js';
+import { move, writeFile } from '../fsutil.js';
+
+const { log } = snooplogg('config-kit')('ini-store');
+const { highlight } = snooplogg.styles;
+
+const commentRE       = /^\s*[;#]/;
+const entryRE         = /^(\s*)([^=\s[\]][^=]*?)(\[\])?(\s*=\s*)(.*?)\s*$/;
+const flagRE          = /^(\s*)([^=\s[\]][^=]*?)(\[\])?\s*$/;
+const inlineCommentRE = /^("(?:[^"\\]|\\.)*"|'[^']*'|.*?)(?:\s+[;#].*)?$/;
+const sectionRE       = /^\s*\[([^\]]*)\]\s*$/;
+
+/**
+ * Loads `.ini` and `.cfg` config files.
+ *
+ * `[section]` and `[section.sub]` headers map to nested keys, values are cast using the same rules
+ * as XML values, and repeated `key[]` entries are combined into an array. A `;` or `#` preceded by
+ * whitespace starts an inline comment unless it's inside a quoted value. The original lines are
+ * retained so that comments and ordering are preserved when the file is saved.
+ */
+export default class IniStore extends JSONStore {
+	/**
+	 * The file extension associated to this type of store.
+	 * @type {String}
+	 */
+	static extension = '.ini';
+
+	/**
+	 * A list of all file extensions associated to this type of store.
+	 * @type {Array.<String>}
+	 */
+	static extensions = [ '.ini', '.cfg' ];
+
+	/**
+	 * Determines if the contents of a file only contains INI sections, `key = value` entries, and
+	 * comments. At least one section is required since plain `key = value` lines are also used by
+	 * many other formats.
+	 *
+	 * @param {Buffer} buffer - The file contents.
+	 * @returns {Boolean}
+	 * @access public
+	 */
+	static detect(buffer) {
+		let found = false;
+		for (const line of buffer.toString('utf8').split(/\r\n|\r|\n/)) {
+			if (sectionRE.test(line)) {
+				found = true;
+			} else if (line.trim() && !entryRE.test(line) && !commentRE.test(line)) {
+				return false;
+			}
+		}
+		return found;
+	}
+
+	/**
+	 * The parsed lines of the loaded file.
+	 * @type {Array.<Object>}
+	 */
+	lines = [];
+
+	/**
+	 * The line ending to write.
+	 * @type {String}
+	 */
+	lineEnding = '\n';
+
+	/**
+	 * When `true`, the file ends with a line ending.
+	 * @type {Boolean}
+	 */
+	trailingLineEnding = true;
+
+	/**
+	 * The text between a key and its value for new entries.
+	 * @type {String}
+	 */
+	separator = ' = ';
+
+	/**
+	 * Loads a config file.
+	 *
+	 * @param {String} file - The path to the config file to load.
+	 * @returns {Promise} Resolves this `IniStore` instance.
+	 * @access public
+	 */
+	async load(file) {
+		if (!fs.existsSync(file)) {
+			const err = new Error(`File not found: ${file}`);
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		let content;
+
+		log(`Loading ${highlight(file)}`);
+		try {
+			content = await fs.readFile(file, 'utf8');
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		const { data, lines } = parse(content);
+
+		Node.merge(this.data, data);
+
+		this.lines              = lines;
+		this.lineEnding         = detectLineEndings(content);
+		this.separator          = lines.find(line => line.type === 'entry' && line.separator)?.separator || ' = ';
+		this.trailingLineEnding = !content || /[\r\n]$/.test(content);
+
+		return this;
+	}
+
+	/**
+	 * Saves the data to disk.
+	 *
+	 * @param {String} file - The filename to save the data to.
+	 * @returns {Promise} Resolves this `IniStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (!file || typeof file !== 'string') {
+			throw new TypeError('Expected config file path to be a string');
+		}
+
+		const ext = path.extname(file);
+		if (!this.anyExtension && !IniStore.extensions.includes(ext)) {
+			throw new Error(`Expected INI config file to have "${IniStore.extensions.join('" or "')}" extension, found "${ext}"`);
+		}
+
+		const tmpFile = `${file}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, this.toString(), { applyOwner: this.applyOwner });
+		await move(tmpFile, file, { applyOwner: this.applyOwner });
+		log(`Wrote config file: ${highlight(file)}`);
+
+		return this;
+	}
+
+	/**
+	 * Returns the data as an INI-encoded string. Lines from the loaded file are reused for values
+	 * that have not changed and new values are appended to the end of their section.
+	 *
+	 * @returns {String}
+	 * @access public
+	 */
+	toString() {
+		const sections = flatten(this.data);
+		const written = new Set();
+		const out = [];
+		let separate = false;
+		const blocks = [ { lines: [], section: '' } ];
+
+		for (const line of this.lines) {
+			if (line.type === 'section') {
+				blocks.push({ header: line, lines: [], section: line.section.join('.') });
+			} else {
+				blocks[blocks.length - 1].lines.push(line);
+			}
+		}
+
+		const appendEntries = (section, dest) => {
+			for (const [ key, value ] of sections.get(section) || []) {
+				if (!written.has(`${section}\0${key}`)) {
+					written.add(`${section}\0${key}`);
+					dest.push(...formatEntry(key, value, this.separator));
+				}
+			}
+		};
+
+		for (const { header, lines, section } of blocks) {
+			const entries = new Map(sections.get(section));
+			const hadEntries = lines.some(line => line.type === 'entry');
+			const keepsEntries = lines.some(line => line.type === 'entry' && entries.has(line.key));
+
+			if (header && hadEntries && !keepsEntries) {
+				// every value in this section was removed, so drop the entire section along with the
+				// blank lines that separated it from the previous section
+				while (out.length && !out[out.length - 1].trim()) {
+					out.pop();
+				}
+				separate = out.length > 0;
+				continue;
+			}
+
+			if (separate && header) {
+				out.push('');
+			}
+			separate = false;
+
+			const dest = header ? [ header.raw ] : [];
+
+			for (const line of lines) {
+				if (line.type !== 'entry') {
+					dest.push(line.raw);
+					continue;
+				}
+
+				const id = `${section}\0${line.key}`;
+				if (!entries.has(line.key) || written.has(id)) {
+					// the value was deleted or it's an array that has already been written
+					continue;
+				}
+				written.add(id);
+
+				const value = entries.get(line.key);
+				const separator = line.separator || this.separator;
+
+				if (!line.array && hashValue(value) === hashValue(line.value)) {
+					dest.push(line.raw);
+				} else {
+					dest.push(...formatEntry(line.key, value, separator, line.indent));
+				}
+			}
+
+			// insert new entries before any trailing blank lines
+			let p = dest.length;
+			while (p > (header ? 1 : 0) && !dest[p - 1].trim()) {
+				p--;
+			}
+			const added = [];
+			appendEntries(section, added);
+			dest.splice(p, 0, ...added);
+			if (!header && added.length && p === dest.length - added.length && blocks.length > 1) {
+				// separate new top-level values from the first section
+				dest.push('');
+			}
+
+			out.push(...dest);
+		}
+
+		for (const section of sections.keys()) {
+			const added = [];
+			appendEntries(section, added);
+			if (added.length) {
+				if (out.length && out[out.length - 1].trim()) {
+					out.push('');
+				}
+				out.push(`[${section}]`, ...added);
+			}
+		}
+
+		if (!out.length) {
+			return '';
+		}
+
+		return out.join(this.lineEnding) + (this.trailingLineEnding ? this.lineEnding : '');
+	}
+}
+
+/**
+ * Flattens an object into a map of section names to a map of keys and values.
+ *
+ * @param {Object} data - The data to flatten.
+ * @returns {Map}
+ */
+function flatten(data) {
+	const sections = new Map();
+
+	(function walk(obj, section) {
+		const entries = [];
+		const children = [];
+
+		for (const [ key, value ] of Object.entries(obj)) {
+			if (isScalar(value) || Array.isArray(value)) {
+				entries.push([ key, value ]);
+			} else {
+				children.push([ key, value ]);
+			}
+		}
+
+		if (entries.length) {
+			sections.set(section.join('.'), entries);
+		}
+
+		for (const [ key, value ] of children) {
+			walk(value, [ ...section, key ]);
+		}
+	}(data, []));
+
+	return sections;
+}
+
+/**
+ * Formats a key and value into one or more lines.
+ *
+ * @param {String} key - The key name.
+ * @param {*} value - The value. Arrays are written as repeated `key[]` entries.
+ * @param {String} separator - The text between the key and the value.
+ * @param {String} [indent] - Whitespace to prefix the line with.
+ * @returns {Array.<String>}
+ */
+function formatEntry(key, value, separator, indent = '') {
+	if (Array.isArray(value)) {
+		return value.map(item => `${indent}${key}[]${separator}${formatValue(item)}`);
+	}
+	return [ `${indent}${key}${separator}${formatValue(value)}` ];
+}
+
+/**
+ * Formats a value so that it casts back to the same value when loaded.
+ *
+ * @param {*} value - The value to format.
+ * @returns {String}
+ */
+function formatValue(value) {
+	if (value instanceof Date) {
+		return value.toISOString();
+	}
+
+	if (value && typeof value === 'object') {
+		return JSON.stringify(value);
+	}
+
+	if (typeof value === 'string' && (cast(value) !== value || value !== value.trim() || /^["']|[\r\n]|\s[;#]/.test(value))) {
+		return JSON.stringify(value);
+	}
+
+	return String(value);
+}
+
+/**
+ * Parses the contents of an INI file.
+ *
+ * @param {String} content - The INI file contents.
+ * @returns {Object} The parsed `data` and an array of `lines`.
+ */
+function parse(content) {
+	const data = {};
+	const lines = [];
+	let section = [];
+
+	const resolve = () => {
+		let obj = data;
+		for (const segment of section) {
+			if (isScalar(obj[segment]) || Array.isArray(obj[segment])) {
+				obj[segment] = {};
+			}
+			obj = obj[segment];
+		}
+		return obj;
+	};
+
+	const rawLines = content.split(/\r\n|\r|\n/);
+	if (rawLines[rawLines.length - 1] === '') {
+		// the file ends with a line ending
+		rawLines.pop();
+	}
+
+	for (let i = 0; i < rawLines.length; i++) {
+		const raw = rawLines[i];
+		let m;
+
+		if (!raw.trim()) {
+			lines.push({ type: 'blank', raw });
+		} else if (commentRE.test(raw)) {
+			lines.push({ type: 'comment', raw });
+		} else if (m = raw.match(sectionRE)) {
+			section = m[1].split('.').map(s => s.trim()).filter(Boolean);
+			lines.push({ type: 'section', raw, section });
+			resolve();
+		} else if ((m = raw.match(entryRE)) || (m = raw.match(flagRE))) {
+			const [ , indent, name, array ] = m;
+			const separator = m.length > 4 ? m[4] : '';
+			const key = name.trim();
+			const value = m.length > 4 ? parseValue(m[5]) : true;
+			const obj = resolve();
+
+			if (array) {
+				if (!Array.isArray(obj[key])) {
+					obj[key] = [];
+				}
+				obj[key].push(value);
+			} else {
+				obj[key] = value;
+			}
+
+			lines.push({ type: 'entry', raw, array: !!array, indent, key, section, separator, value: obj[key] });
+		} else {
+			throw new Error(`Failed to load config file: Invalid entry on line ${i + 1}: ${raw}`);
+		}
+	}
+
+	return { data, lines };
+}
+
+/**
+ * Parses an INI value. Quoted values are always strings, otherwise the value is cast. An inline
+ * comment after the value is ignored.
+ *
+ * @param {String} value - The raw value.
+ * @returns {*}
+ */
+function parseValue(value) {
+	value = value.match(inlineCommentRE)[1];
+	if (/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+		return JSON.parse(value);
+	}
+	if (/^'[^']*'$/.test(value)) {
+		return value.slice(1, -1);
+	}
+	return cast(value);
+}
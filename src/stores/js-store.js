@@ -1,13 +1,40 @@
+import detectIndent from 'detect-indent';
 import fs from 'fs-extra';
 import JSONStore from './json-store.js';
 import Node from '../node.js';
+import os from 'os';
+import path from 'path';
 import snooplogg from 'snooplogg';
+import { createRequire } from 'module';
+import { detectLineEndings, hashValue, isScalar } from '../util.js';
+import { move, writeFile } from '../fsutil.js';
+import { parse, toJS } from './jsonc/parser.js';
+import { pathToFileURL } from 'url';
 
 const { log } = snooplogg('config-kit')('js-store');
 const { highlight } = snooplogg.styles;
 
+const require = createRequire(import.meta.url);
+
+const commentsRE = '(?:\\s|\\/\\/[^\\n\\r]*|\\/\\*[\\s\\S]*?\\*\\/)*';
+const exportDefaultRE = new RegExp(`^${commentsRE}export\\s+default\\b`);
+const identifierRE = /^[$_\p{ID_Start}][$\p{ID_Continue}]*$/u;
+const moduleExportsRE = new RegExp(`^${commentsRE}module\\.exports\\s*=(?!=)`);
+const semicolonRE = new RegExp(`;(${commentsRE})$`);
+
 /**
- * Loads `.js` config files.
+ * Loads `.js`, `.mjs`, `.cjs`, `.ts`, and `.mts` config files.
+ *
+ * Files that only export a literal value are parsed instead of being executed. Other `.cjs` files
+ * are loaded using `require()` and `.js` and `.mjs` files are imported. Since ES modules cannot be
+ * unloaded, a file is only imported again after its contents change. TypeScript files are
+ * transpiled into an ES module using the `transpile` hook. If there is no hook, the `typescript`
+ * package is used if installed. The transpiled module is imported from the system temp directory,
+ * so it cannot import other files using relative paths.
+ *
+ * Files that `export default` or assign `module.exports` a plain object literal can be saved. The
+ * file is rewritten as a module exporting the current data. Files that export a function or
+ * contain any other code such as imports, variables, or function calls cannot be saved.
  */
 export default class JSStore extends JSONStore {
 	/**
@@ -16,6 +43,67 @@ export default class JSStore extends JSONStore {
 	 */
 	static extension = '.js';
 
+	/**
+	 * A list of all file extensions associated to this type of store.
+	 * @type {Array.<String>}
+	 */
+	static extensions = [ '.js', '.mjs', '.cjs', '.ts', '.mts' ];
+
+	/**
+	 * The default transpile hook for stores that were not constructed with one. This is mainly
+	 * useful when config files are loaded via `config.load()`, which constructs the store.
+	 * @type {Function}
+	 */
+	static transpile = null;
+
+	/**
+	 * When `true`, the loaded file assigned `module.exports` and is saved as a CommonJS module.
+	 * @type {Boolean}
+	 */
+	commonjs = false;
+
+	/**
+	 * The indentation to use when saving.
+	 * @type {String}
+	 */
+	indent = '\t';
+
+	/**
+	 * The line ending to use when saving.
+	 * @type {String}
+	 */
+	lineEnding = '\n';
+
+	/**
+	 * The reason the loaded file cannot be saved or `null` if it only contains literal values.
+	 * @type {String}
+	 */
+	unsavable = null;
+
+	/**
+	 * Initializes the store.
+	 *
+	 * @param {Object} [opts] - Various options.
+	 * @param {Object} [opts.data] - A data object to initialize the store with.
+	 * @param {Function} [opts.transpile] - A function that is passed the TypeScript source and
+	 * filename and returns, or resolves, the source of an ES module. Defaults to
+	 * `JSStore.transpile`.
+	 * @access public
+	 */
+	constructor(opts = {}) {
+		super(opts);
+
+		if (opts.transpile !== undefined && typeof opts.transpile !== 'function') {
+			throw new TypeError('Expected transpile to be a function');
+		}
+
+		/**
+		 * The TypeScript transpile hook.
+		 * @type {Function}
+		 */
+		this.transpile = opts.transpile;
+	}
+
 	/**
 	 * Loads a config file.
 	 *
@@ -31,33 +119,215 @@ export default class JSStore extends JSONStore {
 		}
 
 		log(`Loading ${highlight(file)}`);
-		let data = await import(`file://${file}`);
+		const source = await fs.readFile(file, 'utf8');
+		const ext = path.extname(file);
+		const { commonjs, literal, node } = analyze(source);
+		const typescript = ext === '.ts' || ext === '.mts';
+		let data;
+
+		if (literal && !typescript) {
+			data = node ? toJS(node) : {};
+		} else if (ext === '.cjs') {
+			const resolved = path.resolve(file);
+			delete require.cache[resolved];
+			data = require(resolved);
+		} else if (typescript) {
+			data = await this.importTypeScript(file, source);
+		} else {
+			// hashing the contents busts the module cache so that a saved file can be reloaded
+			data = await import(`${pathToFileURL(path.resolve(file))}?hash=${hashValue(source)}`);
+		}
 
 		if (data?.default) {
 			data = data.default;
 		}
 
+		let unsavable = null;
 		if (typeof data === 'function') {
+			unsavable = 'exports a function';
 			data = data({ ctx: this });
+		} else if (!literal) {
+			unsavable = 'contains non-literal expressions';
 		}
 
 		if (!data || typeof data !== 'object') {
 			throw new TypeError('Expected config file to be an object');
 		}
 
-		this.data = new Node(data);
-		this.file = file;
+		this.commonjs   = commonjs;
+		this.data       = new Node(data);
+		this.file       = file;
+		this.indent     = detectIndent(source).indent || '\t';
+		this.lineEnding = detectLineEndings(source);
+		this.unsavable  = unsavable;
+
+		return this;
+	}
+
+	/**
+	 * Transpiles and imports a TypeScript config file. The transpiled code is written to a
+	 * temporary file named after the hash of the code so that unchanged files reuse the module
+	 * that was already imported.
+	 *
+	 * @param {String} file - The path to the TypeScript file.
+	 * @param {String} source - The contents of the TypeScript file.
+	 * @returns {Promise} Resolves the imported module.
+	 * @access private
+	 */
+	async importTypeScript(file, source) {
+		let transpile = this.transpile || JSStore.transpile;
+
+		if (!transpile) {
+			let ts;
+			try {
+				ts = (await import('typescript')).default;
+			} catch (e) {
+				throw new Error('Loading TypeScript config files requires a transpile hook or the "typescript" package');
+			}
+			transpile = (source, fileName) => ts.transpileModule(source, {
+				compilerOptions: {
+					module: ts.ModuleKind.ESNext,
+					target: ts.ScriptTarget.ES2020
+				},
+				fileName
+			}).outputText;
+		}
+
+		const code = await transpile(source, file);
+		if (typeof code !== 'string') {
+			throw new TypeError('Expected transpile hook to return a string');
+		}
+
+		log(`Transpiled ${highlight(file)}`);
+		const tmpFile = path.join(os.tmpdir(), `config-kit-${hashValue([ path.resolve(file), code ])}.mjs`);
+		await fs.writeFile(tmpFile, code);
+		try {
+			return await import(pathToFileURL(tmpFile).href);
+		} finally {
+			await fs.remove(tmpFile);
+		}
+	}
+
+	/**
+	 * Saves the data to disk as a module that exports the data. `.cjs` files and `.js` files that
+	 * were loaded from a CommonJS module are saved as CommonJS modules.
+	 *
+	 * @param {String} file - The filename to save the data to.
+	 * @returns {Promise} Resolves this `JSStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (!file || typeof file !== 'string') {
+			throw new TypeError('Expected config file path to be a string');
+		}
+
+		if (this.unsavable) {
+			throw new Error(`Unable to save JavaScript config file because it ${this.unsavable}`);
+		}
+
+		const ext = path.extname(file);
+		if (!this.anyExtension && !JSStore.extensions.includes(ext)) {
+			throw new Error(`Expected JavaScript config file to have "${JSStore.extensions.join('" or "')}" extension, found "${ext}"`);
+		}
+
+		const commonjs = ext === '.cjs' || ((ext === '.js' || !JSStore.extensions.includes(ext)) && this.commonjs);
+		const tmpFile = `${file}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, this.toModule({ commonjs }), { applyOwner: this.applyOwner });
+		await move(tmpFile, file, { applyOwner: this.applyOwner });
+		log(`Wrote config file: ${highlight(file)}`);
 
 		return this;
 	}
 
 	/**
-	 * Saves the data to disk.
+	 * Returns the data as the source of a module that exports the data.
 	 *
-	 * @resolves {Promise}
+	 * @param {Object} [opts] - Various options.
+	 * @param {Boolean} [opts.commonjs=false] - When `true`, assigns the data to `module.exports`
+	 * instead of using `export default`.
+	 * @returns {String}
 	 * @access public
 	 */
-	async save() {
-		throw new Error('Saving JavaScript config files is unsupported');
+	toModule({ commonjs } = {}) {
+		const { indent, lineEnding } = this;
+
+		const format = (value, depth) => {
+			if (value === null || value === undefined) {
+				return 'null';
+			}
+
+			if (typeof value === 'string') {
+				return quote(value);
+			}
+
+			if (typeof value === 'number' || typeof value === 'boolean') {
+				return String(value);
+			}
+
+			if (isScalar(value)) {
+				throw new TypeError(`Unable to save JavaScript config file because ${value.constructor?.name || typeof value} values are not supported`);
+			}
+
+			const pad = indent.repeat(depth);
+			const entries = Array.isArray(value)
+				? value.map(it => format(it, depth + 1))
+				: Object.keys(value)
+					.filter(key => value[key] !== undefined)
+					.map(key => `${identifierRE.test(key) ? key : quote(key)}: ${format(value[key], depth + 1)}`);
+			const [ open, close ] = Array.isArray(value) ? [ '[', ']' ] : [ '{', '}' ];
+
+			if (!entries.length) {
+				return `${open}${close}`;
+			}
+
+			return `${open}${lineEnding}${entries.map(entry => `${pad}${indent}${entry}`).join(`,${lineEnding}`)}${lineEnding}${pad}${close}`;
+		};
+
+		return `${commonjs ? 'module.exports =' : 'export default'} ${format(this.data, 0)};${lineEnding}`;
 	}
 }
+
+/**
+ * Determines if the source of a JavaScript file is empty or only exports a literal value, and
+ * whether it's exported using `module.exports`. The syntax tree of the literal is returned as
+ * `node`, or `null` if the file is empty.
+ *
+ * @param {String} source - The JavaScript source.
+ * @returns {Object}
+ */
+function analyze(source) {
+	const m = source.match(exportDefaultRE) || source.match(moduleExportsRE);
+	const commonjs = !!m && !m[0].endsWith('default');
+	let literal = false;
+	let node = null;
+	try {
+		if (m) {
+			node = parse(source.slice(m[0].length).replace(semicolonRE, '$1'));
+			literal = node !== null;
+		} else {
+			literal = parse(source) === null;
+		}
+	} catch (e) {
+		// not a literal
+	}
+	return { commonjs, literal, node };
+}
+
+/**
+ * Wraps a string in single quotes and escapes special characters.
+ *
+ * @param {String} str - The string to quote.
+ * @returns {String}
+ */
+function quote(str) {
+	return `'${str.replace(/[\\'\n\r\t\u2028\u2029]/g, ch => {
+		switch (ch) {
+			case '\n': return '\\n';
+			case '\r': return '\\r';
+			case '\t': return '\\t';
+			case '\u2028': return '\\u2028';
+			case '\u2029': return '\\u2029';
+		}
+		return `\\${ch}`;
+	})}'`;
+}
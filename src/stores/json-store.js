@@ -3,6 +3,7 @@ import Node from '../node.js';
 import path from 'path';
 import snooplogg from 'snooplogg';
 import Store from '../store.js';
+import { isScalar } from '../util.js';
 import { move, writeFile } from '../fsutil.js';
 
 const { log } = snooplogg('config-kit')('json-store');
@@ -18,6 +19,26 @@ export default class JSONStore extends Store {
 	 */
 	static extension = '.json';
 
+	/**
+	 * Determines if the contents of a file is a JSON object.
+	 *
+	 * @param {Buffer} buffer - The file contents.
+	 * @returns {Boolean}
+	 * @access public
+	 */
+	static detect(buffer) {
+		const content = buffer.toString('utf8').trim();
+		if (content[0] !== '{') {
+			return false;
+		}
+		try {
+			JSON.parse(content);
+			return true;
+		} catch (e) {
+			return false;
+		}
+	}
+
 	/**
 	 * Initializes the store.
 	 *
@@ -97,7 +118,7 @@ export default class JSONStore extends Store {
 			}
 		}
 
-		if (!data || typeof data !== 'object' || Array.isArray(data) || Object.keys(data).length) {
+		if (isScalar(data) || Array.isArray(data) || Object.keys(data).length) {
 			return data;
 		}
 	}
@@ -199,7 +220,7 @@ export default class JSONStore extends Store {
 		}
 
 		const ext = path.extname(file);
-		if (ext !== JSONStore.extension) {
+		if (!this.anyExtension && ext !== JSONStore.extension) {
 			throw new Error(`Expected JSON config file to have "${JSONStore.extension}" extension, found "${ext}"`);
 		}
 
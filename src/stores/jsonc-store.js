@@ -0,0 +1,461 @@
+import detectIndent from 'detect-indent';
+import fs from 'fs-extra';
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import { detectLineEndings, isScalar, unescapeSequence } from '../util.js';
+import { move, writeFile } from '../fsutil.js';
+import { parse, toJS } from './jsonc/parser.js';
+
+const { log } = snooplogg('config-kit')('jsonc-store');
+const { highlight } = snooplogg.styles;
+
+const identifierRE = /^[$_\p{ID_Start}][$\p{ID_Continue}]*$/u;
+
+/**
+ * Loads `.jsonc` and `.json5` config files.
+ *
+ * Comments, trailing commas, unquoted keys, and the rest of the JSON5 syntax are supported. When
+ * saving, only the values that changed are rewritten so that comments, ordering, and formatting of
+ * untouched keys are preserved.
+ */
+export default class JSONCStore extends JSONStore {
+	/**
+	 * The file extension associated to this type of store.
+	 * @type {String}
+	 */
+	static extension = '.jsonc';
+
+	/**
+	 * A list of all file extensions associated to this type of store.
+	 * @type {Array.<String>}
+	 */
+	static extensions = [ '.jsonc', '.json5' ];
+
+	/**
+	 * Determines if the contents of a file is a JSONC or JSON5 object.
+	 *
+	 * @param {Buffer} buffer - The file contents.
+	 * @returns {Boolean}
+	 * @access public
+	 */
+	static detect(buffer) {
+		const ast = parse(buffer.toString('utf8'));
+		return ast?.type === 'object';
+	}
+
+	/**
+	 * The syntax tree of the loaded file.
+	 * @type {Object}
+	 */
+	ast = null;
+
+	/**
+	 * The indentation to use for new values.
+	 * @type {String}
+	 */
+	indent = '  ';
+
+	/**
+	 * The line ending to write.
+	 * @type {String}
+	 */
+	lineEnding = '\n';
+
+	/**
+	 * The contents of the loaded file.
+	 * @type {String}
+	 */
+	source = null;
+
+	/**
+	 * Loads a config file.
+	 *
+	 * @param {String} file - The path to the config file to load.
+	 * @returns {Promise} Resolves this `JSONCStore` instance.
+	 * @access public
+	 */
+	async load(file) {
+		if (!fs.existsSync(file)) {
+			const err = new Error(`File not found: ${file}`);
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		let content;
+
+		log(`Loading ${highlight(file)}`);
+		try {
+			content = await fs.readFile(file, 'utf8');
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		const ast = this.parse(content);
+		Node.merge(this.data, ast ? toJS(ast) : {});
+
+		return this;
+	}
+
+	/**
+	 * Parses the contents of a config file and remembers the syntax tree and formatting so that
+	 * the file can be updated when saving.
+	 *
+	 * @param {String} content - The contents of the config file.
+	 * @returns {Object} The syntax tree or `null` if the file has no values.
+	 * @access private
+	 */
+	parse(content) {
+		let ast;
+
+		try {
+			ast = parse(content);
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		// a file with only comments is valid and simply has no values
+		if (ast && ast.type !== 'object') {
+			throw new TypeError('Expected config file to be an object');
+		}
+
+		this.ast        = ast;
+		this.indent     = detectIndent(content).indent || '  ';
+		this.lineEnding = detectLineEndings(content);
+		this.source     = content;
+		log(`Detected line ending ${highlight(unescapeSequence(this.lineEnding))} indent ${highlight(JSON.stringify(this.indent))}`);
+
+		return ast;
+	}
+
+	/**
+	 * Saves the data to disk.
+	 *
+	 * @param {String} file - The filename to save the data to.
+	 * @returns {Promise} Resolves this `JSONCStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (!file || typeof file !== 'string') {
+			throw new TypeError('Expected config file path to be a string');
+		}
+
+		const ext = path.extname(file);
+		if (!this.anyExtension && !JSONCStore.extensions.includes(ext)) {
+			throw new Error(`Expected JSONC config file to have "${JSONCStore.extensions.join('" or "')}" extension, found "${ext}"`);
+		}
+
+		const tmpFile = `${file}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, this.toString(), { applyOwner: this.applyOwner });
+		await move(tmpFile, file, { applyOwner: this.applyOwner });
+		log(`Wrote config file: ${highlight(file)}`);
+
+		return this;
+	}
+
+	/**
+	 * Returns the data as a JSON-encoded string. If a file was loaded, only the values that
+	 * changed are rewritten in the original text.
+	 *
+	 * @returns {String}
+	 * @access public
+	 */
+	toString() {
+		return this.format(this.data);
+	}
+
+	/**
+	 * Serializes data as JSONC. If a file was loaded, only the values that differ from the file
+	 * are rewritten in the original text.
+	 *
+	 * @param {Object} data - The data to serialize.
+	 * @returns {String}
+	 * @access private
+	 */
+	format(data) {
+		if (!this.ast) {
+			const str = stringify(data, this.indent, '', this.lineEnding);
+			if (this.source?.trim()) {
+				// the loaded file only contained comments
+				return `${this.source.trimEnd()}${this.lineEnding}${str}${this.lineEnding}`;
+			}
+			return str;
+		}
+
+		const ctx = {
+			edits:      [],
+			indent:     this.indent,
+			lineEnding: this.lineEnding,
+			text:       this.source
+		};
+		update(ctx, this.ast, data);
+
+		let str = this.source;
+		for (const { start, end, text } of ctx.edits.sort((a, b) => b.start - a.start)) {
+			str = str.slice(0, start) + text + str.slice(end);
+		}
+		return str;
+	}
+}
+
+/**
+ * Formats an object key using the same quoting style as an existing key.
+ *
+ * @param {String} key - The key to format.
+ * @param {Object} [sibling] - The node of an existing key.
+ * @returns {String}
+ */
+function formatKey(key, sibling) {
+	if (sibling && sibling.quote === null && identifierRE.test(key)) {
+		return key;
+	}
+	return formatString(key, sibling?.quote);
+}
+
+/**
+ * Formats a string using the specified quote character.
+ *
+ * @param {String} value - The string to format.
+ * @param {String} [quote='"'] - The quote character.
+ * @returns {String}
+ */
+function formatString(value, quote) {
+	if (quote !== '\'') {
+		return JSON.stringify(value);
+	}
+	return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, '\\\'')}'`;
+}
+
+/**
+ * Inserts new array items or object properties after the last existing one.
+ *
+ * @param {Object} ctx - The update context.
+ * @param {Object} container - The array or object node.
+ * @param {Object} anchor - The start, end, and comma position of the last item to keep.
+ * @param {Boolean} trailingComma - When `true`, the last item is followed by a comma.
+ * @param {Array.<String>} entries - The formatted items or properties to insert.
+ */
+function insertAfter(ctx, container, anchor, trailingComma, entries) {
+	const { text } = ctx;
+
+	if (!/[\r\n]/.test(text.slice(container.start, container.end))) {
+		if (anchor.comma !== -1) {
+			ctx.edits.push({ start: anchor.comma + 1, end: anchor.comma + 1, text: ` ${entries.join(', ')}${trailingComma ? ',' : ''}` });
+		} else {
+			ctx.edits.push({ start: anchor.end, end: anchor.end, text: `, ${entries.join(', ')}` });
+		}
+		return;
+	}
+
+	// insert at the end of the anchor's line so that a trailing comment stays with the anchor
+	let pos = anchor.comma !== -1 ? anchor.comma + 1 : anchor.end;
+	while (text[pos] === ' ' || text[pos] === '\t') {
+		pos++;
+	}
+	if (text.startsWith('//', pos)) {
+		while (pos < text.length && text[pos] !== '\r' && text[pos] !== '\n') {
+			pos++;
+		}
+	} else {
+		pos = anchor.comma !== -1 ? anchor.comma + 1 : anchor.end;
+	}
+
+	const indent = lineIndent(text, anchor.start);
+	let str = entries.map(entry => `${ctx.lineEnding}${indent}${entry}`).join(',') + (trailingComma ? ',' : '');
+
+	if (anchor.comma === -1) {
+		if (pos === anchor.end) {
+			str = `,${str}`;
+		} else {
+			ctx.edits.push({ start: anchor.end, end: anchor.end, text: ',' });
+		}
+	}
+
+	ctx.edits.push({ start: pos, end: pos, text: str });
+}
+
+/**
+ * Returns the whitespace at the beginning of the line containing the specified position.
+ *
+ * @param {String} text - The source text.
+ * @param {Number} pos - The position within the line.
+ * @returns {String}
+ */
+function lineIndent(text, pos) {
+	const start = Math.max(text.lastIndexOf('\n', pos - 1), text.lastIndexOf('\r', pos - 1)) + 1;
+	return text.slice(start).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Determines the range of text to remove when deleting an object property. If the property is
+ * on its own line, the entire line including a trailing comment is removed.
+ *
+ * @param {String} text - The source text.
+ * @param {Object} prop - The property to remove.
+ * @returns {Object} The `start` and `end` of the range.
+ */
+function removalRange(text, prop) {
+	let start = prop.start;
+	let end = prop.comma !== -1 ? prop.comma + 1 : prop.value.end;
+	const lineStart = Math.max(text.lastIndexOf('\n', start - 1), text.lastIndexOf('\r', start - 1)) + 1;
+
+	while (text[end] === ' ' || text[end] === '\t') {
+		end++;
+	}
+
+	if (text.slice(lineStart, start).trim()) {
+		// the property shares the line with something else, so only remove the property
+		if (prop.comma === -1) {
+			while (start > lineStart && (text[start - 1] === ' ' || text[start - 1] === '\t')) {
+				start--;
+			}
+			end = prop.value.end;
+		}
+		return { start, end };
+	}
+
+	if (text.startsWith('//', end)) {
+		while (end < text.length && text[end] !== '\r' && text[end] !== '\n') {
+			end++;
+		}
+	}
+	if (text[end] === '\r') {
+		end++;
+	}
+	if (text[end] === '\n') {
+		end++;
+	}
+
+	return { start: lineStart, end };
+}
+
+/**
+ * Replaces a node with a newly serialized value.
+ *
+ * @param {Object} ctx - The update context.
+ * @param {Object} node - The node to replace.
+ * @param {*} value - The new value.
+ */
+function replace(ctx, node, value) {
+	ctx.edits.push({
+		start: node.start,
+		end:   node.end,
+		text:  stringify(value, ctx.indent, lineIndent(ctx.text, node.start), ctx.lineEnding)
+	});
+}
+
+/**
+ * Serializes a new value.
+ *
+ * @param {*} value - The value to serialize.
+ * @param {String} indent - The indentation for each level.
+ * @param {String} base - The indentation of the line the value starts on.
+ * @param {String} lineEnding - The line ending to use.
+ * @returns {String}
+ */
+function stringify(value, indent, base, lineEnding) {
+	if (typeof value === 'number' && !isFinite(value)) {
+		return String(value);
+	}
+	return JSON.stringify(value, null, indent).split('\n').join(lineEnding + base);
+}
+
+/**
+ * Compares a node with a value and records the edits needed for the node's text to represent the
+ * value.
+ *
+ * @param {Object} ctx - The update context.
+ * @param {Object} node - The syntax tree node.
+ * @param {*} value - The value the node should represent.
+ */
+function update(ctx, node, value) {
+	if (Array.isArray(value)) {
+		const { commas, items } = node;
+		const len = Math.min(items?.length, value.length);
+
+		if (node.type !== 'array' || !len) {
+			replace(ctx, node, value);
+			return;
+		}
+
+		for (let i = 0; i < len; i++) {
+			update(ctx, items[i], value[i]);
+		}
+
+		if (value.length < items.length) {
+			// remove the extra items, but keep the trailing comma if there was one
+			ctx.edits.push({ start: items[len - 1].end, end: items[items.length - 1].end, text: '' });
+		} else if (value.length > items.length) {
+			const base = lineIndent(ctx.text, items[len - 1].start);
+			insertAfter(
+				ctx,
+				node,
+				{ start: items[len - 1].start, end: items[len - 1].end, comma: commas[len - 1] },
+				commas[len - 1] !== -1,
+				value.slice(len).map(it => stringify(it, ctx.indent, base, ctx.lineEnding))
+			);
+		}
+		return;
+	}
+
+	if (!isScalar(value)) {
+		if (node.type !== 'object') {
+			replace(ctx, node, value);
+			return;
+		}
+
+		const keys = Object.keys(value);
+		const kept = node.properties.filter(prop => keys.includes(prop.key));
+		if (!kept.length) {
+			replace(ctx, node, value);
+			return;
+		}
+
+		for (const prop of node.properties) {
+			if (kept.includes(prop)) {
+				update(ctx, prop.value, value[prop.key]);
+			} else {
+				const { start, end } = removalRange(ctx.text, prop);
+				ctx.edits.push({ start, end, text: '' });
+			}
+		}
+
+		const last = node.properties[node.properties.length - 1];
+		const anchor = kept[kept.length - 1];
+		const added = keys.filter(key => !node.properties.some(prop => prop.key === key));
+
+		if (added.length) {
+			const base = lineIndent(ctx.text, anchor.start);
+			const separator = ctx.text.slice(anchor.keyNode.end, anchor.value.start);
+			const quote = node.properties.find(prop => prop.value.type === 'string')?.value.quote;
+			insertAfter(
+				ctx,
+				node,
+				{ start: anchor.start, end: anchor.value.end, comma: anchor.comma },
+				last.comma !== -1,
+				added.map(key => {
+					const str = typeof value[key] === 'string' ? formatString(value[key], quote) : stringify(value[key], ctx.indent, base, ctx.lineEnding);
+					return `${formatKey(key, anchor.keyNode)}${separator}${str}`;
+				})
+			);
+		} else if (anchor !== last && last.comma === -1 && anchor.comma !== -1) {
+			// the last property was removed, so remove the comma that is now trailing
+			ctx.edits.push({ start: anchor.comma, end: anchor.comma + 1, text: '' });
+		}
+		return;
+	}
+
+	if (node.value === value || (Number.isNaN(node.value) && Number.isNaN(value))) {
+		return;
+	}
+
+	if (node.type === 'string' && typeof value === 'string') {
+		ctx.edits.push({ start: node.start, end: node.end, text: formatString(value, node.quote) });
+		return;
+	}
+
+	replace(ctx, node, value);
+}
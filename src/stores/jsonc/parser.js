@@ -0,0 +1,247 @@
+/**
+ * A JSON5 parser that produces a syntax tree where every node records its start and end offsets
+ * in the source text. The offsets allow values to be replaced in the original text without
+ * disturbing comments and formatting.
+ *
+ * Supported syntax beyond JSON: line and block comments, trailing commas, unquoted identifier
+ * keys, single quoted strings, line continuations, hexadecimal numbers, leading and trailing
+ * decimal points, explicit plus signs, `Infinity`, and `NaN`.
+ */
+
+const escapes = {
+	b: '\b',
+	f: '\f',
+	n: '\n',
+	r: '\r',
+	t: '\t',
+	v: '\v',
+	0: '\0'
+};
+
+const identifierRE = /[$_\p{ID_Start}][$\p{ID_Continue}\u200C\u200D]*/uy;
+const lineTerminatorRE = /[\n\r\u2028\u2029]/;
+const numberRE = /[+-]?(?:Infinity|NaN|0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+
+/**
+ * Parses a JSON5 string.
+ *
+ * @param {String} text - The text to parse.
+ * @returns {Object} The root node or `null` if the text does not contain a value.
+ */
+export function parse(text) {
+	let pos = 0;
+
+	const fail = () => {
+		const lines = text.slice(0, pos).split(/\r\n|\r|\n/);
+		const what = pos < text.length ? `character "${text[pos]}"` : 'end of input';
+		throw new SyntaxError(`Unexpected ${what} at line ${lines.length} column ${lines[lines.length - 1].length + 1}`);
+	};
+
+	const skip = () => {
+		while (pos < text.length) {
+			if (/\s/.test(text[pos])) {
+				pos++;
+			} else if (text.startsWith('//', pos)) {
+				while (pos < text.length && !lineTerminatorRE.test(text[pos])) {
+					pos++;
+				}
+			} else if (text.startsWith('/*', pos)) {
+				const end = text.indexOf('*/', pos + 2);
+				if (end === -1) {
+					pos = text.length;
+					fail();
+				}
+				pos = end + 2;
+			} else {
+				break;
+			}
+		}
+	};
+
+	const parseString = () => {
+		const start = pos;
+		const quote = text[pos++];
+		let value = '';
+
+		while (pos < text.length && text[pos] !== quote) {
+			const c = text[pos++];
+			if (c === '\\') {
+				const e = text[pos++];
+				if (e === 'x' || e === 'u') {
+					const len = e === 'x' ? 2 : 4;
+					const hex = text.slice(pos, pos + len);
+					if (!new RegExp(`^[0-9a-fA-F]{${len}}$`).test(hex)) {
+						fail();
+					}
+					value += String.fromCharCode(parseInt(hex, 16));
+					pos += len;
+				} else if (e === '\r') {
+					// line continuation
+					if (text[pos] === '\n') {
+						pos++;
+					}
+				} else if (lineTerminatorRE.test(e)) {
+					// line continuation
+				} else if (e === '0' && /\d/.test(text[pos])) {
+					pos--;
+					fail();
+				} else if (e === undefined) {
+					fail();
+				} else {
+					value += escapes[e] || e;
+				}
+			} else if (c === '\n' || c === '\r') {
+				pos--;
+				fail();
+			} else {
+				value += c;
+			}
+		}
+
+		if (pos >= text.length) {
+			fail();
+		}
+		pos++;
+
+		return { type: 'string', start, end: pos, quote, value };
+	};
+
+	const parseValue = () => {
+		const start = pos;
+		const c = text[pos];
+
+		if (c === '{') {
+			const properties = [];
+			pos++;
+			skip();
+
+			while (text[pos] !== '}') {
+				let key;
+				let keyNode;
+
+				if (text[pos] === '"' || text[pos] === '\'') {
+					keyNode = parseString();
+					key = keyNode.value;
+				} else {
+					identifierRE.lastIndex = pos;
+					const m = identifierRE.exec(text);
+					if (!m) {
+						fail();
+					}
+					key = m[0];
+					keyNode = { type: 'identifier', start: pos, end: pos + key.length, quote: null, value: key };
+					pos += key.length;
+				}
+
+				skip();
+				if (text[pos] !== ':') {
+					fail();
+				}
+				pos++;
+				skip();
+
+				const value = parseValue();
+				const prop = { key, keyNode, start: keyNode.start, value, comma: -1 };
+				properties.push(prop);
+
+				skip();
+				if (text[pos] === ',') {
+					prop.comma = pos++;
+					skip();
+				} else if (text[pos] !== '}') {
+					fail();
+				}
+			}
+
+			return { type: 'object', start, end: ++pos, properties };
+		}
+
+		if (c === '[') {
+			const items = [];
+			const commas = [];
+			pos++;
+			skip();
+
+			while (text[pos] !== ']') {
+				items.push(parseValue());
+				commas.push(-1);
+
+				skip();
+				if (text[pos] === ',') {
+					commas[commas.length - 1] = pos++;
+					skip();
+				} else if (text[pos] !== ']') {
+					fail();
+				}
+			}
+
+			return { type: 'array', start, end: ++pos, items, commas };
+		}
+
+		if (c === '"' || c === '\'') {
+			return parseString();
+		}
+
+		for (const [ literal, value ] of [ [ 'true', true ], [ 'false', false ], [ 'null', null ] ]) {
+			if (text.startsWith(literal, pos)) {
+				pos += literal.length;
+				return { type: value === null ? 'null' : 'boolean', start, end: pos, value };
+			}
+		}
+
+		numberRE.lastIndex = pos;
+		const m = numberRE.exec(text);
+		if (!m) {
+			fail();
+		}
+		pos += m[0].length;
+
+		let raw = m[0];
+		let sign = 1;
+		if (raw[0] === '-' || raw[0] === '+') {
+			sign = raw[0] === '-' ? -1 : 1;
+			raw = raw.slice(1);
+		}
+
+		return { type: 'number', start, end: pos, value: sign * Number(raw) };
+	};
+
+	skip();
+	if (pos >= text.length) {
+		return null;
+	}
+
+	const root = parseValue();
+	skip();
+	if (pos < text.length) {
+		fail();
+	}
+	return root;
+}
+
+/**
+ * Converts a syntax tree node into its JavaScript value.
+ *
+ * @param {Object} node - The node to convert.
+ * @returns {*}
+ */
+export function toJS(node) {
+	if (node.type === 'object') {
+		const obj = {};
+		for (const { key, value } of node.properties) {
+			Object.defineProperty(obj, key, {
+				configurable: true,
+				enumerable: true,
+				value: toJS(value),
+				writable: true
+			});
+		}
+		return obj;
+	}
+
+	if (node.type === 'array') {
+		return node.items.map(toJS);
+	}
+
+	return node.value;
+}
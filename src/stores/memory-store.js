@@ -0,0 +1,71 @@
+import JSONStore from './json-store.js';
+import snooplogg from 'snooplogg';
+import { move, writeFile } from '../fsutil.js';
+
+const { log } = snooplogg('config-kit')('memory-store');
+const { highlight } = snooplogg.styles;
+
+/**
+ * Holds runtime-only config values that are not backed by a file.
+ *
+ * Saving does nothing unless a snapshot file is configured or passed in, in which case the data is
+ * written to it as JSON.
+ */
+export default class MemoryStore extends JSONStore {
+	/**
+	 * Memory stores are not associated to a file extension.
+	 * @type {String}
+	 */
+	static extension = null;
+
+	/**
+	 * Initializes the store.
+	 *
+	 * @param {Object} [opts] - Various options.
+	 * @param {Object} [opts.data] - A data object to initialize the store with.
+	 * @param {String} [opts.snapshotFile] - The path to write a JSON snapshot of the data to when
+	 * saving.
+	 * @access public
+	 */
+	constructor(opts = {}) {
+		super(opts);
+
+		if (opts.snapshotFile !== undefined && (!opts.snapshotFile || typeof opts.snapshotFile !== 'string')) {
+			throw new TypeError('Expected snapshot file to be a non-empty string');
+		}
+
+		/**
+		 * The path to write a JSON snapshot of the data to when saving.
+		 * @type {String}
+		 */
+		this.snapshotFile = opts.snapshotFile || null;
+	}
+
+	/**
+	 * Writes a JSON snapshot of the data to the specified file or the configured snapshot file. If
+	 * neither is set, nothing is written.
+	 *
+	 * @param {String} [file] - The filename to save the snapshot to. Defaults to the snapshot
+	 * file.
+	 * @returns {Promise} Resolves this `MemoryStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (file !== undefined && file !== null && (!file || typeof file !== 'string')) {
+			throw new TypeError('Expected snapshot file path to be a string');
+		}
+
+		file = file || this.snapshotFile;
+		if (!file) {
+			log('No snapshot file, skipping save');
+			return this;
+		}
+
+		const tmpFile = `${file}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, JSON.stringify(this.data, null, 2), { applyOwner: this.applyOwner });
+		await move(tmpFile, file, { applyOwner: this.applyOwner });
+		log(`Wrote snapshot file: ${highlight(file)}`);
+
+		return this;
+	}
+}
@@ -0,0 +1,134 @@
+import fs from 'fs-extra';
+import JSONCStore from './jsonc-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import { move, writeFile } from '../fsutil.js';
+import { toJS } from './jsonc/parser.js';
+
+const { log } = snooplogg('config-kit')('package-json-store');
+const { highlight } = snooplogg.styles;
+
+/**
+ * Loads the config from a field in a `package.json` file such as `"myTool": { ... }`.
+ *
+ * When saving, the file is read again and only the field is rewritten so that the rest of the
+ * file, including changes made since it was loaded, and its indentation are left untouched.
+ */
+export default class PackageJSONStore extends JSONCStore {
+	/**
+	 * The file extension associated to this type of store.
+	 * @type {String}
+	 */
+	static extension = '.json';
+
+	/**
+	 * A list of all file extensions associated to this type of store.
+	 * @type {Array.<String>}
+	 */
+	static extensions = null;
+
+	/**
+	 * Initializes the store.
+	 *
+	 * @param {Object} opts - Various options.
+	 * @param {Object} [opts.data] - A data object to initialize the store with.
+	 * @param {String} opts.field - The name of the `package.json` field containing the config.
+	 * @access public
+	 */
+	constructor(opts = {}) {
+		super(opts);
+
+		if (!opts.field || typeof opts.field !== 'string') {
+			throw new TypeError('Expected field to be a non-empty string');
+		}
+
+		/**
+		 * The name of the `package.json` field containing the config.
+		 * @type {String}
+		 */
+		this.field = opts.field;
+	}
+
+	/**
+	 * Loads the config field from a `package.json` file. If the file does not have the field, the
+	 * store is empty.
+	 *
+	 * @param {String} file - The path to the `package.json` file to load.
+	 * @returns {Promise} Resolves this `PackageJSONStore` instance.
+	 * @access public
+	 */
+	async load(file) {
+		if (!fs.existsSync(file)) {
+			const err = new Error(`File not found: ${file}`);
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		let content;
+
+		log(`Loading ${highlight(this.field)} from ${highlight(file)}`);
+		try {
+			content = await fs.readFile(file, 'utf8');
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		const ast = this.parse(content);
+		const value = ast ? toJS(ast)[this.field] : undefined;
+
+		if (value !== undefined && (!value || typeof value !== 'object' || Array.isArray(value))) {
+			throw new TypeError(`Expected "${this.field}" field to be an object`);
+		}
+
+		Node.merge(this.data, value || {});
+
+		return this;
+	}
+
+	/**
+	 * Saves the config field to a `package.json` file. If the file exists, it is read again so
+	 * that only the config field is changed.
+	 *
+	 * @param {String} file - The filename to save the data to.
+	 * @returns {Promise} Resolves this `PackageJSONStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (!file || typeof file !== 'string') {
+			throw new TypeError('Expected config file path to be a string');
+		}
+
+		const ext = path.extname(file);
+		if (ext !== PackageJSONStore.extension) {
+			throw new Error(`Expected package.json config file to have "${PackageJSONStore.extension}" extension, found "${ext}"`);
+		}
+
+		if (fs.existsSync(file)) {
+			this.parse(await fs.readFile(file, 'utf8'));
+		}
+
+		const tmpFile = `${file}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, this.toString(), { applyOwner: this.applyOwner });
+		await move(tmpFile, file, { applyOwner: this.applyOwner });
+		log(`Wrote ${highlight(this.field)} to config file: ${highlight(file)}`);
+
+		return this;
+	}
+
+	/**
+	 * Returns the `package.json` contents with the config field as a JSON-encoded string. An
+	 * empty config is only written if the field already exists.
+	 *
+	 * @returns {String}
+	 * @access public
+	 */
+	toString() {
+		const pkg = this.ast ? toJS(this.ast) : {};
+		if (Object.keys(this.data).length || Object.prototype.hasOwnProperty.call(pkg, this.field)) {
+			pkg[this.field] = this.data;
+		}
+		return this.format(pkg);
+	}
+}
@@ -0,0 +1,195 @@
+import detectIndent from 'detect-indent';
+import fs from 'fs-extra';
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import { build as buildBinary, header, parse as parseBinary } from './plist/binary.js';
+import { build as buildXML, parse as parseXML } from './plist/xml.js';
+import { detectLineEndings, isScalar } from '../util.js';
+import { move, writeFile } from '../fsutil.js';
+
+const { log } = snooplogg('config-kit')('plist-store');
+const { highlight } = snooplogg.styles;
+
+/**
+ * Loads Apple `.plist` config files in either the XML or binary (`bplist00`) format.
+ *
+ * `<data>` values are loaded as `Buffer` instances and `<date>` values as `Date` instances. The
+ * file is saved using the same format it was loaded in.
+ */
+export default class PlistStore extends JSONStore {
+	/**
+	 * The file extension associated to this type of store.
+	 * @type {String}
+	 */
+	static extension = '.plist';
+
+	/**
+	 * Determines if the contents of a file is a binary or XML property list.
+	 *
+	 * @param {Buffer} buffer - The file contents.
+	 * @returns {Boolean}
+	 * @access public
+	 */
+	static detect(buffer) {
+		if (buffer.toString('ascii', 0, header.length) === header) {
+			return true;
+		}
+		return /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE\s+plist|<plist[\s>])/.test(buffer.toString('utf8'));
+	}
+
+	/**
+	 * The format to write, either `xml` or `binary`.
+	 * @type {String}
+	 */
+	format = 'xml';
+
+	/**
+	 * The indentation to use when writing XML.
+	 * @type {String}
+	 */
+	indent = '\t';
+
+	/**
+	 * The line ending to use when writing XML.
+	 * @type {String}
+	 */
+	lineEnding = '\n';
+
+	/**
+	 * Key paths joined by null characters of `<real>` values so that whole numbers are written
+	 * back as reals.
+	 * @type {Set.<String>}
+	 */
+	reals = new Set();
+
+	/**
+	 * Initializes the store.
+	 *
+	 * @param {Object} [opts] - Various options.
+	 * @param {Object} [opts.data] - A data object to initialize the store with.
+	 * @param {String} [opts.format="xml"] - The format to write when a file has not been loaded.
+	 * Must be either `xml` or `binary`.
+	 * @access public
+	 */
+	constructor(opts = {}) {
+		super(opts);
+
+		if (opts.format !== undefined) {
+			if (opts.format !== 'xml' && opts.format !== 'binary') {
+				throw new TypeError('Expected plist format to be "xml" or "binary"');
+			}
+			this.format = opts.format;
+		}
+	}
+
+	/**
+	 * Loads a config file.
+	 *
+	 * @param {String} file - The path to the config file to load.
+	 * @returns {Promise} Resolves this `PlistStore` instance.
+	 * @access public
+	 */
+	async load(file) {
+		if (!fs.existsSync(file)) {
+			const err = new Error(`File not found: ${file}`);
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		let content;
+		let data;
+		const reals = new Set();
+
+		log(`Loading ${highlight(file)}`);
+		try {
+			content = await fs.readFile(file);
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		const binary = content.toString('ascii', 0, header.length) === header;
+
+		try {
+			if (binary) {
+				data = parseBinary(content, reals);
+			} else {
+				content = content.toString('utf8');
+				data = parseXML(content, reals);
+			}
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		if (isScalar(data) || Array.isArray(data)) {
+			throw new TypeError('Expected config file to be an object');
+		}
+
+		Node.merge(this.data, data);
+
+		this.format = binary ? 'binary' : 'xml';
+		this.reals  = reals;
+		if (!binary) {
+			this.indent     = detectIndent(content).indent || '\t';
+			this.lineEnding = detectLineEndings(content);
+		}
+		log(`Detected ${highlight(this.format)} plist`);
+
+		return this;
+	}
+
+	/**
+	 * Saves the data to disk.
+	 *
+	 * @param {String} file - The filename to save the data to.
+	 * @returns {Promise} Resolves this `PlistStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (!file || typeof file !== 'string') {
+			throw new TypeError('Expected config file path to be a string');
+		}
+
+		const ext = path.extname(file);
+		if (!this.anyExtension && ext !== PlistStore.extension) {
+			throw new Error(`Expected plist config file to have "${PlistStore.extension}" extension, found "${ext}"`);
+		}
+
+		const tmpFile = `${file}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, this.toBuffer(), { applyOwner: this.applyOwner });
+		await move(tmpFile, file, { applyOwner: this.applyOwner });
+		log(`Wrote config file: ${highlight(file)}`);
+
+		return this;
+	}
+
+	/**
+	 * Returns the data encoded in the store's format.
+	 *
+	 * @returns {Buffer}
+	 * @access public
+	 */
+	toBuffer() {
+		if (this.format === 'binary') {
+			return buildBinary(this.data, this.reals);
+		}
+		return Buffer.from(this.toString(), 'utf8');
+	}
+
+	/**
+	 * Returns the data as an XML plist string.
+	 *
+	 * @returns {String}
+	 * @access public
+	 */
+	toString() {
+		return buildXML(this.data, {
+			indent:     this.indent,
+			lineEnding: this.lineEnding,
+			reals:      this.reals
+		});
+	}
+}
@@ -0,0 +1,326 @@
+/* global BigInt */
+
+import { assertNoNullItems } from './util.js';
+import { isScalar } from '../../util.js';
+
+/**
+ * The number of seconds between the Unix epoch and the Core Foundation epoch (2001-01-01).
+ * @type {Number}
+ */
+const epochOffset = 978307200;
+
+export const header = 'bplist00';
+
+/**
+ * Builds a `bplist00` binary property list.
+ *
+ * @param {*} value - The value to encode. `null` object values are omitted and `null` array
+ * items are an error since plists have no null type.
+ * @param {Set.<String>} [reals] - A set of key paths joined by null characters for numbers that
+ * must be encoded as reals even if they are integers.
+ * @returns {Buffer}
+ */
+export function build(value, reals = new Set()) {
+	const objects = [];
+	const strings = new Map();
+
+	const add = (value, key) => {
+		if (typeof value === 'string' && strings.has(value)) {
+			return strings.get(value);
+		}
+
+		const idx = objects.length;
+		const obj = { value, real: typeof value === 'number' && reals.has(key.join('\0')) };
+		objects.push(obj);
+
+		if (typeof value === 'string') {
+			strings.set(value, idx);
+		} else if (Array.isArray(value)) {
+			assertNoNullItems(value, key);
+			obj.refs = value.map((it, i) => add(it, [ ...key, String(i) ]));
+		} else if (!isScalar(value)) {
+			const keys = Object.keys(value).filter(k => value[k] !== null && value[k] !== undefined);
+			obj.refs = [
+				...keys.map(k => add(k, [])),
+				...keys.map(k => add(value[k], [ ...key, k ]))
+			];
+		}
+
+		return idx;
+	};
+
+	add(value, []);
+
+	const refSize = byteSize(objects.length);
+	const chunks = [ Buffer.from(header, 'ascii') ];
+	const offsets = [];
+	let offset = chunks[0].length;
+
+	for (const obj of objects) {
+		const buf = encodeObject(obj, refSize);
+		offsets.push(offset);
+		chunks.push(buf);
+		offset += buf.length;
+	}
+
+	const offsetSize = byteSize(offset);
+	const table = Buffer.alloc(offsets.length * offsetSize);
+	offsets.forEach((o, i) => writeUInt(table, o, i * offsetSize, offsetSize));
+	chunks.push(table);
+
+	const trailer = Buffer.alloc(32);
+	trailer.writeUInt8(offsetSize, 6);
+	trailer.writeUInt8(refSize, 7);
+	trailer.writeBigUInt64BE(BigInt(objects.length), 8);
+	trailer.writeBigUInt64BE(0n, 16);
+	trailer.writeBigUInt64BE(BigInt(offset), 24);
+	chunks.push(trailer);
+
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Parses a `bplist00` binary property list.
+ *
+ * @param {Buffer} buf - The binary property list.
+ * @param {Set.<String>} [reals] - A set to add the key paths of real numbers to.
+ * @returns {*}
+ */
+export function parse(buf, reals = new Set()) {
+	if (buf.length < header.length + 32 || buf.toString('ascii', 0, header.length) !== header) {
+		throw new Error('Invalid binary plist header');
+	}
+
+	const trailer = buf.length - 32;
+	const offsetSize = buf.readUInt8(trailer + 6);
+	const refSize = buf.readUInt8(trailer + 7);
+	const numObjects = Number(buf.readBigUInt64BE(trailer + 8));
+	const top = Number(buf.readBigUInt64BE(trailer + 16));
+	const tableOffset = Number(buf.readBigUInt64BE(trailer + 24));
+
+	if (tableOffset + numObjects * offsetSize > trailer || top >= numObjects) {
+		throw new Error('Invalid binary plist trailer');
+	}
+
+	const offsets = [];
+	for (let i = 0; i < numObjects; i++) {
+		offsets.push(readUInt(buf, tableOffset + i * offsetSize, offsetSize));
+	}
+
+	const parsing = new Set();
+
+	const parseObject = (ref, key) => {
+		if (ref >= numObjects) {
+			throw new Error(`Invalid binary plist object reference ${ref}`);
+		}
+		if (parsing.has(ref)) {
+			throw new Error('Invalid binary plist: circular object reference');
+		}
+
+		let pos = offsets[ref];
+		const marker = buf.readUInt8(pos++);
+		const type = marker >> 4;
+		const info = marker & 0xF;
+
+		const length = () => {
+			if (info !== 0xF) {
+				return info;
+			}
+			const size = 1 << (buf.readUInt8(pos) & 0xF);
+			const len = readUInt(buf, pos + 1, size);
+			pos += 1 + size;
+			return len;
+		};
+
+		let len;
+
+		switch (type) {
+			case 0x0:
+				if (info === 0x8 || info === 0x9) {
+					return info === 0x9;
+				}
+				return null;
+
+			case 0x1:
+				if (info === 3) {
+					return Number(buf.readBigInt64BE(pos));
+				}
+				if (info === 4) {
+					// 128-bit integers are only used for unsigned 64-bit values
+					return Number(buf.readBigUInt64BE(pos + 8));
+				}
+				return readUInt(buf, pos, 1 << info);
+
+			case 0x2:
+				reals.add(key.join('\0'));
+				return info === 2 ? buf.readFloatBE(pos) : buf.readDoubleBE(pos);
+
+			case 0x3:
+				return new Date((buf.readDoubleBE(pos) + epochOffset) * 1000);
+
+			case 0x4:
+				len = length();
+				return Buffer.from(buf.subarray(pos, pos + len));
+
+			case 0x5:
+				len = length();
+				return buf.toString('latin1', pos, pos + len);
+
+			case 0x6:
+				len = length();
+				return Buffer.from(buf.subarray(pos, pos + len * 2)).swap16().toString('utf16le');
+
+			case 0x8:
+				return { CF$UID: readUInt(buf, pos, info + 1) };
+
+			case 0xA:
+				len = length();
+				parsing.add(ref);
+				const arr = [];
+				for (let i = 0; i < len; i++) {
+					arr.push(parseObject(readUInt(buf, pos + i * refSize, refSize), [ ...key, String(i) ]));
+				}
+				parsing.delete(ref);
+				return arr;
+
+			case 0xD:
+				len = length();
+				parsing.add(ref);
+				const obj = {};
+				for (let i = 0; i < len; i++) {
+					const k = parseObject(readUInt(buf, pos + i * refSize, refSize), []);
+					if (typeof k !== 'string') {
+						throw new Error('Invalid binary plist: dictionary keys must be strings');
+					}
+					obj[k] = parseObject(readUInt(buf, pos + (len + i) * refSize, refSize), [ ...key, k ]);
+				}
+				parsing.delete(ref);
+				return obj;
+		}
+
+		throw new Error(`Unsupported binary plist object type 0x${marker.toString(16)}`);
+	};
+
+	return parseObject(top, []);
+}
+
+/**
+ * Determines the number of bytes needed to store an unsigned integer.
+ *
+ * @param {Number} n - The largest number to store.
+ * @returns {Number}
+ */
+function byteSize(n) {
+	return n < 0x100 ? 1 : n < 0x10000 ? 2 : n < 0x100000000 ? 4 : 8;
+}
+
+/**
+ * Encodes an integer object.
+ *
+ * @param {Number} n - The integer to encode.
+ * @returns {Buffer}
+ */
+function encodeInt(n) {
+	if (n < 0 || n >= 0x100000000) {
+		const buf = Buffer.alloc(9);
+		buf.writeUInt8(0x13, 0);
+		buf.writeBigInt64BE(BigInt(n), 1);
+		return buf;
+	}
+
+	const size = byteSize(n);
+	const buf = Buffer.alloc(1 + size);
+	buf.writeUInt8(0x10 | Math.log2(size), 0);
+	writeUInt(buf, n, 1, size);
+	return buf;
+}
+
+/**
+ * Encodes the marker and length of a variable length object.
+ *
+ * @param {Number} type - The object type.
+ * @param {Number} len - The number of elements in the object.
+ * @returns {Buffer}
+ */
+function encodeLength(type, len) {
+	if (len < 0xF) {
+		return Buffer.from([ (type << 4) | len ]);
+	}
+	return Buffer.concat([ Buffer.from([ (type << 4) | 0xF ]), encodeInt(len) ]);
+}
+
+/**
+ * Encodes a single object.
+ *
+ * @param {Object} obj - The object descriptor containing the `value`, whether it's a `real`, and
+ * the `refs` to nested objects.
+ * @param {Number} refSize - The number of bytes for each object reference.
+ * @returns {Buffer}
+ */
+function encodeObject({ real, refs, value }, refSize) {
+	if (typeof value === 'boolean') {
+		return Buffer.from([ value ? 0x09 : 0x08 ]);
+	}
+
+	if (typeof value === 'number') {
+		if (Number.isInteger(value) && !real) {
+			return encodeInt(value);
+		}
+		const buf = Buffer.alloc(9);
+		buf.writeUInt8(0x23, 0);
+		buf.writeDoubleBE(value, 1);
+		return buf;
+	}
+
+	if (value instanceof Date) {
+		const buf = Buffer.alloc(9);
+		buf.writeUInt8(0x33, 0);
+		buf.writeDoubleBE(value.getTime() / 1000 - epochOffset, 1);
+		return buf;
+	}
+
+	if (Buffer.isBuffer(value)) {
+		return Buffer.concat([ encodeLength(0x4, value.length), value ]);
+	}
+
+	if (typeof value === 'string') {
+		if (/^[\x00-\x7f]*$/.test(value)) {
+			return Buffer.concat([ encodeLength(0x5, value.length), Buffer.from(value, 'ascii') ]);
+		}
+		return Buffer.concat([ encodeLength(0x6, value.length), Buffer.from(value, 'utf16le').swap16() ]);
+	}
+
+	const isArray = Array.isArray(value);
+	const head = encodeLength(isArray ? 0xA : 0xD, isArray ? refs.length : refs.length / 2);
+	const body = Buffer.alloc(refs.length * refSize);
+	refs.forEach((ref, i) => writeUInt(body, ref, i * refSize, refSize));
+	return Buffer.concat([ head, body ]);
+}
+
+/**
+ * Reads a big-endian unsigned integer.
+ *
+ * @param {Buffer} buf - The buffer to read from.
+ * @param {Number} pos - The offset to read at.
+ * @param {Number} size - The number of bytes to read.
+ * @returns {Number}
+ */
+function readUInt(buf, pos, size) {
+	return size === 8 ? Number(buf.readBigUInt64BE(pos)) : buf.readUIntBE(pos, size);
+}
+
+/**
+ * Writes a big-endian unsigned integer.
+ *
+ * @param {Buffer} buf - The buffer to write to.
+ * @param {Number} n - The number to write.
+ * @param {Number} pos - The offset to write at.
+ * @param {Number} size - The number of bytes to write.
+ */
+function writeUInt(buf, n, pos, size) {
+	if (size === 8) {
+		buf.writeBigUInt64BE(BigInt(n), pos);
+	} else {
+		buf.writeUIntBE(n, pos, size);
+	}
+}
@@ -0,0 +1,14 @@
+/**
+ * Ensures an array does not contain `null` or `undefined` items. Property lists have no null
+ * type and omitting the items would shift the index of every item after them.
+ *
+ * @param {Array} arr - The array to check.
+ * @param {Array.<String>} key - The key path of the array, used for the error message.
+ */
+export function assertNoNullItems(arr, key) {
+	for (let i = 0; i < arr.length; i++) {
+		if (arr[i] === null || arr[i] === undefined) {
+			throw new TypeError(`Unable to save ${arr[i]} array item "${[ ...key, i ].join('.')}" because plists do not support null values`);
+		}
+	}
+}
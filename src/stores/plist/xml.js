@@ -0,0 +1,159 @@
+import { DOMParser } from '@xmldom/xmldom';
+import { assertNoNullItems } from './util.js';
+import { dom } from '../xml/util.js';
+import { isScalar } from '../../util.js';
+
+/**
+ * Builds an XML property list.
+ *
+ * @param {*} value - The value to encode. `null` object values are omitted and `null` array
+ * items are an error since plists have no null type.
+ * @param {Object} [opts] - Various options.
+ * @param {String} [opts.indent='\t'] - The indentation for each level.
+ * @param {String} [opts.lineEnding='\n'] - The line ending to use.
+ * @param {Set.<String>} [opts.reals] - A set of key paths joined by null characters for numbers
+ * that must be encoded as reals even if they are integers.
+ * @returns {String}
+ */
+export function build(value, { indent = '\t', lineEnding = '\n', reals = new Set() } = {}) {
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+		'<plist version="1.0">'
+	];
+
+	const add = (value, key, depth) => {
+		const pad = indent.repeat(depth);
+
+		if (Array.isArray(value) || !isScalar(value)) {
+			const tag = Array.isArray(value) ? 'array' : 'dict';
+			if (tag === 'array') {
+				assertNoNullItems(value, key);
+			}
+			const keys = Object.keys(value).filter(k => value[k] !== null && value[k] !== undefined);
+			if (!keys.length) {
+				lines.push(`${pad}<${tag}/>`);
+				return;
+			}
+			lines.push(`${pad}<${tag}>`);
+			for (const k of keys) {
+				if (tag === 'dict') {
+					lines.push(`${pad}${indent}<key>${escape(k)}</key>`);
+				}
+				add(value[k], [ ...key, k ], depth + 1);
+			}
+			lines.push(`${pad}</${tag}>`);
+		} else if (typeof value === 'boolean') {
+			lines.push(`${pad}<${value}/>`);
+		} else if (typeof value === 'number') {
+			const tag = Number.isInteger(value) && !reals.has(key.join('\0')) ? 'integer' : 'real';
+			lines.push(`${pad}<${tag}>${value}</${tag}>`);
+		} else if (value instanceof Date) {
+			lines.push(`${pad}<date>${value.toISOString().replace(/\.\d+Z$/, 'Z')}</date>`);
+		} else if (Buffer.isBuffer(value)) {
+			lines.push(`${pad}<data>${value.toString('base64')}</data>`);
+		} else {
+			lines.push(`${pad}<string>${escape(String(value))}</string>`);
+		}
+	};
+
+	add(value, [], 0);
+	lines.push('</plist>', '');
+
+	return lines.join(lineEnding);
+}
+
+/**
+ * Parses an XML property list.
+ *
+ * @param {String} str - The XML property list.
+ * @param {Set.<String>} [reals] - A set to add the key paths of real numbers to.
+ * @returns {*}
+ */
+export function parse(str, reals = new Set()) {
+	let errorMsg;
+	const parser = new DOMParser({
+		errorHandler: err => errorMsg = err
+	});
+	const doc = parser.parseFromString(str, 'text/xml');
+	if (errorMsg) {
+		throw new Error(errorMsg);
+	}
+
+	const root = doc.documentElement;
+	if (!root || root.tagName !== 'plist') {
+		throw new Error('Expected XML plist to have a "plist" root element');
+	}
+
+	const parseNode = (node, key) => {
+		const text = node.textContent;
+
+		switch (node.tagName) {
+			case 'dict':
+				const obj = {};
+				const children = elements(node);
+				for (let i = 0; i < children.length; i += 2) {
+					if (children[i].tagName !== 'key' || !children[i + 1]) {
+						throw new Error('Expected plist dict to contain key and value pairs');
+					}
+					const k = children[i].textContent;
+					obj[k] = parseNode(children[i + 1], [ ...key, k ]);
+				}
+				return obj;
+
+			case 'array':
+				return elements(node).map((child, i) => parseNode(child, [ ...key, String(i) ]));
+
+			case 'string':
+				return text;
+
+			case 'integer':
+				return Number(text.trim());
+
+			case 'real':
+				reals.add(key.join('\0'));
+				return Number(text.trim());
+
+			case 'true':
+			case 'false':
+				return node.tagName === 'true';
+
+			case 'date':
+				return new Date(text.trim());
+
+			case 'data':
+				return Buffer.from(text.replace(/\s+/g, ''), 'base64');
+		}
+
+		throw new Error(`Unsupported plist type "${node.tagName}"`);
+	};
+
+	const [ top ] = elements(root);
+	return top ? parseNode(top, []) : {};
+}
+
+/**
+ * Returns the child elements of a DOM node.
+ *
+ * @param {Object} node - The DOM node.
+ * @returns {Array.<Object>}
+ */
+function elements(node) {
+	const result = [];
+	for (let child = node.firstChild; child; child = child.nextSibling) {
+		if (child.nodeType === dom.ELEMENT_NODE) {
+			result.push(child);
+		}
+	}
+	return result;
+}
+
+/**
+ * Escapes special XML characters.
+ *
+ * @param {String} str - The string to escape.
+ * @returns {String}
+ */
+function escape(str) {
+	return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
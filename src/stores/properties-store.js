@@ -0,0 +1,340 @@
+import fs from 'fs-extra';
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import { detectLineEndings, isScalar, splitKey } from '../util.js';
+import { move, writeFile } from '../fsutil.js';
+
+const { log } = snooplogg('config-kit')('properties-store');
+const { highlight } = snooplogg.styles;
+
+const commentRE = /^\s*[#!]/;
+const escapes = {
+	f: '\f',
+	n: '\n',
+	r: '\r',
+	t: '\t'
+};
+
+/**
+ * Loads Java `.properties` config files.
+ *
+ * Dotted keys are split into key paths the same way as keys passed into `Config` methods, so
+ * `server.port=8080` is mapped to `{ server: { port: '8080' } }`. A key cannot be both a value and
+ * the prefix of another key, such as `a=1` and `a.b=2`, and loading such a file errors.
+ * Unicode escapes and line continuations are supported. Values are always strings. The original
+ * lines are retained so that comments and ordering are preserved when the file is saved.
+ */
+export default class PropertiesStore extends JSONStore {
+	/**
+	 * The file extension associated to this type of store.
+	 * @type {String}
+	 */
+	static extension = '.properties';
+
+	/**
+	 * The parsed lines of the loaded file.
+	 * @type {Array.<Object>}
+	 */
+	lines = [];
+
+	/**
+	 * The line ending to write.
+	 * @type {String}
+	 */
+	lineEnding = '\n';
+
+	/**
+	 * The text between a key and its value for new entries.
+	 * @type {String}
+	 */
+	separator = '=';
+
+	/**
+	 * When `true`, the file ends with a line ending.
+	 * @type {Boolean}
+	 */
+	trailingLineEnding = true;
+
+	/**
+	 * Loads a config file.
+	 *
+	 * @param {String} file - The path to the config file to load.
+	 * @returns {Promise} Resolves this `PropertiesStore` instance.
+	 * @access public
+	 */
+	async load(file) {
+		if (!fs.existsSync(file)) {
+			const err = new Error(`File not found: ${file}`);
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		let content;
+
+		log(`Loading ${highlight(file)}`);
+		try {
+			content = await fs.readFile(file, 'utf8');
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		const { data, lines } = parse(content);
+
+		Node.merge(this.data, data);
+
+		this.lines              = lines;
+		this.lineEnding         = detectLineEndings(content);
+		this.separator          = lines.find(line => line.type === 'entry' && line.separator)?.separator || '=';
+		this.trailingLineEnding = !content || /[\r\n]$/.test(content);
+
+		return this;
+	}
+
+	/**
+	 * Saves the data to disk.
+	 *
+	 * @param {String} file - The filename to save the data to.
+	 * @returns {Promise} Resolves this `PropertiesStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (!file || typeof file !== 'string') {
+			throw new TypeError('Expected config file path to be a string');
+		}
+
+		const ext = path.extname(file);
+		if (!this.anyExtension && ext !== PropertiesStore.extension) {
+			throw new Error(`Expected properties config file to have "${PropertiesStore.extension}" extension, found "${ext}"`);
+		}
+
+		const tmpFile = `${file}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, this.toString(), { applyOwner: this.applyOwner });
+		await move(tmpFile, file, { applyOwner: this.applyOwner });
+		log(`Wrote config file: ${highlight(file)}`);
+
+		return this;
+	}
+
+	/**
+	 * Returns the data as a properties file. Lines from the loaded file are reused for values that
+	 * have not changed and new properties are appended to the end. Nested objects and arrays are
+	 * flattened into dotted keys.
+	 *
+	 * @returns {String}
+	 * @access public
+	 */
+	toString() {
+		const values = flatten(this.data);
+		const written = new Set();
+		const out = [];
+
+		for (const line of this.lines) {
+			if (line.type !== 'entry') {
+				out.push(line.raw);
+				continue;
+			}
+
+			if (!values.has(line.key) || written.has(line.key)) {
+				continue;
+			}
+			written.add(line.key);
+
+			const value = values.get(line.key);
+			if (value === line.value) {
+				out.push(...line.raw.split('\n'));
+			} else {
+				out.push(`${line.prefix}${line.separator || this.separator}${escape(value)}`);
+			}
+		}
+
+		for (const [ key, value ] of values) {
+			if (!written.has(key)) {
+				out.push(`${escape(key, true)}${this.separator}${escape(value)}`);
+			}
+		}
+
+		if (!out.length) {
+			return '';
+		}
+
+		return out.join(this.lineEnding) + (this.trailingLineEnding ? this.lineEnding : '');
+	}
+}
+
+/**
+ * Escapes a key or value. Characters outside of the printable ASCII range are written as unicode
+ * escapes so that the file can be read using either ISO 8859-1 or UTF-8.
+ *
+ * @param {String} str - The string to escape.
+ * @param {Boolean} [isKey=false] - When `true`, escapes characters that would end the key.
+ * @returns {String}
+ */
+function escape(str, isKey) {
+	let result = '';
+	for (let i = 0; i < str.length; i++) {
+		const c = str[i];
+		const code = str.charCodeAt(i);
+		if (c === '\\') {
+			result += '\\\\';
+		} else if (c === '\t') {
+			result += '\\t';
+		} else if (c === '\n') {
+			result += '\\n';
+		} else if (c === '\r') {
+			result += '\\r';
+		} else if (c === '\f') {
+			result += '\\f';
+		} else if (c === ' ' && (isKey || i === 0)) {
+			result += '\\ ';
+		} else if (isKey ? '=:#!'.includes(c) : i === 0 && '#!'.includes(c)) {
+			result += `\\${c}`;
+		} else if (code < 0x20 || code > 0x7e) {
+			result += `\\u${code.toString(16).toUpperCase().padStart(4, '0')}`;
+		} else {
+			result += c;
+		}
+	}
+	return result;
+}
+
+/**
+ * Flattens an object into a map of dotted keys and their string values. Array elements are keyed
+ * by their index.
+ *
+ * @param {Object} data - The data to flatten.
+ * @returns {Map}
+ */
+function flatten(data) {
+	const values = new Map();
+
+	(function walk(obj, key) {
+		for (const [ prop, value ] of Object.entries(obj)) {
+			if (value === undefined) {
+				continue;
+			}
+			if (isScalar(value)) {
+				values.set(
+					[ ...key, prop ].join('.'),
+					value === null ? '' : value instanceof Date ? value.toISOString() : String(value)
+				);
+			} else {
+				walk(value, [ ...key, prop ]);
+			}
+		}
+	}(data, []));
+
+	return values;
+}
+
+/**
+ * Parses the contents of a properties file.
+ *
+ * @param {String} content - The properties file contents.
+ * @returns {Object} The parsed `data` and an array of `lines`.
+ */
+function parse(content) {
+	const data = {};
+	const lines = [];
+	const rawLines = content.split(/\r\n|\r|\n/);
+
+	if (rawLines[rawLines.length - 1] === '') {
+		// the file ends with a line ending
+		rawLines.pop();
+	}
+
+	for (let i = 0; i < rawLines.length; i++) {
+		let raw = rawLines[i];
+
+		if (!raw.trim()) {
+			lines.push({ type: 'blank', raw });
+			continue;
+		}
+
+		if (commentRE.test(raw)) {
+			lines.push({ type: 'comment', raw });
+			continue;
+		}
+
+		// join continued lines, discarding the leading whitespace of each continuation line
+		const start = i;
+		let logical = raw;
+		while (/(^|[^\\])(\\\\)*\\$/.test(logical) && i + 1 < rawLines.length) {
+			raw += `\n${rawLines[++i]}`;
+			logical = logical.slice(0, -1) + rawLines[i].replace(/^[ \t\f]+/, '');
+		}
+		if (/(^|[^\\])(\\\\)*\\$/.test(logical)) {
+			logical = logical.slice(0, -1);
+		}
+
+		const indent = logical.match(/^[ \t\f]*/)[0];
+		let p = indent.length;
+		while (p < logical.length && !'=: \t\f'.includes(logical[p])) {
+			p += logical[p] === '\\' ? 2 : 1;
+		}
+		const rawKey = logical.slice(indent.length, p);
+		const separator = logical.slice(p).match(/^[ \t\f]*[=:]?[ \t\f]*/)[0];
+		const name = unescape(rawKey);
+		const value = unescape(logical.slice(p + separator.length));
+		let key;
+
+		try {
+			key = splitKey(name);
+		} catch (e) {
+			throw new Error(`Failed to load config file: Invalid key "${name}" on line ${start + 1}`);
+		}
+
+		lines.push({
+			type: 'entry',
+			key: key.join('.'),
+			line: start + 1,
+			prefix: `${indent}${rawKey}`,
+			raw,
+			segments: key,
+			separator,
+			value
+		});
+	}
+
+	// a key that is also the prefix of another key, such as `a=1` and `a.b=2`, can't be both a
+	// value and an object
+	const entries = lines.filter(line => line.type === 'entry');
+	const keys = new Map(entries.map(line => [ line.key, line ]));
+
+	for (const { line, segments: key, value } of entries) {
+		for (let i = 1; i < key.length; i++) {
+			const prefix = keys.get(key.slice(0, i).join('.'));
+			if (prefix) {
+				throw new Error(`Failed to load config file: Key "${key.join('.')}" on line ${line} conflicts with key "${prefix.key}" on line ${prefix.line}`);
+			}
+		}
+
+		let obj = data;
+		for (const segment of key.slice(0, -1)) {
+			if (isScalar(obj[segment])) {
+				obj[segment] = {};
+			}
+			obj = obj[segment];
+		}
+		obj[key[key.length - 1]] = value;
+	}
+
+	return { data, lines };
+}
+
+/**
+ * Replaces escape sequences in a key or value.
+ *
+ * @param {String} str - The string to unescape.
+ * @returns {String}
+ */
+function unescape(str) {
+	return str.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (s, c) => {
+		if (c[0] === 'u' && c.length === 5) {
+			return String.fromCharCode(parseInt(c.slice(1), 16));
+		}
+		return escapes[c] || c;
+	});
+}
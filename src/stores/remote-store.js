@@ -0,0 +1,459 @@
+import fs from 'fs-extra';
+import http from 'http';
+import https from 'https';
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import YAML from 'yaml';
+import { isScalar } from '../util.js';
+import { move, writeFile } from '../fsutil.js';
+
+const { log } = snooplogg('config-kit')('remote-store');
+const { highlight } = snooplogg.styles;
+
+/**
+ * The maximum number of redirects to follow when fetching the config.
+ * @type {Number}
+ */
+const maxRedirects = 5;
+
+/**
+ * Fetches a JSON or YAML config document from an HTTP or HTTPS URL.
+ *
+ * Requests send the last `ETag` in an `If-None-Match` header so unchanged documents aren't
+ * downloaded again. The last successfully fetched document is written to the cache file and used
+ * when the URL cannot be reached. When a poll interval is set, the URL is fetched again on an
+ * interval and the data is updated in place so watch handlers are notified of changes.
+ */
+export default class RemoteStore extends JSONStore {
+	/**
+	 * Remote stores are not associated to a file extension.
+	 * @type {String}
+	 */
+	static extension = null;
+
+	/**
+	 * The error from the last failed fetch or `null` if the last fetch succeeded.
+	 * @type {Error}
+	 */
+	error = null;
+
+	/**
+	 * The entity tag of the last fetched document.
+	 * @type {String}
+	 */
+	etag = null;
+
+	/**
+	 * The poll timer.
+	 * @type {Timeout}
+	 */
+	timer = null;
+
+	/**
+	 * Initializes the store.
+	 *
+	 * @param {Object} opts - Various options.
+	 * @param {String} [opts.cacheFile] - The path to cache the last fetched document to.
+	 * @param {Object} [opts.data] - A data object to initialize the store with.
+	 * @param {String} [opts.format] - The document format, either `"json"` or `"yaml"`. Defaults to
+	 * detecting the format from the response content type or the URL's file extension.
+	 * @param {Object} [opts.headers] - Additional request headers such as `Authorization`.
+	 * @param {Number} [opts.maxSize=10485760] - The maximum number of bytes to download. The
+	 * request is aborted once the response is larger.
+	 * @param {Number} [opts.pollInterval] - The number of milliseconds between fetches after the
+	 * store is loaded. When not set, the URL is only fetched when loading or refreshing.
+	 * @param {Number} [opts.timeout=10000] - The number of milliseconds to wait for a response.
+	 * @param {String} opts.url - The `http` or `https` URL to fetch the config from.
+	 * @access public
+	 */
+	constructor(opts = {}) {
+		super(opts);
+
+		if (!opts.url || typeof opts.url !== 'string' || !/^https?:\/\//i.test(opts.url)) {
+			throw new TypeError('Expected url to be an http or https URL');
+		}
+
+		if (opts.cacheFile !== undefined && (!opts.cacheFile || typeof opts.cacheFile !== 'string')) {
+			throw new TypeError('Expected cache file to be a non-empty string');
+		}
+
+		if (opts.format !== undefined && opts.format !== 'json' && opts.format !== 'yaml') {
+			throw new TypeError('Expected format to be "json" or "yaml"');
+		}
+
+		if (opts.headers !== undefined && (!opts.headers || typeof opts.headers !== 'object')) {
+			throw new TypeError('Expected headers to be an object');
+		}
+
+		if (opts.maxSize !== undefined && (typeof opts.maxSize !== 'number' || opts.maxSize <= 0)) {
+			throw new TypeError('Expected max size to be a positive number');
+		}
+
+		if (opts.pollInterval !== undefined && (typeof opts.pollInterval !== 'number' || opts.pollInterval <= 0)) {
+			throw new TypeError('Expected poll interval to be a positive number');
+		}
+
+		if (opts.timeout !== undefined && (typeof opts.timeout !== 'number' || opts.timeout <= 0)) {
+			throw new TypeError('Expected timeout to be a positive number');
+		}
+
+		/**
+		 * The path to cache the last fetched document to.
+		 * @type {String}
+		 */
+		this.cacheFile = opts.cacheFile || null;
+
+		/**
+		 * The document format or `null` to auto-detect it.
+		 * @type {String}
+		 */
+		this.format = opts.format || null;
+
+		/**
+		 * Additional request headers.
+		 * @type {Object}
+		 */
+		this.headers = opts.headers || {};
+
+		/**
+		 * The maximum number of bytes to download.
+		 * @type {Number}
+		 */
+		this.maxSize = opts.maxSize || 10485760;
+
+		/**
+		 * The number of milliseconds between fetches.
+		 * @type {Number}
+		 */
+		this.pollInterval = opts.pollInterval || null;
+
+		/**
+		 * The number of milliseconds to wait for a response.
+		 * @type {Number}
+		 */
+		this.timeout = opts.timeout || 10000;
+
+		/**
+		 * The URL to fetch the config from.
+		 * @type {String}
+		 */
+		this.url = opts.url;
+	}
+
+	/**
+	 * Fetches the config and starts polling if a poll interval is set. If the fetch fails, the
+	 * cached document is loaded instead.
+	 *
+	 * @param {String} [url] - The URL to fetch. Defaults to the store's URL.
+	 * @returns {Promise} Resolves this `RemoteStore` instance.
+	 * @access public
+	 */
+	async load(url) {
+		if (url !== undefined) {
+			if (!url || typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+				throw new TypeError('Expected url to be an http or https URL');
+			}
+			this.url = url;
+		}
+
+		const cache = await this.readCache();
+		if (cache) {
+			this.etag = cache.etag;
+		}
+
+		try {
+			if (!await this.refresh({ throw: true }) && cache) {
+				log(`${highlight(this.url)} not modified, using cache`);
+				replace(this.data, cache.data);
+			}
+		} catch (err) {
+			if (!cache) {
+				throw err;
+			}
+			log(`${err.message}, falling back to cache: ${highlight(this.cacheFile)}`);
+			this.etag = cache.etag;
+			replace(this.data, cache.data);
+		}
+
+		this.start();
+
+		return this;
+	}
+
+	/**
+	 * Reads the cache file if it exists and was written for the current URL.
+	 *
+	 * @returns {Promise} Resolves the cache contents or `undefined` if there's no usable cache.
+	 * @access private
+	 */
+	async readCache() {
+		if (!this.cacheFile || !fs.existsSync(this.cacheFile)) {
+			return;
+		}
+
+		try {
+			const cache = await fs.readJson(this.cacheFile);
+			if (cache?.url === this.url && cache.data && typeof cache.data === 'object') {
+				return cache;
+			}
+			log(`Ignoring cache for different URL: ${highlight(this.cacheFile)}`);
+		} catch (e) {
+			log(`Ignoring invalid cache file: ${highlight(this.cacheFile)}: ${e.message}`);
+		}
+	}
+
+	/**
+	 * Fetches the config from the URL and updates the data if it changed.
+	 *
+	 * @param {Object} [opts] - Various options.
+	 * @param {Boolean} [opts.throw=false] - When `true`, errors are thrown instead of being stored
+	 * in `error` and the current data being kept.
+	 * @returns {Promise} Resolves `true` if a new document was fetched or `false` if the document
+	 * was not modified or the fetch failed.
+	 * @access public
+	 */
+	async refresh(opts = {}) {
+		let response;
+
+		try {
+			response = await request(this.url, {
+				headers: {
+					accept: 'application/json, application/yaml;q=0.9, */*;q=0.8',
+					...this.headers,
+					...(this.etag ? { 'if-none-match': this.etag } : {})
+				},
+				maxSize: this.maxSize,
+				timeout: this.timeout
+			});
+
+			if (response.status === 304) {
+				this.error = null;
+				return false;
+			}
+
+			if (response.status < 200 || response.status >= 300) {
+				throw new Error(`Server responded with status ${response.status}`);
+			}
+
+			const data = parse(response.body, this.format || detectFormat(this.url, response.headers['content-type']));
+
+			this.error = null;
+			this.etag = response.headers.etag || null;
+			replace(this.data, data);
+			await this.writeCache(data);
+		} catch (e) {
+			e.message = `Failed to fetch remote config: ${e.message}`;
+			if (opts.throw) {
+				throw e;
+			}
+			log(e.message);
+			this.error = e;
+			return false;
+		}
+
+		log(`Fetched ${highlight(this.url)}`);
+		return true;
+	}
+
+	/**
+	 * Remote config cannot be saved.
+	 *
+	 * @returns {Promise}
+	 * @access public
+	 */
+	async save() {
+		throw new Error('Saving remote config is unsupported');
+	}
+
+	/**
+	 * Starts polling the URL if a poll interval is set and polling has not already started. The
+	 * timer does not keep the process alive.
+	 *
+	 * @returns {RemoteStore}
+	 * @access public
+	 */
+	start() {
+		if (this.pollInterval && !this.timer) {
+			const poll = () => {
+				this.timer = setTimeout(async () => {
+					await this.refresh();
+					if (this.timer) {
+						poll();
+					}
+				}, this.pollInterval);
+				this.timer.unref?.();
+			};
+			log(`Polling ${highlight(this.url)} every ${this.pollInterval}ms`);
+			poll();
+		}
+		return this;
+	}
+
+	/**
+	 * Stops polling the URL.
+	 *
+	 * @returns {RemoteStore}
+	 * @access public
+	 */
+	stop() {
+		if (this.timer) {
+			clearTimeout(this.timer);
+			this.timer = null;
+		}
+		return this;
+	}
+
+	/**
+	 * Writes the fetched document to the cache file.
+	 *
+	 * @param {Object} data - The fetched data.
+	 * @returns {Promise}
+	 * @access private
+	 */
+	async writeCache(data) {
+		if (!this.cacheFile) {
+			return;
+		}
+
+		const tmpFile = `${this.cacheFile}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, JSON.stringify({ etag: this.etag, url: this.url, data }, null, 2), { applyOwner: this.applyOwner });
+		await move(tmpFile, this.cacheFile, { applyOwner: this.applyOwner });
+		log(`Wrote cache file: ${highlight(this.cacheFile)}`);
+	}
+}
+
+/**
+ * Determines the document format from the response content type, then the URL's file extension.
+ *
+ * @param {String} url - The URL that was fetched.
+ * @param {String} [contentType] - The response content type.
+ * @returns {String} Either `"json"` or `"yaml"`.
+ */
+function detectFormat(url, contentType) {
+	if (contentType) {
+		if (/yaml/i.test(contentType)) {
+			return 'yaml';
+		}
+		if (/json/i.test(contentType)) {
+			return 'json';
+		}
+	}
+	const ext = path.extname(new URL(url).pathname).toLowerCase();
+	return ext === '.yml' || ext === '.yaml' ? 'yaml' : 'json';
+}
+
+/**
+ * Parses a fetched document.
+ *
+ * @param {String} body - The document contents.
+ * @param {String} format - The document format.
+ * @returns {Object}
+ */
+function parse(body, format) {
+	const data = format === 'yaml' ? YAML.parse(body) : JSON.parse(body);
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		throw new TypeError('Expected config document to be an object');
+	}
+	return data;
+}
+
+/**
+ * Replaces the contents of a node with the specified data. Values are updated in place so that
+ * watch handlers are only notified once and only if something changed.
+ *
+ * @param {Node} node - The node to update.
+ * @param {Object} data - The new data.
+ */
+function replace(node, data) {
+	Node.pause(node);
+
+	(function prune(dest, src) {
+		for (const key of Object.keys(dest)) {
+			if (!Object.prototype.hasOwnProperty.call(src, key)) {
+				delete dest[key];
+			} else if (!isScalar(src[key]) && !Array.isArray(src[key])) {
+				if (isScalar(dest[key]) || Array.isArray(dest[key])) {
+					delete dest[key];
+				} else {
+					prune(dest[key], src[key]);
+				}
+			}
+		}
+	}(node, data));
+
+	Node.merge(node, data);
+	Node.resume(node);
+}
+
+/**
+ * Performs an HTTP GET request and follows redirects. Redirects from `https` to `http` are
+ * refused. When a redirect changes the origin, only the `accept` header is sent to the new origin
+ * so that credentials such as the `authorization` and `cookie` headers are not leaked.
+ *
+ * @param {String} url - The URL to request.
+ * @param {Object} opts - Various options.
+ * @param {Object} opts.headers - The request headers.
+ * @param {Number} opts.maxSize - The maximum number of bytes to download.
+ * @param {Number} opts.timeout - The number of milliseconds to wait for a response.
+ * @param {Number} [redirects=0] - The number of redirects followed so far.
+ * @returns {Promise} Resolves the response `status`, `headers`, and `body`.
+ */
+function request(url, opts, redirects = 0) {
+	return new Promise((resolve, reject) => {
+		const client = /^https:/i.test(url) ? https : http;
+		const req = client.get(url, { headers: opts.headers, timeout: opts.timeout }, res => {
+			const { headers, statusCode: status } = res;
+
+			if (status >= 300 && status < 400 && status !== 304 && headers.location) {
+				res.resume();
+				if (redirects >= maxRedirects) {
+					return reject(new Error('Too many redirects'));
+				}
+
+				const from = new URL(url);
+				const to = new URL(headers.location, url);
+				if (from.protocol === 'https:' && to.protocol !== 'https:') {
+					return reject(new Error(`Refusing to follow redirect from ${from.href} to insecure URL ${to.href}`));
+				}
+
+				if (from.origin === to.origin) {
+					return resolve(request(to.href, opts, redirects + 1));
+				}
+
+				log(`Redirected to ${highlight(to.origin)}, dropping request headers`);
+				const accept = Object.keys(opts.headers).find(name => name.toLowerCase() === 'accept');
+				return resolve(request(to.href, {
+					...opts,
+					headers: accept ? { accept: opts.headers[accept] } : {}
+				}, redirects + 1));
+			}
+
+			const tooLarge = () => new Error(`Response exceeded the maximum size of ${opts.maxSize} bytes`);
+			if (Number(headers['content-length']) > opts.maxSize) {
+				return req.destroy(tooLarge());
+			}
+
+			const chunks = [];
+			let size = 0;
+			res.on('data', chunk => {
+				size += chunk.length;
+				if (size > opts.maxSize) {
+					req.destroy(tooLarge());
+				} else {
+					chunks.push(chunk);
+				}
+			});
+			res.on('end', () => {
+				if (size <= opts.maxSize) {
+					resolve({ body: Buffer.concat(chunks).toString('utf8'), headers, status });
+				}
+			});
+			res.on('error', reject);
+		});
+
+		req.on('error', reject);
+		req.on('timeout', () => req.destroy(new Error(`Request timed out after ${opts.timeout}ms`)));
+	});
+}
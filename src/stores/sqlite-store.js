@@ -0,0 +1,254 @@
+import fs from 'fs-extra';
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import { isScalar } from '../util.js';
+import { writeFile } from '../fsutil.js';
+
+const { log } = snooplogg('config-kit')('sqlite-store');
+const { highlight } = snooplogg.styles;
+
+/**
+ * Loads SQLite database config files using the `better-sqlite3` package.
+ *
+ * Each value that is a scalar, an array, or an empty object is stored as a row containing the
+ * JSON-encoded key path, the JSON-encoded value, and the time it was last updated. Saving only
+ * writes the rows that changed since the database was loaded, so values changed by other
+ * processes in the meantime are left alone.
+ *
+ * The generic `.db` extension is not registered since it's used by many other file formats. Load
+ * such files using the `format: 'sqlite'` load option.
+ */
+export default class SQLiteStore extends JSONStore {
+	/**
+	 * The file extension associated to this type of store.
+	 * @type {String}
+	 */
+	static extension = '.sqlite';
+
+	/**
+	 * A list of all file extensions associated to this type of store.
+	 * @type {Array.<String>}
+	 */
+	static extensions = [ '.sqlite', '.sqlite3' ];
+
+	/**
+	 * The resolved path of the last loaded or saved database.
+	 * @type {String}
+	 */
+	file = null;
+
+	/**
+	 * A map of encoded key paths to encoded values as of the last load or save. This is used to
+	 * determine which rows need to be written when saving.
+	 * @type {Map}
+	 */
+	rows = new Map();
+
+	/**
+	 * Initializes the store.
+	 *
+	 * @param {Object} [opts] - Various options.
+	 * @param {Object} [opts.data] - A data object to initialize the store with.
+	 * @param {String} [opts.table="config"] - The name of the table containing the config values.
+	 * @access public
+	 */
+	constructor(opts = {}) {
+		super(opts);
+
+		if (opts.table !== undefined && (typeof opts.table !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(opts.table))) {
+			throw new TypeError('Expected table to be a valid SQLite table name');
+		}
+
+		/**
+		 * The name of the table containing the config values.
+		 * @type {String}
+		 */
+		this.table = opts.table || 'config';
+	}
+
+	/**
+	 * Loads a config database.
+	 *
+	 * @param {String} file - The path to the database to load.
+	 * @returns {Promise} Resolves this `SQLiteStore` instance.
+	 * @access public
+	 */
+	async load(file) {
+		if (!fs.existsSync(file)) {
+			const err = new Error(`File not found: ${file}`);
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		const data = {};
+		let rows;
+
+		log(`Loading ${highlight(file)}`);
+		const Database = await loadDriver();
+		const db = new Database(file, { fileMustExist: true, readonly: true });
+		try {
+			rows = readRows(db, this.table);
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		} finally {
+			db.close();
+		}
+
+		for (const [ key, value ] of rows) {
+			let obj = data;
+			const segments = JSON.parse(key);
+			for (let i = 0; i < segments.length - 1; i++) {
+				if (isScalar(obj[segments[i]]) || Array.isArray(obj[segments[i]])) {
+					obj[segments[i]] = {};
+				}
+				obj = obj[segments[i]];
+			}
+			obj[segments[segments.length - 1]] = JSON.parse(value);
+		}
+
+		Node.merge(this.data, data);
+
+		this.file = path.resolve(file);
+		this.rows = rows;
+
+		return this;
+	}
+
+	/**
+	 * Opens a database for writing and creates the config table if it does not exist.
+	 *
+	 * @param {Function} Database - The `better-sqlite3` database class.
+	 * @param {String} file - The path to the database.
+	 * @returns {Database} The `better-sqlite3` database instance.
+	 * @access private
+	 */
+	open(Database, file) {
+		const db = new Database(file);
+		try {
+			db.exec(`CREATE TABLE IF NOT EXISTS "${this.table}" (key TEXT PRIMARY KEY NOT NULL, value TEXT NOT NULL, updated_at INTEGER NOT NULL)`);
+		} catch (e) {
+			db.close();
+			throw e;
+		}
+		return db;
+	}
+
+	/**
+	 * Saves the changed values to a database. If the database is not the one that was loaded,
+	 * then its rows are replaced with the store's values.
+	 *
+	 * @param {String} file - The filename to save the data to.
+	 * @returns {Promise} Resolves this `SQLiteStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (!file || typeof file !== 'string') {
+			throw new TypeError('Expected config file path to be a string');
+		}
+
+		const ext = path.extname(file);
+		if (!this.anyExtension && !SQLiteStore.extensions.includes(ext)) {
+			throw new Error(`Expected SQLite config file to have "${SQLiteStore.extensions.join('" or "')}" extension, found "${ext}"`);
+		}
+
+		const Database = await loadDriver();
+
+		if (!fs.existsSync(file)) {
+			// SQLite treats an empty file as a new database
+			await writeFile(file, '', { applyOwner: this.applyOwner });
+		}
+
+		const current = new Map();
+		for (const [ key, value ] of leaves(this.data)) {
+			current.set(JSON.stringify(key), JSON.stringify(value));
+		}
+
+		const db = this.open(Database, file);
+		try {
+			const previous = path.resolve(file) === this.file ? this.rows : readRows(db, this.table);
+			const remove = db.prepare(`DELETE FROM "${this.table}" WHERE key = ?`);
+			const upsert = db.prepare(`INSERT INTO "${this.table}" (key, value, updated_at) VALUES (?, ?, ?)
+				ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`);
+			const now = Date.now();
+			let changes = 0;
+
+			db.transaction(() => {
+				for (const key of previous.keys()) {
+					if (!current.has(key)) {
+						remove.run(key);
+						changes++;
+					}
+				}
+				for (const [ key, value ] of current) {
+					if (previous.get(key) !== value) {
+						upsert.run(key, value, now);
+						changes++;
+					}
+				}
+			})();
+
+			log(`Wrote ${changes} change${changes === 1 ? '' : 's'} to config file: ${highlight(file)}`);
+		} finally {
+			db.close();
+		}
+
+		this.file = path.resolve(file);
+		this.rows = current;
+
+		return this;
+	}
+}
+
+/**
+ * Walks an object and yields the key and value of each value that is a scalar, an array, or an
+ * empty object.
+ *
+ * @param {*} value - The value to walk.
+ * @param {Array.<String>} [key] - The key of the value.
+ * @yields {Array} The key and value.
+ */
+function* leaves(value, key = []) {
+	if (isScalar(value) || Array.isArray(value) || !Object.keys(value).length) {
+		if (key.length && value !== undefined) {
+			yield [ key, value ];
+		}
+		return;
+	}
+	for (const prop of Object.keys(value)) {
+		yield* leaves(value[prop], [ ...key, prop ]);
+	}
+}
+
+/**
+ * Imports the `better-sqlite3` package.
+ *
+ * @returns {Promise} Resolves the `better-sqlite3` database class.
+ */
+async function loadDriver() {
+	try {
+		return (await import('better-sqlite3')).default;
+	} catch (e) {
+		throw new Error('Using SQLite config files requires the "better-sqlite3" package');
+	}
+}
+
+/**
+ * Reads all rows from the config table. A database without the config table has no rows.
+ *
+ * @param {Database} db - The database instance.
+ * @param {String} table - The name of the config table.
+ * @returns {Map} A map of encoded key paths to encoded values.
+ */
+function readRows(db, table) {
+	const rows = new Map();
+	if (!db.prepare('SELECT 1 FROM sqlite_master WHERE type = \'table\' AND name = ?').get(table)) {
+		return rows;
+	}
+	for (const { key, value } of db.prepare(`SELECT key, value FROM "${table}" ORDER BY key`).iterate()) {
+		rows.set(key, value);
+	}
+	return rows;
+}
@@ -0,0 +1,137 @@
+import fs from 'fs-extra';
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import TOML from '@iarna/toml';
+import { isScalar } from '../util.js';
+import { move, writeFile } from '../fsutil.js';
+
+const { log } = snooplogg('config-kit')('toml-store');
+const { highlight } = snooplogg.styles;
+
+/**
+ * Loads `.toml` config files.
+ *
+ * Tables and arrays of tables are mapped to objects and arrays of objects. Date and time values
+ * are preserved as `Date` instances so that they are written back using the same TOML type.
+ */
+export default class TOMLStore extends JSONStore {
+	/**
+	 * The file extension associated to this type of store.
+	 * @type {String}
+	 */
+	static extension = '.toml';
+
+	/**
+	 * Determines if the contents of a file is a TOML document with at least one value.
+	 *
+	 * @param {Buffer} buffer - The file contents.
+	 * @returns {Boolean}
+	 * @access public
+	 */
+	static detect(buffer) {
+		return Object.keys(TOML.parse(buffer.toString('utf8'))).length > 0;
+	}
+
+	/**
+	 * Loads a config file.
+	 *
+	 * @param {String} file - The path to the config file to load.
+	 * @returns {Promise} Resolves this `TOMLStore` instance.
+	 * @access public
+	 */
+	async load(file) {
+		if (!fs.existsSync(file)) {
+			const err = new Error(`File not found: ${file}`);
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		let content;
+		let data;
+
+		log(`Loading ${highlight(file)}`);
+		try {
+			content = await fs.readFile(file, 'utf8');
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		try {
+			data = toPlainObject(TOML.parse(content));
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		Node.merge(this.data, data);
+
+		return this;
+	}
+
+	/**
+	 * Saves the data to disk.
+	 *
+	 * @param {String} file - The filename to save the data to.
+	 * @returns {Promise} Resolves this `TOMLStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (!file || typeof file !== 'string') {
+			throw new TypeError('Expected config file path to be a string');
+		}
+
+		const ext = path.extname(file);
+		if (!this.anyExtension && ext !== TOMLStore.extension) {
+			throw new Error(`Expected TOML config file to have "${TOMLStore.extension}" extension, found "${ext}"`);
+		}
+
+		const tmpFile = `${file}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, this.toString(), { applyOwner: this.applyOwner });
+		await move(tmpFile, file, { applyOwner: this.applyOwner });
+		log(`Wrote config file: ${highlight(file)}`);
+
+		return this;
+	}
+
+	/**
+	 * Returns the data as a TOML-encoded string. Since TOML has no concept of `null`, keys with
+	 * `null` values are omitted.
+	 *
+	 * @returns {String}
+	 * @access public
+	 */
+	toString() {
+		try {
+			return TOML.stringify(toPlainObject(this.data));
+		} catch (e) {
+			e.message = `Failed to serialize TOML config: ${e.message}`;
+			throw e;
+		}
+	}
+}
+
+/**
+ * Deeply copies a value into plain objects and arrays. The TOML parser decorates tables with
+ * symbol properties which must not be copied into the store's nodes.
+ *
+ * @param {*} value - The value to copy.
+ * @returns {*}
+ */
+function toPlainObject(value) {
+	if (isScalar(value)) {
+		return value;
+	}
+
+	if (Array.isArray(value)) {
+		return value.map(toPlainObject);
+	}
+
+	const obj = {};
+	for (const key of Object.keys(value)) {
+		obj[key] = toPlainObject(value[key]);
+	}
+	return obj;
+}
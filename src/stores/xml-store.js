@@ -4,8 +4,9 @@ import path from 'path';
 import snooplogg from 'snooplogg';
 import Store from '../store.js';
 import XNode from './xml/xnode.js';
-import { detectLineEndings, unescapeSequence } from './xml/util.js';
+import { detectLineEndings, unescapeSequence } from '../util.js';
 import { DOMParser } from '@xmldom/xmldom';
+import { getDOMNodeComments } from './xml/util.js';
 import { move, writeFile } from '../fsutil.js';
 
 const { log } = snooplogg('config-kit')('xml');
@@ -13,6 +14,16 @@ const { highlight } = snooplogg.styles;
 
 /**
  * Loads `.xml` config files.
+ *
+ * Without a schema, element values are cast by guessing their type and repeated elements are
+ * grouped into arrays. With a schema, the Joi types determine the value types and which keys are
+ * arrays. Keys beginning with `@` or with `meta({ attribute: true })` map to attributes and
+ * `meta({ tag: 'name' })` maps a key to differently named elements.
+ *
+ * Elements and attributes are keyed by their local name. When a `namespaces` prefix mapping is
+ * specified, names in a namespace are qualified (e.g. `ti:app`) so that elements with the same
+ * local name in different namespaces don't collide. Text in a CDATA section is not cast and stays
+ * in a CDATA section when it's changed.
  */
 export default class XMLStore extends Store {
 	/**
@@ -21,11 +32,24 @@ export default class XMLStore extends Store {
 	 */
 	static extension = '.xml';
 
+	/**
+	 * Determines if the contents of a file is an XML document.
+	 *
+	 * @param {Buffer} buffer - The file contents.
+	 * @returns {Boolean}
+	 * @access public
+	 */
+	static detect(buffer) {
+		return /^\s*(<\?xml[\s?]|<!--|<!DOCTYPE\s|<[A-Za-z_])/.test(buffer.toString('utf8'));
+	}
+
 	/**
 	 * Initializes the store.
 	 *
 	 * @param {Object} [opts] - Various options.
 	 * @param {Object} [opts.data] - A data object to initialize the store with.
+	 * @param {Object} [opts.namespaces] - A map of prefixes to namespace URIs used to qualify
+	 * element and attribute names. An empty prefix maps a namespace to unqualified names.
 	 * @param {Object} [opts.schema] - A Joi schema object. This is only used when a config-kit
 	 * layer is being initialized with an existing `XMLStore` instance or for unit tests.
 	 * @access public
@@ -40,6 +64,18 @@ export default class XMLStore extends Store {
 			this._schema = opts.schema;
 		}
 
+		if (opts.namespaces !== undefined) {
+			if (!opts.namespaces || typeof opts.namespaces !== 'object' || Object.values(opts.namespaces).some(uri => !uri || typeof uri !== 'string')) {
+				throw new TypeError('Expected namespaces to be an object of prefixes to namespace URIs');
+			}
+		}
+
+		/**
+		 * A map of prefixes to namespace URIs.
+		 * @type {Object}
+		 */
+		this.namespaces = opts.namespaces || null;
+
 		this.loadFromString();
 
 		if (opts.data) {
@@ -107,6 +143,42 @@ export default class XMLStore extends Store {
 		return node;
 	}
 
+	/**
+	 * Returns the comments directly preceding the element for the specified key. For an array,
+	 * the comments of the first element are returned.
+	 *
+	 * @param {Array.<String>} key - The key to get the comments for.
+	 * @returns {Array.<String>}
+	 * @access public
+	 */
+	getComments(key) {
+		if (!key?.length) {
+			return [];
+		}
+
+		let parent = this.data;
+		for (let i = 0; i < key.length - 1; i++) {
+			parent = parent?.[key[i]];
+			if (!parent || typeof parent !== 'object') {
+				return [];
+			}
+		}
+
+		const prop = key[key.length - 1];
+		const value = parent[prop];
+		let domNode;
+
+		if (Array.isArray(value)) {
+			domNode = value[0]?.[XNode.Meta]?.domNode || value[XNode.Meta]?.domNodes[0];
+		} else if (value && typeof value === 'object') {
+			domNode = value[XNode.Meta]?.domNode;
+		} else {
+			domNode = parent[XNode.Meta]?.domNodes[prop];
+		}
+
+		return getDOMNodeComments(domNode);
+	}
+
 	/**
 	 * Determines if a key is set.
 	 *
@@ -185,6 +257,7 @@ export default class XMLStore extends Store {
 		doc.lineEnding = detectLineEndings(str);
 		log(`Detected line ending ${highlight(unescapeSequence(doc.lineEnding))} indent ${highlight(unescapeSequence(doc.indent))}`);
 
+		doc.namespaces = this.namespaces;
 		this.doc = doc;
 
 		this.regen();
@@ -238,7 +311,7 @@ export default class XMLStore extends Store {
 		}
 
 		const ext = path.extname(file);
-		if (ext !== XMLStore.extension) {
+		if (!this.anyExtension && ext !== XMLStore.extension) {
 			throw new Error(`Expected XML config file to have "${XMLStore.extension}" extension, found "${ext}"`);
 		}
 
@@ -1,5 +1,7 @@
 import snooplogg from 'snooplogg';
 
+export { detectLineEndings, unescapeSequence } from '../../util.js';
+
 const { log } = snooplogg('config-kit')('xml-util');
 const { highlight } = snooplogg.styles;
 
@@ -64,10 +66,36 @@ export function cast(value, type) {
  * @param {String} name - The name of the DOM node tag.
  * @param {String|Number} value - The text value inside the tag.
  * @param {Object} parent - The parent DOM node to append the new node to.
+ * @param {Object} [before] - A child DOM node of the parent to insert the new node before
+ * instead of appending it.
  * @returns {Object}
  */
-export function createDOMNode(name, value, parent) {
+export function createDOMNode(name, value, parent, before) {
 	const doc = (parent.ownerDocument || parent);
+	const node = createElement(doc, name, parent);
+	if (value && typeof value === 'object') {
+		if (value['#text'] !== undefined) {
+			node.appendChild(doc.createTextNode(String(value['#text'])));
+		}
+		for (const [ attr, val ] of Object.entries(value)) {
+			if (attr[0] === '@' && val !== undefined) {
+				node.setAttribute(attr.substring(1), String(val));
+			}
+		}
+	} else if (value !== undefined) {
+		node.appendChild(doc.createTextNode(String(value)));
+	}
+
+	if (before) {
+		// copy the indentation of the node we're inserting before
+		const ws = before.previousSibling;
+		parent.insertBefore(node, before);
+		if (ws?.nodeType === dom.TEXT_NODE && !ws.data.trim()) {
+			parent.insertBefore(doc.createTextNode(ws.data), before);
+		}
+		return node;
+	}
+
 	const parentIndent = parent.previousSibling?.nodeType === dom.TEXT_NODE && parent.previousSibling.textContent.match(/[ \t]*$/)?.[0] || '';
 	let postText;
 
@@ -83,19 +111,6 @@ export function createDOMNode(name, value, parent) {
 		postText = doc.createTextNode(`${doc.lineEnding}${parentIndent}`);
 	}
 
-	const node = doc.createElement(name);
-	if (value && typeof value === 'object') {
-		if (value['#text'] !== undefined) {
-			node.appendChild(doc.createTextNode(String(value['#text'])));
-		}
-		for (const [ attr, val ] of Object.entries(value)) {
-			if (attr[0] === '@' && val !== undefined) {
-				node.setAttribute(attr.substring(1), String(val));
-			}
-		}
-	} else if (value !== undefined) {
-		node.appendChild(doc.createTextNode(String(value)));
-	}
 	parent.appendChild(node);
 
 	if (postText) {
@@ -105,27 +120,23 @@ export function createDOMNode(name, value, parent) {
 	return node;
 }
 
-const crRE   = /\r/g;
-const crlfRE = /\r\n/g;
-const lfRE   = /\n/g;
-
 /**
- * Detects the line ending for the given string by counting the max occurences of each line ending
- * type. Order of precendence is `\r\n`, `\n`, and `\r`.
+ * Creates an element. If the name is prefixed with a prefix from the document's namespace
+ * mapping, the element is created in that namespace using the prefix declared in the document.
  *
- * @param {String} str - The string to analyze.
- * @returns {String}
+ * @param {Object} doc - The DOM document.
+ * @param {String} name - The element name which may be namespace-qualified.
+ * @param {Object} parent - The parent DOM node used to look up declared prefixes.
+ * @returns {Object}
  */
-export function detectLineEndings(str) {
-	const crlf = str.match(crlfRE)?.length || 0;
-	const cr   = Math.max((str.match(crRE)?.length || 0) - crlf, 0);
-	const lf   = Math.max((str.match(lfRE)?.length || 0) - crlf, 0);
-
-	if (crlf && crlf >= lf && crlf >= cr) {
-		return '\r\n';
+function createElement(doc, name, parent) {
+	const p = name.indexOf(':');
+	const uri = p > 0 && doc.namespaces?.[name.substring(0, p)];
+	if (!uri) {
+		return doc.createElement(name);
 	}
-
-	return cr && cr > lf ? '\r' : '\n';
+	const prefix = parent.lookupPrefix?.(uri) || name.substring(0, p);
+	return doc.createElementNS(uri, `${prefix}:${name.substring(p + 1)}`);
 }
 
 /**
@@ -142,14 +153,15 @@ export function getDOMNodeChildren(domNode) {
 
 		for (let i = 0, l = domNode.childNodes.length; i < l; i++) {
 			const childNode = domNode.childNodes[i];
-			const { localName, nodeName, nodeType } = childNode;
+			const { nodeName, nodeType } = childNode;
 			if (nodeType === dom.ELEMENT_NODE) {
 				log(`      Child ${i} is type ${dom.nodeTypes[nodeType] || 'unknown'} (${nodeType}) ${highlight(`<${nodeName}>`)}`);
 
-				let dest = children[localName];
+				const name = getDOMNodeName(childNode);
+				let dest = children[name];
 				if (!dest) {
-					dest = children[localName] = {
-						name: localName,
+					dest = children[name] = {
+						name,
 						tag: nodeName,
 						parent: domNode
 					};
@@ -169,11 +181,145 @@ export function getDOMNodeChildren(domNode) {
 }
 
 /**
- * Unescapes whitespace escape sequences so they can be printed literally.
+ * Returns the comments directly preceding a DOM node. Only whitespace may separate the comments
+ * from the node.
+ *
+ * @param {Object} domNode - The DOM node.
+ * @returns {Array.<String>}
+ */
+export function getDOMNodeComments(domNode) {
+	const comments = [];
+	for (let node = domNode?.previousSibling; node; node = node.previousSibling) {
+		if (node.nodeType === dom.COMMENT_NODE) {
+			comments.unshift(node.data.trim());
+		} else if (node.nodeType !== dom.TEXT_NODE || node.data.trim()) {
+			break;
+		}
+	}
+	return comments;
+}
+
+/**
+ * Returns the key name for an element or attribute DOM node. When the document has a namespace
+ * mapping, namespaced names are qualified with the mapped prefix or, if the namespace is not
+ * mapped, the prefix used in the document. Otherwise the local name is used.
  *
- * @param {String} str - The string to unescape.
+ * @param {Object} domNode - The element or attribute DOM node.
  * @returns {String}
  */
-export function unescapeSequence(str) {
-	return str.replace(/\r/g, '\\r').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+export function getDOMNodeName(domNode) {
+	const { localName, namespaceURI, prefix } = domNode;
+	const namespaces = (domNode.ownerDocument || domNode).namespaces;
+	if (!namespaces || !namespaceURI) {
+		return localName;
+	}
+	const mapped = Object.keys(namespaces).find(p => namespaces[p] === namespaceURI);
+	if (mapped !== undefined) {
+		return mapped ? `${mapped}:${localName}` : localName;
+	}
+	return prefix ? `${prefix}:${localName}` : localName;
+}
+
+/**
+ * Determines if an element's text is in a CDATA section.
+ *
+ * @param {Object} domNode - The element DOM node.
+ * @returns {Boolean}
+ */
+export function isCDATA(domNode) {
+	for (let node = domNode.firstChild; node; node = node.nextSibling) {
+		if (node.nodeType === dom.CDATA_SECTION_NODE) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * Removes a DOM node along with the whitespace indenting it. When removing an element, the
+ * comments directly preceding it are removed too so that they don't describe the next element.
+ * Comments separated from the element by a blank line describe a whole section and are kept along
+ * with the blank line. If the parent element is left with only whitespace, the whitespace is
+ * removed too so that the parent becomes an empty element.
+ *
+ * @param {Object} domNode - The DOM node to remove.
+ */
+export function removeDOMNode(domNode) {
+	const parent = domNode?.parentNode;
+	if (!parent) {
+		return;
+	}
+
+	let blank = null;
+	let node = domNode.previousSibling;
+	while (node) {
+		const prev = node.previousSibling;
+		if (node.nodeType === dom.TEXT_NODE && !node.data.trim()) {
+			if (node.data.split(/\r\n|\r|\n/).length > 2) {
+				blank = node;
+				break;
+			}
+			parent.removeChild(node);
+		} else if (node.nodeType === dom.COMMENT_NODE && domNode.nodeType === dom.ELEMENT_NODE) {
+			parent.removeChild(node);
+		} else {
+			break;
+		}
+		node = prev;
+	}
+
+	const next = domNode.nextSibling;
+	parent.removeChild(domNode);
+
+	if (blank) {
+		if (next && (next.nextSibling || next.nodeType !== dom.TEXT_NODE || next.data.trim())) {
+			// keep the blank line, but not the indentation since the next node has its own
+			blank.data = blank.data.replace(/(\r\n|\r|\n)[^\r\n]*$/, '');
+		} else {
+			// nothing follows, so the blank line no longer separates anything
+			parent.removeChild(blank);
+		}
+	}
+
+	if (parent.nodeType === dom.ELEMENT_NODE) {
+		for (let node = parent.firstChild; node; node = node.nextSibling) {
+			if (node.nodeType !== dom.TEXT_NODE || node.data.trim()) {
+				return;
+			}
+		}
+		while (parent.firstChild) {
+			parent.removeChild(parent.firstChild);
+		}
+	}
+}
+
+/**
+ * Replaces the text of an element. If the element's text was in a CDATA section, the new text is
+ * also written as a CDATA section. Child elements and comments are left as is.
+ *
+ * @param {Object} domNode - The element DOM node.
+ * @param {*} [value] - The new value. When `undefined`, the text is removed.
+ */
+export function setDOMNodeText(domNode, value) {
+	const doc = domNode.ownerDocument;
+	const cdata = isCDATA(domNode);
+	let hasElements = false;
+	let ref = null;
+
+	for (let node = domNode.firstChild; node; node = node.nextSibling) {
+		hasElements = hasElements || node.nodeType === dom.ELEMENT_NODE;
+	}
+
+	for (let node = domNode.firstChild, next; node; node = next) {
+		next = node.nextSibling;
+		// keep the whitespace indenting child elements
+		if ((node.nodeType === dom.TEXT_NODE && (!hasElements || node.data.trim())) || node.nodeType === dom.CDATA_SECTION_NODE) {
+			ref = next;
+			domNode.removeChild(node);
+		}
+	}
+
+	if (value !== undefined) {
+		domNode.insertBefore(cdata ? doc.createCDATASection(String(value)) : doc.createTextNode(String(value)), ref);
+	}
 }
@@ -1,6 +1,7 @@
 import Node from '../../node.js';
 import snooplogg from 'snooplogg';
-import { cast, createDOMNode, dom, getDOMNodeChildren } from './util.js';
+import { cast, createDOMNode, dom, getDOMNodeChildren, getDOMNodeName, isCDATA, removeDOMNode, setDOMNodeText } from './util.js';
+import { isScalar } from '../../util.js';
 
 const { log } = snooplogg('config-kit')('XNode');
 const { highlight } = snooplogg.styles;
@@ -22,81 +23,226 @@ export default class XNode extends Node {
 		this[XNode.Meta].domNodes = Array.isArray(value) ? [] : {};
 	}
 
+	/**
+	 * Called when a property is deleted from an XNode so that the DOM nodes for the value are
+	 * removed.
+	 *
+	 * @param {Object} params - Various parameters.
+	 * @param {Object} internal - The XNode's metadata object
+	 * @param {String} prop - The property name being deleted.
+	 * @param {Object} target - The XNode's underlying object or array.
+	 * @param {*} value - The deleted value.
+	 */
+	static onDelete({ internal, prop, target, value }) {
+		XNode.onSet({ internal, prop, target, value: undefined, previous: value });
+	}
+
 	/**
 	 * Called when a property is being set on an XNode so that we can link the DOM node to the
-	 * XNode's metadata or create a DOM node if it doesn't exist.
+	 * XNode's metadata, create a DOM node if it doesn't exist, or update or replace the DOM nodes
+	 * of the previous value.
 	 *
 	 * @param {Object} params - Various parameters.
 	 * @param {Object} internal - The XNode's metadata object
 	 * @param {String} prop - The property name being set.
+	 * @param {Object} target - The XNode's underlying object or array.
 	 * @param {*} value - The property value.
+	 * @param {*} [previous] - The value being replaced.
 	 */
-	static onSet({ internal, prop, value }) {
-		if (value === undefined || value === null || prop[0] === '@' || prop === '#text') {
+	static onSet({ internal, prop, target, value, previous }) {
+		const { domNode } = internal;
+		const isArray = Array.isArray(target);
+
+		if (typeof prop !== 'string' || !domNode) {
 			return;
 		}
 
-		let { domNode } = internal;
-		if (!domNode) {
-			for (const parent of internal.parents) {
-				domNode = createDOMNode(prop, undefined, parent);
-				break;
+		if (isArray && prop === 'length') {
+			// the array was truncated
+			for (const node of internal.domNodes.splice(value)) {
+				removeDOMNode(node);
 			}
-			if (!domNode) {
-				return;
+			return;
+		}
+
+		const schema = isArray ? undefined : getKeySchema(internal.schema, prop);
+		const { attribute, tag } = isArray ? { tag: internal.tag } : getSchemaMeta(internal.schema, prop);
+		const isElement = domNode.nodeType === dom.ELEMENT_NODE;
+
+		if (attribute) {
+			if (isElement) {
+				if (value === undefined || value === null) {
+					domNode.removeAttribute(attribute);
+				} else if (!domNode.hasAttribute(attribute) || castText(domNode.getAttribute(attribute), schema) !== value) {
+					domNode.setAttribute(attribute, String(value));
+				}
 			}
+			return;
 		}
 
-		if (Array.isArray(value)) {
-			// check that value[XNode.Meta].domNodes[] has every value has a DOM node
-			for (let i = 0; i < value.length; i++) {
-				if (value[i]?.[XNode.Meta]?.domNode) {
-					value[XNode.Meta].domNodes[i] = value[i][XNode.Meta].domNode;
-				} else if (!value[XNode.Meta].domNodes[i]) {
-					value[XNode.Meta].domNodes[i] = createDOMNode(prop, value[i], domNode);
+		if (prop === '#text') {
+			if (isElement) {
+				if (value === undefined || value === null) {
+					setDOMNodeText(domNode);
+				} else if (domNode.textContent !== String(value) && castText(domNode.textContent, schema) !== value) {
+					setDOMNodeText(domNode, value);
 				}
 			}
 			return;
 		}
 
-		if (typeof value === 'object') {
-			if (value[XNode.Meta]) {
-				const attrs = Object.keys(value).filter(p => p[0] === '@');
-				const children = Object.keys(value).filter(p => p[0] !== '@' && p !== '#text');
-				const text = Object.prototype.hasOwnProperty.call(value, '#text') ? value['#text'] : undefined;
+		const current = internal.domNodes[prop];
+		const previousNodes = Array.isArray(previous) && previous[XNode.Meta] ? previous[XNode.Meta].domNodes.filter(Boolean) : current ? [ current ] : [];
 
-				if (!value[XNode.Meta].domNode && (children.length || text === undefined)) {
-					value[XNode.Meta].domNode = createDOMNode(prop, text, domNode);
-				}
-				if (value[XNode.Meta].domNode) {
-					for (const attr of attrs) {
-						if (value[attr] !== undefined) {
-							value[XNode.Meta].domNode.setAttribute(attr.substring(1), String(value[attr]));
-						}
-					}
-				}
+		if (value === undefined || value === null) {
+			for (const node of previousNodes) {
+				removeDOMNode(node);
+			}
+			delete internal.domNodes[prop];
+			return;
+		}
+
+		if (isScalar(value) && current && !previous?.[XNode.Meta]) {
+			// only rewrite the text if it changed so that the original formatting is preserved
+			if (current.textContent !== String(value) && castText(current.textContent, schema) !== value) {
+				log(`Updating DOM node ${highlight(`<${tag}>`)}`);
+				setDOMNodeText(current, value);
 			}
 			return;
 		}
 
-		if (internal.domNodes[prop]) {
+		// new DOM nodes replace the previous ones in place, otherwise array elements are inserted
+		// next to their siblings and everything else is appended
+		const before = previousNodes[0] || (isArray ? findNextDOMNode(internal, Number(prop)) : undefined);
+
+		if (Array.isArray(value)) {
+			const valueMeta = value[XNode.Meta];
+			valueMeta.domNode = domNode;
+			valueMeta.tag = tag;
+			for (let i = 0; i < value.length; i++) {
+				const node = value[i]?.[XNode.Meta]?.domNode || valueMeta.domNodes[i];
+				valueMeta.domNodes[i] = node || linkDOMNode(value[i], tag, domNode, before);
+			}
+			for (const node of previousNodes) {
+				if (!valueMeta.domNodes.includes(node)) {
+					removeDOMNode(node);
+				}
+			}
+			delete internal.domNodes[prop];
 			return;
 		}
 
-		log(`Creating new DOM node ${highlight(`<${prop}>`)}`);
-		if (!Array.isArray(internal.domNodes[prop])) {
-			internal.domNodes[prop] = [];
+		if (!isScalar(value)) {
+			const valueMeta = value[XNode.Meta];
+			if (!valueMeta.schema && schema?.type === 'object') {
+				valueMeta.schema = schema;
+			}
+			if (!valueMeta.domNode) {
+				log(`Creating new DOM node ${highlight(`<${tag}>`)}`);
+				linkDOMNode(value, tag, domNode, before);
+			}
+			internal.domNodes[prop] = valueMeta.domNode;
+		} else {
+			log(`Creating new DOM node ${highlight(`<${tag}>`)}`);
+			internal.domNodes[prop] = createDOMNode(tag, value, domNode, before);
 		}
 
-		internal.domNodes[prop].push(createDOMNode(prop, value, domNode));
+		for (const node of previousNodes) {
+			if (node !== internal.domNodes[prop]) {
+				removeDOMNode(node);
+			}
+		}
+	}
+
+	/**
+	 * Called after an array XNode's elements have been added or removed so that the elements' DOM
+	 * nodes are kept in the same order. Elements that are plain objects are linked when they are
+	 * converted to XNodes.
+	 *
+	 * @param {Object} params - Various parameters.
+	 * @param {Object} internal - The array XNode's metadata object
+	 * @param {XNode} node - The array XNode.
+	 * @param {Number} start - The index where elements were added or removed.
+	 * @param {Number} deleteCount - The number of removed elements.
+	 * @param {Array} items - The added elements.
+	 * @param {Array} removed - The removed elements.
+	 */
+	static onSplice({ internal, node, start, deleteCount, items, removed }) {
+		const removedNodes = internal.domNodes.splice(start, deleteCount, ...new Array(items.length));
+
+		for (let i = 0; i < removedNodes.length; i++) {
+			removeDOMNode(removedNodes[i] || removed[i]?.[XNode.Meta]?.domNode);
+		}
+
+		for (let i = start; i < start + items.length; i++) {
+			if (isScalar(node[i]) || node[i][XNode.Meta]) {
+				XNode.onSet({ internal, prop: String(i), target: node, value: node[i] });
+			}
+		}
 	}
 
+	/**
+	 * Creates a value from a DOM node. When a schema is specified, it is used to determine the
+	 * value types, which keys are arrays, and which keys map to attributes or differently named
+	 * elements. Elements not described by the schema are auto-detected.
+	 *
+	 * @param {Object} params - Various parameters.
+	 * @param {Object} [params.domNode] - The DOM node to create the value from.
+	 * @param {*} [params.existingNode] - An existing value to create the node from when there is
+	 * no DOM node.
+	 * @param {Object} [params.schema] - The Joi schema describing the value.
+	 * @returns {*}
+	 * @access public
+	 */
 	static createNode({ domNode, existingNode, schema }) {
 		log(`Creating node: domNode=${highlight(!!domNode)} existingNode=${highlight(!!existingNode)} schema=${highlight(!!schema)}`);
 
-		if (schema) {
-			log('  Have schema, but schema not done yet!');
-		} else if (domNode) {
+		if (schema && domNode) {
+			log(`  Have schema, mapping DOM node of type ${dom.nodeTypes[domNode.nodeType] || 'unknown'} (${domNode.nodeType}) as ${highlight(schema.type)}`);
+
+			if (schema.type !== 'object') {
+				return castText(domNode.textContent || '', schema);
+			}
+
+			const xnode = new XNode({});
+			const xnodeMeta = xnode[XNode.Meta];
+			xnodeMeta.domNode = domNode;
+			xnodeMeta.schema = schema;
+
+			const props = getDOMNodeChildren(domNode);
+			const isElement = domNode.nodeType === dom.ELEMENT_NODE;
+
+			for (const { key, schema: keySchema } of schema.$_terms.keys || []) {
+				const { attribute, tag } = getSchemaMeta(schema, key);
+
+				if (attribute) {
+					if (isElement && domNode.hasAttribute(attribute)) {
+						xnode[key] = castText(domNode.getAttribute(attribute), keySchema);
+					}
+				} else if (key === '#text') {
+					if (isElement) {
+						xnode[key] = castText(domNode.textContent || '', keySchema);
+					}
+				} else if (props[tag]) {
+					log(`    ${highlight(`<${tag}>`)} mapped to ${highlight(key)}`);
+					addChild(xnode, key, props[tag].domNodes, {
+						existingNode,
+						forceArray: keySchema.type === 'array',
+						schema:     keySchema.type === 'array' ? keySchema.$_terms.items?.[0] : keySchema
+					});
+					delete props[tag];
+				}
+			}
+
+			for (const prop of Object.keys(props)) {
+				log(`    ${highlight(`<${prop}>`)} not in schema, auto-detecting`);
+				addChild(xnode, prop, props[prop].domNodes, { existingNode });
+			}
+
+			return xnode;
+		}
+
+		if (domNode) {
 			log(`  No schema, auto-detecting DOM node of type ${dom.nodeTypes[domNode.nodeType] || 'unknown'} (${domNode.nodeType})`);
 			switch (domNode.nodeType) {
 				case dom.DOCUMENT_NODE:
@@ -105,7 +251,8 @@ export default class XNode extends Node {
 					if (!Object.keys(props).length) {
 						// no child DOM nodes, so we either have an document object or an empty string
 						if (domNode.nodeType !== dom.DOCUMENT_NODE && !domNode.attributes.length) {
-							return cast(domNode.textContent || '');
+							// CDATA is explicitly character data, so don't cast it
+							return isCDATA(domNode) ? domNode.textContent : cast(domNode.textContent || '');
 						}
 
 						const xnode = new XNode({});
@@ -114,7 +261,7 @@ export default class XNode extends Node {
 						if (domNode.nodeType === dom.ELEMENT_NODE) {
 							for (let i = 0; i < domNode.attributes.length; i++) {
 								const attr = domNode.attributes[i];
-								xnode[`@${attr.localName}`] = cast(attr.nodeValue || '');
+								xnode[`@${getDOMNodeName(attr)}`] = cast(attr.nodeValue || '');
 							}
 							xnode['#text'] = cast(domNode.textContent || '');
 						}
@@ -125,35 +272,10 @@ export default class XNode extends Node {
 					// we have at least 1 child DOM node, so treat this node as an object
 
 					const xnode = new XNode({});
-					const xnodeMeta = xnode[XNode.Meta];
-					xnodeMeta.domNode = domNode;
+					xnode[XNode.Meta].domNode = domNode;
 
 					for (const prop of Object.keys(props)) {
-						const { domNodes, name } = props[prop];
-						let child;
-
-						log(`    ${highlight(`<${name}>`)} ${domNodes.length} occurrence${domNodes.length === 1 ? '' : 's'}`);
-
-						if (domNodes.length > 1) {
-							child = new XNode([]);
-							const childMeta = child[XNode.Meta];
-							childMeta.domNode = domNode;
-							let i = 0;
-							for (const domNode of domNodes) {
-								const value = XNode.createNode({ domNode, existingNode: existingNode?.[prop]?.[i] });
-								if (!value?.[XNode.Meta]) {
-									childMeta.domNodes[i] = domNode;
-								}
-								child[i++] = value;
-							}
-						} else {
-							child = XNode.createNode({ domNode: domNodes[0], existingNode: existingNode?.[prop] });
-							if (!child?.[XNode.Meta]) {
-								xnodeMeta.domNodes[prop] = domNode;
-							}
-						}
-
-						xnode[prop] = child;
+						addChild(xnode, prop, props[prop].domNodes, { existingNode });
 					}
 
 					return xnode;
@@ -167,3 +289,163 @@ export default class XNode extends Node {
 		return null;
 	}
 }
+
+/**
+ * Creates the value for one or more child elements and adds it to an XNode. Multiple elements
+ * are grouped into an array.
+ *
+ * @param {XNode} xnode - The node to add the value to.
+ * @param {String} prop - The property name.
+ * @param {Array.<Object>} domNodes - The child element DOM nodes.
+ * @param {Object} [opts] - Various options.
+ * @param {*} [opts.existingNode] - The existing parent value.
+ * @param {Boolean} [opts.forceArray] - When `true`, a single element is still added as an array.
+ * @param {Object} [opts.schema] - The Joi schema for the value or each array element.
+ */
+function addChild(xnode, prop, domNodes, { existingNode, forceArray, schema } = {}) {
+	const xnodeMeta = xnode[XNode.Meta];
+	const domNode = xnodeMeta.domNode;
+	let child;
+
+	log(`    ${highlight(`<${prop}>`)} ${domNodes.length} occurrence${domNodes.length === 1 ? '' : 's'}`);
+
+	if (domNodes.length > 1 || forceArray) {
+		child = new XNode([]);
+		const childMeta = child[XNode.Meta];
+		childMeta.domNode = domNode;
+		let i = 0;
+		for (const domNode of domNodes) {
+			childMeta.domNodes[i] = domNode;
+			child[i++] = XNode.createNode({ domNode, existingNode: existingNode?.[prop]?.[i], schema });
+		}
+	} else {
+		child = XNode.createNode({ domNode: domNodes[0], existingNode: existingNode?.[prop], schema });
+		xnodeMeta.domNodes[prop] = domNodes[0];
+	}
+
+	xnode[prop] = child;
+}
+
+/**
+ * Casts the text of an element or attribute using a schema. Strings are returned as is and other
+ * types are converted by the schema. If the text does not validate or there is no specific
+ * schema type, the type is guessed.
+ *
+ * @param {String} text - The text to cast.
+ * @param {Object} [schema] - The Joi schema for the value.
+ * @returns {*}
+ */
+function castText(text, schema) {
+	const type = schema?.type;
+
+	if (type === 'string') {
+		return text;
+	}
+
+	if (type === 'array') {
+		for (const item of schema.$_terms.items || []) {
+			const { error, value } = item.validate(item.type === 'string' ? text : text.trim());
+			if (!error) {
+				return value;
+			}
+		}
+	} else if (type && type !== 'any') {
+		const { error, value } = schema.validate(text.trim());
+		if (!error) {
+			return value;
+		}
+	}
+
+	return cast(text);
+}
+
+/**
+ * Finds the DOM node of the next array element after the specified index so that a new element
+ * can be inserted before it. If there is no next element, the DOM node following the previous
+ * element is returned.
+ *
+ * @param {Object} internal - The array XNode's metadata object.
+ * @param {Number} index - The index of the new element.
+ * @returns {Object} The DOM node or `undefined` if the new element should be appended.
+ */
+function findNextDOMNode(internal, index) {
+	const { domNodes } = internal;
+
+	for (let i = index + 1; i < domNodes.length; i++) {
+		if (domNodes[i]) {
+			return domNodes[i];
+		}
+	}
+
+	for (let i = Math.min(index, domNodes.length) - 1; i >= 0; i--) {
+		if (domNodes[i]) {
+			for (let node = domNodes[i].nextSibling; node; node = node.nextSibling) {
+				if (node.nodeType === dom.ELEMENT_NODE) {
+					return node;
+				}
+			}
+			return;
+		}
+	}
+}
+
+/**
+ * Returns the schema for an object schema's key.
+ *
+ * @param {Object} [schema] - The Joi schema of the parent object.
+ * @param {String} key - The key.
+ * @returns {Object} The Joi schema or `undefined` if not found.
+ */
+function getKeySchema(schema, key) {
+	if (schema?.type === 'object') {
+		return schema.$_terms.keys?.find(item => item.key === key)?.schema;
+	}
+}
+
+/**
+ * Creates the DOM node for a value, then creates the DOM nodes for the value's properties.
+ *
+ * @param {*} value - A scalar value or an object XNode.
+ * @param {String} tag - The element name.
+ * @param {Object} parent - The parent DOM node.
+ * @param {Object} [before] - The DOM node to insert the new DOM node before.
+ * @returns {Object} The new DOM node.
+ */
+function linkDOMNode(value, tag, parent, before) {
+	if (isScalar(value)) {
+		return createDOMNode(tag, value, parent, before);
+	}
+
+	const valueMeta = value[XNode.Meta];
+	valueMeta.domNode = createDOMNode(tag, undefined, parent, before);
+	valueMeta.domNodes = {};
+
+	for (const prop of Object.keys(value)) {
+		XNode.onSet({ internal: valueMeta, prop, target: value, value: value[prop] });
+	}
+
+	return valueMeta.domNode;
+}
+
+/**
+ * Determines how an object schema's key maps to the XML document. A key maps to an attribute if
+ * it starts with `@` or its schema has `meta({ attribute: true })` or `meta({ attribute: 'name' })`.
+ * Otherwise it maps to child elements named by `meta({ tag: 'name' })` or the key itself.
+ *
+ * @param {Object} [schema] - The Joi schema of the parent object.
+ * @param {String} key - The key.
+ * @returns {Object} The `attribute` name or element `tag` name.
+ */
+function getSchemaMeta(schema, key) {
+	const meta = Object.assign({}, ...(getKeySchema(schema, key)?.$_terms.metas || []));
+
+	if (key[0] === '@') {
+		return { attribute: key.substring(1) };
+	}
+
+	if (meta.attribute) {
+		return { attribute: typeof meta.attribute === 'string' ? meta.attribute : key };
+	}
+
+	return { tag: typeof meta.tag === 'string' ? meta.tag : key };
+}
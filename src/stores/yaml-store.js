@@ -0,0 +1,236 @@
+import detectIndent from 'detect-indent';
+import fs from 'fs-extra';
+import JSONStore from './json-store.js';
+import Node from '../node.js';
+import path from 'path';
+import snooplogg from 'snooplogg';
+import YAML, { isAlias, isMap, isScalar, isSeq } from 'yaml';
+import { detectLineEndings, hashValue, unescapeSequence } from '../util.js';
+import { move, writeFile } from '../fsutil.js';
+
+const { log } = snooplogg('config-kit')('yaml-store');
+const { highlight } = snooplogg.styles;
+
+/**
+ * Loads `.yml` and `.yaml` config files.
+ */
+export default class YAMLStore extends JSONStore {
+	/**
+	 * The file extension associated to this type of store.
+	 * @type {String}
+	 */
+	static extension = '.yml';
+
+	/**
+	 * A list of all file extensions associated to this type of store.
+	 * @type {Array.<String>}
+	 */
+	static extensions = [ '.yml', '.yaml' ];
+
+	/**
+	 * Determines if the contents of a file is a YAML mapping without any errors or warnings.
+	 *
+	 * @param {Buffer} buffer - The file contents.
+	 * @returns {Boolean}
+	 * @access public
+	 */
+	static detect(buffer) {
+		const doc = YAML.parseDocument(buffer.toString('utf8'));
+		if (doc.errors.length || doc.warnings.length) {
+			return false;
+		}
+		const data = doc.toJS();
+		return !!data && typeof data === 'object' && !Array.isArray(data);
+	}
+
+	/**
+	 * The parsed YAML document. The document retains the comments, key order, and scalar styles
+	 * of the loaded file and is updated with the store's data when the store is saved.
+	 * @type {Document}
+	 */
+	doc = null;
+
+	/**
+	 * The number of spaces to indent nested collections.
+	 * @type {Number}
+	 */
+	indent = 2;
+
+	/**
+	 * When `true`, sequence items are indented under their parent key.
+	 * @type {Boolean}
+	 */
+	indentSeq = true;
+
+	/**
+	 * The line ending to write.
+	 * @type {String}
+	 */
+	lineEnding = '\n';
+
+	/**
+	 * Loads a config file.
+	 *
+	 * @param {String} file - The path to the config file to load.
+	 * @returns {Promise} Resolves this `YAMLStore` instance.
+	 * @access public
+	 */
+	async load(file) {
+		if (!fs.existsSync(file)) {
+			const err = new Error(`File not found: ${file}`);
+			err.code = 'ENOENT';
+			throw err;
+		}
+
+		let content;
+		let data;
+
+		log(`Loading ${highlight(file)}`);
+		try {
+			content = await fs.readFile(file, 'utf8');
+		} catch (e) {
+			e.message = `Failed to load config file: ${e.message}`;
+			throw e;
+		}
+
+		const doc = YAML.parseDocument(content);
+		if (doc.errors.length) {
+			const err = doc.errors[0];
+			err.message = `Failed to load config file: ${err.message}`;
+			throw err;
+		}
+		data = doc.toJS();
+
+		// an empty YAML document is valid and simply has no values
+		if (data === null || data === undefined) {
+			data = {};
+		}
+
+		if (typeof data !== 'object') {
+			throw new TypeError('Expected config file to be an object');
+		}
+
+		Node.merge(this.data, data);
+
+		const { amount, type } = detectIndent(content);
+		this.doc        = doc;
+		this.indent     = type === 'space' && amount ? amount : 2;
+		this.indentSeq  = !/^([ ]*)[^\s#-][^\n]*:[ \t]*\r?\n\1-[ \t]/m.test(content);
+		this.lineEnding = detectLineEndings(content);
+		log(`Detected line ending ${highlight(unescapeSequence(this.lineEnding))} indent ${highlight(this.indent)}`);
+
+		return this;
+	}
+
+	/**
+	 * Saves the data to disk.
+	 *
+	 * @param {String} file - The filename to save the data to.
+	 * @returns {Promise} Resolves this `YAMLStore` instance.
+	 * @access public
+	 */
+	async save(file) {
+		if (!file || typeof file !== 'string') {
+			throw new TypeError('Expected config file path to be a string');
+		}
+
+		const ext = path.extname(file);
+		if (!this.anyExtension && !YAMLStore.extensions.includes(ext)) {
+			throw new Error(`Expected YAML config file to have "${YAMLStore.extensions.join('" or "')}" extension, found "${ext}"`);
+		}
+
+		const tmpFile = `${file}.${Date.now()}.tmp`;
+		await writeFile(tmpFile, this.toString(), { applyOwner: this.applyOwner });
+		await move(tmpFile, file, { applyOwner: this.applyOwner });
+		log(`Wrote config file: ${highlight(file)}`);
+
+		return this;
+	}
+
+	/**
+	 * Returns the data as a YAML-encoded string. If a file was loaded, the original document is
+	 * updated in place so that comments, key order, and quoting style are preserved.
+	 *
+	 * @param {Number} [indentation] The number of spaces to indent the YAML formatted output.
+	 * Defaults to the indentation detected in the loaded file or `2`.
+	 * @returns {String}
+	 * @access public
+	 */
+	toString(indentation = this.indent) {
+		const doc = this.doc || new YAML.Document();
+		doc.contents = update(doc, doc.contents, this.data);
+
+		const str = doc.toString({
+			indent:    Math.max(indentation, 1),
+			indentSeq: this.indentSeq,
+			lineWidth: 0
+		});
+
+		return this.lineEnding === '\n' ? str : str.replace(/\n/g, this.lineEnding);
+	}
+}
+
+/**
+ * Reconciles a YAML document node with a value. Existing nodes are modified in place so that their
+ * comments and styles are retained. Nodes are only recreated when the type of the value changes.
+ *
+ * @param {Document} doc - The YAML document.
+ * @param {Object} node - The existing YAML node or `null`.
+ * @param {*} value - The value the node should represent.
+ * @returns {Object} The updated or new YAML node.
+ */
+function update(doc, node, value) {
+	if (isAlias(node)) {
+		// keep the alias as long as it still resolves to the same value
+		if (hashValue(node.resolve(doc)?.toJS(doc)) === hashValue(value)) {
+			return node;
+		}
+		return doc.createNode(value);
+	}
+
+	if (Array.isArray(value)) {
+		if (!isSeq(node)) {
+			return doc.createNode(value);
+		}
+
+		node.items.splice(value.length);
+		const len = node.items.length;
+		for (let i = 0; i < value.length; i++) {
+			node.items[i] = i < len ? update(doc, node.items[i], value[i]) : doc.createNode(value[i]);
+		}
+		return node;
+	}
+
+	if (value && typeof value === 'object') {
+		if (!isMap(node)) {
+			return doc.createNode(value);
+		}
+
+		const keys = Object.keys(value);
+		node.items = node.items.filter(pair => keys.includes(String(isScalar(pair.key) ? pair.key.value : pair.key)));
+
+		for (const key of keys) {
+			const pair = node.items.find(pair => String(isScalar(pair.key) ? pair.key.value : pair.key) === key);
+			if (pair) {
+				pair.value = update(doc, pair.value, value[key]);
+			} else {
+				node.items.push(doc.createPair(key, value[key]));
+			}
+		}
+		return node;
+	}
+
+	if (!isScalar(node)) {
+		return doc.createNode(value);
+	}
+
+	if (node.value !== value) {
+		if (typeof value !== 'string' && (node.type === 'QUOTE_DOUBLE' || node.type === 'QUOTE_SINGLE')) {
+			// quoting a non-string would change its type
+			node.type = undefined;
+		}
+		node.value = value;
+	}
+
+	return node;
+}
@@ -1,5 +1,7 @@
 import fs from 'fs';
 import Joi from 'joi';
+import os from 'os';
+import path from 'path';
 import snooplogg from 'snooplogg';
 import { createRequire } from 'module';
 
@@ -15,6 +17,125 @@ export function arrayify(it, removeFalsey) {
 	return removeFalsey ? arr.filter(v => typeof v !== 'undefined' && v !== null && v !== '' && v !== false && (typeof v !== 'number' || !isNaN(v))) : arr;
 }
 
+/**
+ * Coerces a string value, such as an environment variable or command line argument, using a
+ * schema. Strings are parsed as JSON for array and object schemas. If the value does not
+ * validate, the original value is returned.
+ *
+ * @param {*} value - The value to coerce.
+ * @param {Object} [schema] - The Joi schema for the value.
+ * @returns {*}
+ */
+export function coerce(value, schema) {
+	if (!schema) {
+		return value;
+	}
+
+	let it = value;
+	if (typeof value === 'string' && (schema.type === 'array' || schema.type === 'object')) {
+		try {
+			it = JSON.parse(value);
+		} catch (e) {
+			// let the schema validation fail
+		}
+	}
+
+	const { error, value: result } = schema.validate(it);
+	return error ? value : result;
+}
+
+const crRE   = /\r/g;
+const crlfRE = /\r\n/g;
+const lfRE   = /\n/g;
+
+/**
+ * Detects the line ending for the given string by counting the max occurences of each line ending
+ * type. Order of precendence is `\r\n`, `\n`, and `\r`.
+ *
+ * @param {String} str - The string to analyze.
+ * @returns {String}
+ */
+export function detectLineEndings(str) {
+	const crlf = str.match(crlfRE)?.length || 0;
+	const cr   = Math.max((str.match(crRE)?.length || 0) - crlf, 0);
+	const lf   = Math.max((str.match(lfRE)?.length || 0) - crlf, 0);
+
+	if (crlf && crlf >= lf && crlf >= cr) {
+		return '\r\n';
+	}
+
+	return cr && cr > lf ? '\r' : '\n';
+}
+
+/**
+ * Finds the key of an object schema that matches a name ignoring case, underscores, and dashes.
+ *
+ * @param {Object} [schema] - The Joi schema of the parent object.
+ * @param {String} name - The name to match such as `LOG_LEVEL` or `log-level` for `logLevel`.
+ * @returns {Object} The Joi key description or `undefined` if not found.
+ */
+export function findSchemaKey(schema, name) {
+	if (schema?.type !== 'object' || !schema.$_terms.keys) {
+		return;
+	}
+	const normalize = s => s.replace(/[_-]/g, '').toLowerCase();
+	name = normalize(name);
+	return schema.$_terms.keys.find(item => normalize(item.key) === name);
+}
+
+/**
+ * Resolves the user, system, and cache config directories for an app.
+ *
+ * On Linux and other Unix platforms, the directories follow the XDG base directory specification.
+ * The user directory is `$XDG_CONFIG_HOME/<name>`, the system directories are each directory in
+ * `$XDG_CONFIG_DIRS` followed by `/etc/<name>`, and the cache directory is
+ * `$XDG_CACHE_HOME/<name>`. macOS uses the `Library/Preferences` and `Library/Caches` directories
+ * unless the XDG variables are set. Windows uses `%APPDATA%`, `%PROGRAMDATA%`, and
+ * `%LOCALAPPDATA%`.
+ *
+ * @param {String} name - The app name.
+ * @param {Object} [opts] - Various options.
+ * @param {Object} [opts.env=process.env] - The environment variables.
+ * @param {String} [opts.homeDir] - The user's home directory. Defaults to `os.homedir()`.
+ * @param {String} [opts.platform=process.platform] - The platform to resolve the directories for.
+ * @returns {Object} The `cache` and `user` directories and the `system` directories ordered from
+ * highest to lowest precedence.
+ */
+export function getAppPaths(name, opts = {}) {
+	if (!name || typeof name !== 'string') {
+		throw new TypeError('Expected name to be a non-empty string');
+	}
+
+	const env = opts.env || process.env;
+	const home = opts.homeDir || os.homedir();
+	const platform = opts.platform || process.platform;
+
+	if (platform === 'win32') {
+		const { join } = path.win32;
+		return {
+			cache:  join(env.LOCALAPPDATA || join(home, 'AppData', 'Local'), name, 'Cache'),
+			system: [ join(env.PROGRAMDATA || 'C:\\ProgramData', name) ],
+			user:   join(env.APPDATA || join(home, 'AppData', 'Roaming'), name)
+		};
+	}
+
+	const { isAbsolute, join } = path.posix;
+	const darwin = platform === 'darwin';
+
+	// relative paths in XDG variables are invalid and must be ignored
+	const configDirs = (env.XDG_CONFIG_DIRS || '').split(':').filter(dir => isAbsolute(dir));
+	const xdg = name => (isAbsolute(env[name] || '') ? env[name] : null);
+
+	return {
+		cache:  join(xdg('XDG_CACHE_HOME') || join(home, ...(darwin ? [ 'Library', 'Caches' ] : [ '.cache' ])), name),
+		system: unique([
+			...(configDirs.length ? configDirs : [ darwin ? '/Library/Preferences' : '/etc/xdg' ]).map(dir => join(dir, name)),
+			join('/etc', name)
+		]),
+		user:   join(xdg('XDG_CONFIG_HOME') || join(home, ...(darwin ? [ 'Library', 'Preferences' ] : [ '.config' ])), name)
+	};
+}
+
 /**
  * Examines a schema and returns an object containing the default and environment variable values.
  *
@@ -92,6 +213,17 @@ export function hashValue(it) {
 	return hash >>> 0;
 }
 
+/**
+ * Determines if a value is a single value as opposed to an object or array containing nested
+ * values. Objects such as `Date` and `Buffer` instances are considered scalars.
+ *
+ * @param {*} it - The value to check.
+ * @returns {Boolean}
+ */
+export function isScalar(it) {
+	return !it || typeof it !== 'object' || it instanceof Date || Buffer.isBuffer(it);
+}
+
 // /**
 //  * Loads a JavaScript file. Note that the JavaScript file can use import(), but not require().
 //  *
@@ -150,6 +282,16 @@ export function splitKey(key) {
 	return segments;
 }
 
+/**
+ * Unescapes whitespace escape sequences so they can be printed literally.
+ *
+ * @param {String} str - The string to unescape.
+ * @returns {String}
+ */
+export function unescapeSequence(str) {
+	return str.replace(/\r/g, '\\r').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+}
+
 /**
  * Removes duplicates from an array and returns a new array.
  *
@@ -0,0 +1,9 @@
+interface Config {
+	foo: string;
+}
+
+const config: Config = {
+	foo: 'bar'
+};
+
+export default config;
@@ -0,0 +1,202 @@
+import Config, { ArgvStore, Joi } from '../src/index.js';
+import path from 'path';
+import { expect } from 'chai';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+describe('ArgvStore', () => {
+	describe('Constructor', () => {
+		it('should default to process.argv', () => {
+			const store = new ArgvStore();
+			expect(store.argv).to.deep.equal(process.argv.slice(2));
+		});
+
+		it('should error if argv is invalid', () => {
+			expect(() => {
+				new ArgvStore({ argv: '--foo' });
+			}).to.throw(TypeError, 'Expected argv to be an array of strings');
+
+			expect(() => {
+				new ArgvStore({ argv: [ 123 ] });
+			}).to.throw(TypeError, 'Expected argv to be an array of strings');
+		});
+
+		it('should error if config file flag is invalid', () => {
+			expect(() => {
+				new ArgvStore({ argv: [], configFileFlag: '' });
+			}).to.throw(TypeError, 'Expected config file flag to be a non-empty string');
+		});
+	});
+
+	describe('parsing', () => {
+		it('should parse flags into nested keys', () => {
+			const store = new ArgvStore({
+				argv: [
+					'build',
+					'--server.port=8080',
+					'--server.host', 'localhost',
+					'--verbose',
+					'--no-feature.x',
+					'--offset', '-5',
+					'-q',
+					'--tag', 'a',
+					'--tag=b',
+					'--bad..key',
+					'--',
+					'--ignored'
+				]
+			});
+
+			expect(store.get()).to.deep.equal({
+				server: {
+					port: '8080',
+					host: 'localhost'
+				},
+				verbose: true,
+				feature: {
+					x: false
+				},
+				offset: '-5',
+				tag: [ 'a', 'b' ]
+			});
+		});
+
+		it('should resolve keys and coerce values using the schema', () => {
+			const store = new ArgvStore({
+				argv: [
+					'--log-level', 'debug',
+					'--server.port', '8080',
+					'--server.secure', 'build',
+					'--server.hosts', 'a',
+					'--server.retries', 'many'
+				],
+				schema: Joi.object({
+					logLevel: Joi.string(),
+					server: Joi.object({
+						hosts: Joi.array().items(Joi.string()),
+						port: Joi.number(),
+						retries: Joi.number(),
+						secure: Joi.boolean()
+					})
+				})
+			});
+
+			expect(store.get()).to.deep.equal({
+				logLevel: 'debug',
+				server: {
+					hosts: [ 'a' ],
+					port: 8080,
+					retries: 'many',
+					secure: true
+				}
+			});
+		});
+
+		it('should keep watchers when the schema is set', () => {
+			const store = new ArgvStore({ argv: [ '--port', '8080' ] });
+			const values = [];
+
+			store.watch([ 'a' ], value => values.push(value));
+			store.schema = Joi.object({ port: Joi.number() });
+			store.set([ 'a', 'b' ], 5);
+
+			expect(values).to.deep.equal([ { b: 5 } ]);
+			expect(store.get([ 'port' ])).to.equal(8080);
+		});
+
+		it('should collect config files', () => {
+			const store = new ArgvStore({
+				argv: [ '--config-file', 'a.json', '--conf=b.json', '--foo' ],
+				configFileFlag: 'conf'
+			});
+
+			expect(store.configFiles).to.deep.equal([ 'b.json' ]);
+			expect(store.get()).to.deep.equal({
+				'config-file': 'a.json',
+				foo: true
+			});
+		});
+	});
+
+	describe('Config', () => {
+		it('should add an argv layer above the env layer', async () => {
+			const cfg = await new Config().init({
+				argv: [ '--server.port', '9001' ],
+				data: {
+					server: {
+						host: 'localhost',
+						port: 8080
+					}
+				},
+				env: {
+					env: {
+						APP_SERVER__PORT: '9000',
+						APP_SERVER__HOST: 'example.com'
+					},
+					prefix: 'APP_'
+				},
+				schema: Joi.object({
+					server: Joi.object({
+						host: Joi.string(),
+						port: Joi.number()
+					})
+				})
+			});
+
+			expect(cfg.get('server')).to.deep.equal({
+				host: 'example.com',
+				port: 9001
+			});
+			expect(cfg.layers.layers.map(layer => layer.id).slice(-2)).to.deep.equal([ Config.Env, Config.Argv ]);
+		});
+
+		it('should load config files passed in via the config file flag', async () => {
+			const file = path.join(__dirname, 'fixtures', 'json', 'good.json');
+			const cfg = await new Config().init({
+				argv: [ '--config-file', file, '--foo', 'baz' ]
+			});
+
+			expect(cfg.get('foo')).to.equal('baz');
+			expect(cfg.get('foo', undefined, `config-file:${file}`)).to.equal('bar');
+			expect(cfg.layers.get(`config-file:${file}`).file).to.equal(file);
+		});
+
+		it('should load config files into layers below the env and argv layers', async () => {
+			const file = path.join(__dirname, 'fixtures', 'json', 'good.json');
+			const file2 = path.join(__dirname, 'fixtures', 'yaml', 'good.yml');
+			const cfg = await new Config().init({
+				argv: [ '--config-file', file, '--config-file', file2 ],
+				data: { foo: 'base', name: 'myapp' },
+				env: { env: { APP_FOO: 'env' }, prefix: 'APP_' },
+				layers: [ { id: Config.Project, order: -1, data: { foo: 'project' } } ]
+			});
+
+			expect(cfg.layers.layers.map(layer => layer.id)).to.deep.equal([
+				Config.Base,
+				Config.Project,
+				`config-file:${file}`,
+				`config-file:${file2}`,
+				Config.Env,
+				Config.Argv
+			]);
+			expect(cfg.get('foo')).to.equal('env');
+			expect(cfg.get('foo', undefined, Config.Base)).to.equal('base');
+			expect(cfg.get('name')).to.equal('myapp');
+			expect(cfg.layers.get(Config.Base).file).to.equal(null);
+		});
+
+		it('should error if argv option is invalid', async () => {
+			await expect(
+				new Config().init({ argv: 'foo' })
+			).to.eventually.be.rejectedWith(TypeError, 'Expected argv to be an array or an object');
+		});
+
+		it('should error saving the argv layer', async () => {
+			const cfg = await new Config().init({ argv: [] });
+			await expect(
+				cfg.save({ id: Config.Argv, file: 'foo.json' })
+			).to.eventually.be.rejectedWith(Error, 'Saving command line arguments is unsupported');
+		});
+	});
+});
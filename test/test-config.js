@@ -1,4 +1,4 @@
-import Config from '../src/index.js';
+import Config, { IniStore, JSONCStore, JSONStore, PlistStore, TOMLStore, XMLStore, YAMLStore } from '../src/index.js';
 import fs from 'fs-extra';
 import path from 'path';
 import tmp from 'tmp';
@@ -54,6 +54,165 @@ describe('Config', () => {
 		});
 	});
 
+	describe('discover()', () => {
+		const { HOME, XDG_CONFIG_HOME } = process.env;
+		let root;
+
+		beforeEach(() => {
+			// root/
+			//   .myapprc.json
+			//   home/
+			//     .myapprc
+			//     .config/
+			//       myapp.config.yml
+			//     project/
+			//       .myapprc.yml
+			//       myapp.config.json
+			//       sub/
+			//         .myapprc
+			root = makeTempDir();
+			fs.outputJsonSync(path.join(root, '.myapprc.json'), { level: 'root', root: true });
+			fs.outputFileSync(path.join(root, 'home', '.myapprc'), '[server]\nhost = home\nport = 1000\n');
+			fs.outputFileSync(path.join(root, 'home', '.config', 'myapp.config.yml'), 'level: xdg\nxdg: true\n');
+			fs.outputFileSync(path.join(root, 'home', 'project', '.myapprc.yml'), 'level: project-rc\nserver:\n  port: 2000\n');
+			fs.outputJsonSync(path.join(root, 'home', 'project', 'myapp.config.json'), { level: 'project-config', project: true });
+			fs.outputJsonSync(path.join(root, 'home', 'project', 'sub', '.myapprc'), { level: 'sub' });
+
+			process.env.HOME = path.join(root, 'home');
+			process.env.XDG_CONFIG_HOME = path.join(root, 'home', '.config');
+		});
+
+		afterEach(() => {
+			process.env.HOME = HOME;
+			if (XDG_CONFIG_HOME === undefined) {
+				delete process.env.XDG_CONFIG_HOME;
+			} else {
+				process.env.XDG_CONFIG_HOME = XDG_CONFIG_HOME;
+			}
+		});
+
+		it('should error if options are invalid', async () => {
+			const cfg = await new Config().init();
+
+			await expect(
+				cfg.discover('foo')
+			).to.eventually.be.rejectedWith(TypeError, 'Expected options to be an object');
+
+			await expect(
+				cfg.discover({})
+			).to.eventually.be.rejectedWith(TypeError, 'Expected name to be a non-empty string');
+
+			await expect(
+				cfg.discover({ name: 'myapp', cwd: 123 })
+			).to.eventually.be.rejectedWith(TypeError, 'Expected cwd to be a non-empty string');
+
+			await expect(
+				cfg.discover({ name: 'myapp', stopAt: '' })
+			).to.eventually.be.rejectedWith(TypeError, 'Expected stopAt to be a non-empty string');
+
+			await expect(
+				cfg.discover({ name: 'myapp', order: 'foo' })
+			).to.eventually.be.rejectedWith(TypeError, 'Expected order to be a number');
+		});
+
+		it('should load rc files into layers with nearer files taking precedence', async () => {
+			const cfg = await new Config().init();
+			await cfg.discover({
+				cwd: path.join(root, 'home', 'project', 'sub'),
+				name: 'myapp',
+				stopAt: root
+			});
+
+			expect(Array.from(cfg.layers, layer => layer.id)).to.deep.equal([
+				Config.Base,
+				path.join(root, 'home', '.config', 'myapp.config.yml'),
+				path.join(root, '.myapprc.json'),
+				path.join(root, 'home', '.myapprc'),
+				path.join(root, 'home', 'project', 'myapp.config.json'),
+				path.join(root, 'home', 'project', '.myapprc.yml'),
+				path.join(root, 'home', 'project', 'sub', '.myapprc')
+			]);
+
+			expect(cfg.get()).to.deep.equal({
+				level: 'sub',
+				project: true,
+				root: true,
+				server: {
+					host: 'home',
+					port: 2000
+				},
+				xdg: true
+			});
+		});
+
+		it('should stop searching at the stop directory', async () => {
+			const cfg = await new Config().init();
+			await cfg.discover({
+				cwd: path.join(root, 'home', 'project'),
+				name: 'myapp',
+				stopAt: path.join(root, 'home', 'project')
+			});
+
+			expect(cfg.get('root')).to.equal(undefined);
+			expect(cfg.get('project')).to.equal(true);
+			expect(cfg.get('xdg')).to.equal(true);
+			expect(cfg.get('server.host')).to.equal('home');
+		});
+
+		it('should skip rc files whose file type cannot be detected', async () => {
+			fs.outputFileSync(path.join(root, 'home', 'project', 'sub', '.myapprc'), 'just some text\n');
+
+			const cfg = await new Config().init();
+			await cfg.discover({
+				cwd: path.join(root, 'home', 'project', 'sub'),
+				name: 'myapp',
+				stopAt: root
+			});
+
+			expect(cfg.layers.get(path.join(root, 'home', 'project', 'sub', '.myapprc'))).to.equal(undefined);
+			expect(cfg.get('level')).to.equal('project-rc');
+		});
+
+		it('should not discover sqlite databases', async () => {
+			fs.outputFileSync(path.join(root, 'home', 'project', '.myapprc.sqlite'), 'not a database');
+
+			const cfg = await new Config().init();
+			await cfg.discover({
+				cwd: path.join(root, 'home', 'project'),
+				name: 'myapp',
+				stopAt: root
+			});
+
+			expect(cfg.layers.get(path.join(root, 'home', 'project', '.myapprc.sqlite'))).to.equal(undefined);
+		});
+
+		it('should save a discovered rc file', async () => {
+			const file = path.join(root, 'home', 'project', 'sub', '.myapprc');
+
+			const cfg = await new Config().init();
+			await cfg.discover({
+				cwd: path.join(root, 'home', 'project', 'sub'),
+				name: 'myapp',
+				stopAt: root
+			});
+			await cfg.set('level', 'changed', file);
+			await cfg.save({ id: file });
+
+			expect(fs.readJsonSync(file)).to.deep.equal({ level: 'changed' });
+		});
+
+		it('should not load anything if there are no rc files', async () => {
+			const cfg = await new Config().init();
+			await cfg.discover({
+				cwd: path.join(root, 'home', 'project'),
+				name: 'otherapp',
+				stopAt: root
+			});
+
+			expect(Array.from(cfg.layers, layer => layer.id)).to.deep.equal([ Config.Base ]);
+		});
+	});
+
 	describe('load()', () => {
 		it('should error if filename is invalid', async () => {
 			const cfg = await new Config().init();
@@ -65,8 +224,98 @@ describe('Config', () => {
 		it('should error if extension is unsupported', async () => {
 			const cfg = await new Config().init();
 			await expect(
-				cfg.load(path.join(__dirname, 'does_not_exist.yaml'))
-			).to.eventually.be.rejectedWith(Error, 'Unsupported file type ".yaml"');
+				cfg.load(path.join(__dirname, 'does_not_exist.foo'))
+			).to.eventually.be.rejectedWith(Error, 'Unsupported file type ".foo"');
+		});
+
+		it('should detect the store type of files without a registered extension', async () => {
+			const dir = path.join(__dirname, 'fixtures', 'detect');
+			const files = {
+				'.inirc':       IniStore,
+				'.jsoncrc':     JSONCStore,
+				'.tomlrc':      TOMLStore,
+				'.yamlrc':      YAMLStore,
+				'json-config':  JSONStore,
+				'plist-config': PlistStore,
+				'xml-config':   XMLStore
+			};
+
+			for (const [ file, StoreClass ] of Object.entries(files)) {
+				const cfg = await new Config().init();
+				await cfg.load(path.join(dir, file));
+				const { store } = cfg.layers.get(Config.Base);
+				expect(Object.getPrototypeOf(store).constructor, file).to.equal(StoreClass);
+				expect(cfg.get('server.port'), file).to.equal(8080);
+			}
+		});
+
+		it('should save a file whose store type was detected', async () => {
+			const dir = makeTempDir();
+			const files = {
+				'.jsonrc':  { server: { port: 8080 } },
+				'.yamlrc':  'server:\n  port: 8080\n',
+				'config':   '[server]\nport = 8080\n'
+			};
+
+			for (const [ name, contents ] of Object.entries(files)) {
+				const file = path.join(dir, name);
+				if (typeof contents === 'string') {
+					fs.writeFileSync(file, contents);
+				} else {
+					fs.writeJsonSync(file, contents);
+				}
+
+				let cfg = await new Config().init();
+				await cfg.load(file);
+				await cfg.set('server.host', 'localhost');
+				await cfg.save();
+
+				cfg = await new Config().init();
+				await cfg.load(file);
+				expect(cfg.get('server.host'), name).to.equal('localhost');
+			}
+		});
+
+		it('should save a file loaded using an explicit format', async () => {
+			const file = path.join(makeTempDir(), 'settings.conf');
+			fs.writeFileSync(file, 'server:\n  port: 8080\n');
+
+			const cfg = await new Config().init();
+			await cfg.load(file, { format: 'yml' });
+			await cfg.set('server.port', 9000);
+			await cfg.save();
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal('server:\n  port: 9000\n');
+		});
+
+		it('should error if the store type cannot be detected', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'detect', 'unknown'))
+			).to.eventually.be.rejectedWith(Error, 'Unsupported file type "unknown"');
+		});
+
+		it('should load a file using an explicit format', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'detect', '.tomlrc'), { format: 'ini' });
+			expect(cfg.layers.get(Config.Base).store).to.be.instanceof(IniStore);
+			expect(cfg.get('server.port')).to.equal(8080);
+
+			await cfg.load(path.join(__dirname, 'fixtures', 'yaml', 'good.yml'), { format: '.yaml' });
+			expect(cfg.layers.get(Config.Base).store).to.be.instanceof(YAMLStore);
+		});
+
+		it('should error if format is invalid', async () => {
+			const cfg = await new Config().init();
+			const file = path.join(__dirname, 'fixtures', 'detect', 'json-config');
+
+			await expect(
+				cfg.load(file, { format: 123 })
+			).to.eventually.be.rejectedWith(TypeError, 'Expected format to be a non-empty string');
+
+			await expect(
+				cfg.load(file, { format: 'foo' })
+			).to.eventually.be.rejectedWith(Error, 'Unsupported format "foo"');
 		});
 
 		it('should error if options is not an object', async () => {
@@ -96,6 +345,124 @@ describe('Config', () => {
 				cfg.layers.get(Config.Base).load([])
 			).to.eventually.be.rejectedWith(Error, 'Expected config file path to be a string');
 		});
+
+		it('should pass applyOwner to the store', async () => {
+			const cfg = await new Config().init({ applyOwner: false });
+			await cfg.load(path.join(__dirname, 'fixtures', 'json', 'good.json'), 'foo');
+			expect(cfg.layers.get('foo').store.applyOwner).to.equal(false);
+		});
+	});
+
+	describe('loadStandardLayers()', () => {
+		let root;
+		let opts;
+
+		beforeEach(() => {
+			// root/
+			//   etc/
+			//     myapp/
+			//       config.yml
+			//   home/
+			//     .config/
+			//       myapp/
+			//         config.json
+			//   project/
+			//     .myapprc
+			root = makeTempDir();
+			fs.outputFileSync(path.join(root, 'etc', 'myapp', 'config.yml'), 'level: system\nsystem: true\n');
+			fs.outputJsonSync(path.join(root, 'home', '.config', 'myapp', 'config.json'), { level: 'user', user: true });
+			fs.outputFileSync(path.join(root, 'project', '.myapprc'), '[main]\nlevel = project\n\n[server]\nport = 8080\n');
+
+			opts = {
+				cwd:      path.join(root, 'project'),
+				env:      { XDG_CONFIG_DIRS: path.join(root, 'etc') },
+				homeDir:  path.join(root, 'home'),
+				name:     'myapp',
+				platform: 'linux'
+			};
+		});
+
+		it('should error if options are invalid', async () => {
+			const cfg = await new Config().init();
+
+			await expect(
+				cfg.loadStandardLayers('foo')
+			).to.eventually.be.rejectedWith(TypeError, 'Expected options to be an object');
+
+			await expect(
+				cfg.loadStandardLayers({})
+			).to.eventually.be.rejectedWith(TypeError, 'Expected name to be a non-empty string');
+
+			await expect(
+				cfg.loadStandardLayers({ name: 'myapp', cwd: 123 })
+			).to.eventually.be.rejectedWith(TypeError, 'Expected cwd to be a non-empty string');
+
+			await expect(
+				cfg.loadStandardLayers({ name: 'myapp', filename: '' })
+			).to.eventually.be.rejectedWith(TypeError, 'Expected filename to be a non-empty string');
+		});
+
+		it('should load the system, user, and project layers in order', async () => {
+			const cfg = await new Config().init();
+			await cfg.loadStandardLayers(opts);
+
+			const ids = Array.from(cfg.layers, l => l.id);
+			expect(ids.indexOf(Config.System)).to.be.above(ids.indexOf(Config.Base));
+			expect(ids.indexOf(Config.User)).to.be.above(ids.indexOf(Config.System));
+			expect(ids.indexOf(Config.Project)).to.be.above(ids.indexOf(Config.User));
+
+			expect(cfg.layers.get(Config.System).file).to.equal(path.join(root, 'etc', 'myapp', 'config.yml'));
+			expect(cfg.layers.get(Config.User).file).to.equal(path.join(root, 'home', '.config', 'myapp', 'config.json'));
+			expect(cfg.layers.get(Config.Project).file).to.equal(path.join(root, 'project', '.myapprc'));
+
+			expect(cfg.get('main.level')).to.equal('project');
+			expect(cfg.get('server.port')).to.equal(8080);
+			expect(cfg.get('system')).to.equal(true);
+			expect(cfg.get('user')).to.equal(true);
+		});
+
+		it('should let user config override system config', async () => {
+			const cfg = await new Config().init();
+			await cfg.loadStandardLayers(opts);
+
+			expect(cfg.get('level', undefined, Config.System)).to.equal('system');
+			expect(cfg.get('level', undefined, Config.User)).to.equal('user');
+			expect(cfg.get('level')).to.equal('user');
+		});
+
+		it('should not add a system layer if there is no system config file', async () => {
+			fs.removeSync(path.join(root, 'etc'));
+
+			const cfg = await new Config().init();
+			await cfg.loadStandardLayers(opts);
+
+			expect(cfg.layers.get(Config.System)).to.equal(undefined);
+			expect(cfg.get('user')).to.equal(true);
+		});
+
+		it('should save user config to the default file', async () => {
+			fs.removeSync(path.join(root, 'home'));
+
+			const cfg = await new Config().init();
+			await cfg.loadStandardLayers(opts);
+
+			const file = path.join(root, 'home', '.config', 'myapp', 'config.json');
+			expect(cfg.layers.get(Config.User).file).to.equal(file);
+
+			await cfg.set('foo', 'bar', Config.User);
+			await cfg.save({ id: Config.User });
+
+			expect(fs.readJsonSync(file)).to.deep.equal({ foo: 'bar' });
+		});
+
+		it('should use the default project config file', async () => {
+			fs.removeSync(path.join(root, 'project'));
+
+			const cfg = await new Config().init();
+			await cfg.loadStandardLayers(opts);
+
+			expect(cfg.layers.get(Config.Project).file).to.equal(path.join(root, 'project', 'myapp.config.json'));
+		});
 	});
 
 	describe('save()', () => {
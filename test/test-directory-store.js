@@ -0,0 +1,238 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import Config, { DirectoryStore, JSONStore, TOMLStore, YAMLStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import StoreRegistry from '../src/store-registry.js';
+import tmp from 'tmp';
+import { fileURLToPath } from 'url';
+
+chai.use(chaiAsPromised);
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const confDir = path.join(__dirname, 'fixtures', 'directory', 'conf.d');
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+function makeTempDir() {
+	const dir = makeTempName();
+	fs.copySync(confDir, dir);
+	return dir;
+}
+
+function makeRegistry() {
+	return new StoreRegistry()
+		.add(JSONStore)
+		.add(TOMLStore)
+		.add(YAMLStore);
+}
+
+describe('DirectoryStore', () => {
+	after(() => fs.removeSync(tmpDir));
+
+	describe('Constructor', () => {
+		it('should error if registry is invalid', () => {
+			expect(() => {
+				new DirectoryStore();
+			}).to.throw(TypeError, 'Expected registry to be a StoreRegistry instance');
+
+			expect(() => {
+				new DirectoryStore({ registry: {} });
+			}).to.throw(TypeError, 'Expected registry to be a StoreRegistry instance');
+		});
+
+		it('should error if overflow file is invalid', () => {
+			expect(() => {
+				new DirectoryStore({ overflowFile: 123, registry: makeRegistry() });
+			}).to.throw(TypeError, 'Expected overflow file to be a non-empty string');
+		});
+	});
+
+	describe('load()', () => {
+		it('should load and merge all supported files in lexical order', async () => {
+			const store = await new DirectoryStore({ registry: makeRegistry() }).load(confDir);
+
+			expect(store.files.map(({ file }) => path.basename(file))).to.deep.equal([
+				'10-base.json',
+				'20-auth.yml',
+				'30-local.toml'
+			]);
+
+			expect(store.get()).to.deep.equal({
+				server: {
+					host: 'localhost',
+					port: 9000
+				},
+				plugins: {
+					auth: {
+						enabled: true,
+						providers: [ 'github', 'google' ]
+					}
+				}
+			});
+		});
+
+		it('should only load files with a registered store type', async () => {
+			const store = await new DirectoryStore({ registry: new StoreRegistry().add(JSONStore) }).load(confDir);
+			expect(store.get()).to.deep.equal({
+				server: {
+					host: 'localhost',
+					port: 8080
+				},
+				plugins: {}
+			});
+		});
+
+		it('should error if directory does not exist', async () => {
+			const store = new DirectoryStore({ registry: makeRegistry() });
+			await expect(store.load(path.join(__dirname, 'does_not_exist')))
+				.to.eventually.be.rejectedWith(Error, 'Directory not found:');
+		});
+
+		it('should error if path is not a directory', async () => {
+			const store = new DirectoryStore({ registry: makeRegistry() });
+			await expect(store.load(path.join(confDir, '10-base.json')))
+				.to.eventually.be.rejectedWith(Error, 'Not a directory:');
+		});
+
+		it('should load a directory as a single layer', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(confDir, { directory: true });
+
+			expect(cfg.layers.get(Config.Base).store).to.be.instanceof(DirectoryStore);
+			expect(cfg.get('server.port')).to.equal(9000);
+			expect(cfg.get('plugins.auth.providers')).to.deep.equal([ 'github', 'google' ]);
+		});
+	});
+
+	describe('save()', () => {
+		it('should error if directory is invalid', async () => {
+			const store = new DirectoryStore({ registry: makeRegistry() });
+			await expect(store.save()).to.eventually.be.rejectedWith(TypeError, 'Expected config directory path to be a string');
+		});
+
+		it('should save values to the file that defines them', async () => {
+			const dir = makeTempDir();
+			const store = await new DirectoryStore({ registry: makeRegistry() }).load(dir);
+			const base = fs.readFileSync(path.join(dir, '10-base.json'), 'utf8');
+
+			store.set([ 'server', 'port' ], 9001);
+			store.set([ 'plugins', 'auth', 'enabled' ], false);
+			await store.save(dir);
+
+			expect(fs.readFileSync(path.join(dir, '10-base.json'), 'utf8')).to.equal(base);
+			expect(fs.readFileSync(path.join(dir, '20-auth.yml'), 'utf8')).to.equal([
+				'# authentication plugin',
+				'plugins:',
+				'  auth:',
+				'    enabled: false',
+				'    providers:',
+				'      - github',
+				'      - google',
+				''
+			].join('\n'));
+			expect(fs.readFileSync(path.join(dir, '30-local.toml'), 'utf8')).to.match(/port = 9_?001/);
+
+			const reloaded = await new DirectoryStore({ registry: makeRegistry() }).load(dir);
+			expect(reloaded.get()).to.deep.equal(store.get());
+		});
+
+		it('should save new nested values to the file that defines the parent', async () => {
+			const dir = makeTempDir();
+			const store = await new DirectoryStore({ registry: makeRegistry() }).load(dir);
+
+			store.set([ 'plugins', 'auth', 'timeout' ], 30);
+			await store.save(dir);
+
+			expect(fs.readFileSync(path.join(dir, '20-auth.yml'), 'utf8')).to.match(/timeout: 30/);
+		});
+
+		it('should delete values from every file that defines them', async () => {
+			const dir = makeTempDir();
+			const store = await new DirectoryStore({ registry: makeRegistry() }).load(dir);
+
+			store.delete([ 'server', 'port' ]);
+			await store.save(dir);
+
+			expect(fs.readJsonSync(path.join(dir, '10-base.json'))).to.deep.equal({
+				server: {
+					host: 'localhost'
+				},
+				plugins: {}
+			});
+			expect(fs.readFileSync(path.join(dir, '30-local.toml'), 'utf8')).to.not.match(/port/);
+
+			const reloaded = await new DirectoryStore({ registry: makeRegistry() }).load(dir);
+			expect(reloaded.get([ 'server' ])).to.deep.equal({ host: 'localhost' });
+		});
+
+		it('should error saving a new value without an overflow file', async () => {
+			const dir = makeTempDir();
+			const store = await new DirectoryStore({ registry: makeRegistry() }).load(dir);
+
+			store.set([ 'logging', 'level' ], 'debug');
+			await expect(store.save(dir)).to.eventually.be.rejectedWith(Error,
+				'Unable to save "logging.level" because no file defines it and no overflow file is configured');
+		});
+
+		it('should save new values to the overflow file', async () => {
+			const dir = makeTempDir();
+			const store = await new DirectoryStore({
+				overflowFile: '99-overflow.json',
+				registry: makeRegistry()
+			}).load(dir);
+
+			store.set([ 'logging', 'level' ], 'debug');
+			await store.save(dir);
+
+			expect(fs.readJsonSync(path.join(dir, '99-overflow.json'))).to.deep.equal({
+				logging: {
+					level: 'debug'
+				}
+			});
+		});
+
+		it('should error if the overflow file type is unsupported', async () => {
+			const dir = makeTempDir();
+			const store = await new DirectoryStore({
+				overflowFile: 'overflow.txt',
+				registry: makeRegistry()
+			}).load(dir);
+
+			store.set([ 'logging', 'level' ], 'debug');
+			await expect(store.save(dir)).to.eventually.be.rejectedWith(Error, 'Unsupported overflow file type ".txt"');
+		});
+
+		it('should save every file to a different directory', async () => {
+			const dir = makeTempName();
+			const store = await new DirectoryStore({ registry: makeRegistry() }).load(confDir);
+			await store.save(dir);
+
+			expect(fs.readdirSync(dir).sort()).to.deep.equal([ '10-base.json', '20-auth.yml', '30-local.toml' ]);
+
+			const reloaded = await new DirectoryStore({ registry: makeRegistry() }).load(dir);
+			expect(reloaded.get()).to.deep.equal(store.get());
+		});
+
+		it('should save a directory layer', async () => {
+			const dir = makeTempDir();
+			const cfg = await new Config().init();
+			await cfg.load(dir, { directory: true, overflowFile: '99-overflow.json' });
+
+			cfg.set('server.host', 'example.com');
+			cfg.set('name', 'test');
+			await cfg.save();
+
+			expect(fs.readJsonSync(path.join(dir, '10-base.json')).server.host).to.equal('example.com');
+			expect(fs.readJsonSync(path.join(dir, '99-overflow.json'))).to.deep.equal({ name: 'test' });
+		});
+	});
+});
@@ -0,0 +1,170 @@
+import Config, { DotEnvStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import { expect } from 'chai';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+function makeTempDir() {
+	const dir = makeTempName();
+	fs.mkdirsSync(dir);
+	return dir;
+}
+
+describe('DotEnvStore', () => {
+	after(() => {
+		fs.removeSync(tmpDir);
+	});
+
+	describe('Constructor', () => {
+		it('should default the separator', () => {
+			const store = new DotEnvStore();
+			expect(store.separator).to.equal('__');
+		});
+
+		it('should error if separator is invalid', () => {
+			expect(() => {
+				new DotEnvStore({ separator: 123 });
+			}).to.throw(TypeError, 'Expected separator to be a non-empty string');
+		});
+	});
+
+	describe('load()', () => {
+		it('should load a .env file', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'dotenv', 'good.env'));
+
+			expect(cfg.get()).to.deep.equal({
+				name: 'my app',
+				port: '8080',
+				server: {
+					host: 'localhost',
+					tls: {
+						enabled: 'true'
+					}
+				},
+				greeting: 'hello\nworld',
+				multi: 'line one\nline two',
+				raw: 'single $quoted'
+			});
+		});
+
+		it('should load a file named .env', async () => {
+			const dir = makeTempDir();
+			const file = path.join(dir, '.env');
+			fs.writeFileSync(file, 'FOO=bar\n');
+
+			const cfg = await new Config().init();
+			await cfg.load(file);
+			expect(cfg.get('foo')).to.equal('bar');
+		});
+
+		it('should load using a custom separator', async () => {
+			const cfg = await new Config().init();
+			await cfg.layers.add({
+				file: path.join(__dirname, 'fixtures', 'dotenv', 'separator.env'),
+				id: 'test',
+				store: new DotEnvStore({ separator: '.' })
+			});
+			expect(cfg.get('db')).to.deep.equal({ host: 'localhost', port: '5432' });
+		});
+
+		it('should error if .env file does not exist', async () => {
+			const cfg = await new Config().init();
+			const file = path.join(__dirname, 'does_not_exist.env');
+			await expect(
+				cfg.load(file)
+			).to.eventually.be.rejectedWith(Error, `File not found: ${file}`);
+		});
+
+		it('should error if .env file is bad', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'dotenv', 'bad-syntax.env'))
+			).to.eventually.be.rejectedWith(Error, 'Failed to load config file: Invalid entry on line 1: FOO');
+		});
+
+		it('should error if a quoted value is not terminated', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'dotenv', 'unterminated.env'))
+			).to.eventually.be.rejectedWith(Error, 'Failed to load config file: Unterminated quoted value on line 1');
+		});
+	});
+
+	describe('save()', () => {
+		it('should error if filename is not .env', async () => {
+			const cfg = await new Config().init({ store: new DotEnvStore() });
+			await expect(
+				cfg.save(path.join(makeTempName(), 'foo.json'))
+			).to.eventually.be.rejectedWith(Error, 'Expected dotenv config file to have ".env" extension, found ".json"');
+		});
+
+		it('should preserve comments, quotes, and ordering', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'good.env');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'dotenv', 'good.env'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('port', 9090, 'test');
+			await cfg.set('server.host', 'example.com', 'test');
+			await cfg.set('raw', 'changed', 'test');
+			await cfg.set('server.tls.cert', '/path/to my/cert', 'test');
+			await cfg.delete('greeting', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readdirSync(tmp)).to.have.lengthOf(1);
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'# app settings',
+				'NAME=my app',
+				'export PORT=9090',
+				'SERVER__HOST="example.com"',
+				'SERVER__TLS__ENABLED=true',
+				'MULTI="line one',
+				'line two"',
+				'RAW=\'changed\'',
+				'SERVER__TLS__CERT="/path/to my/cert"',
+				''
+			].join('\n'));
+
+			const cfg2 = await new Config().init();
+			await cfg2.load(file);
+			expect(cfg2.get('server.tls.cert')).to.equal('/path/to my/cert');
+			expect(cfg2.get('multi')).to.equal('line one\nline two');
+		});
+
+		it('should preserve line endings and export prefixes', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'crlf.env');
+			fs.writeFileSync(file, '# comment\r\nexport FOO=bar\r\n');
+
+			const cfg = await new Config().init();
+			await cfg.load(file, 'test');
+			await cfg.set('baz.wiz', 'a "quoted" value', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal('# comment\r\nexport FOO=bar\r\nexport BAZ__WIZ="a \\"quoted\\" value"\r\n');
+		});
+	});
+
+	describe('toString()', () => {
+		it('should export the store data as variables', () => {
+			const store = new DotEnvStore({ data: { foo: 'bar', wiz: { pow: 1, list: [ 'a', 'b' ] }, nothing: null } });
+			expect(store.toString()).to.equal('FOO=bar\nWIZ__POW=1\nWIZ__LIST="[\\"a\\",\\"b\\"]"\nNOTHING=\n');
+		});
+	});
+});
@@ -0,0 +1,183 @@
+import Config, { EnvStore, Joi } from '../src/index.js';
+import { expect } from 'chai';
+
+describe('EnvStore', () => {
+	describe('Constructor', () => {
+		it('should error if prefix is invalid', () => {
+			expect(() => {
+				new EnvStore();
+			}).to.throw(TypeError, 'Expected prefix to be a non-empty string');
+
+			expect(() => {
+				new EnvStore({ prefix: 123 });
+			}).to.throw(TypeError, 'Expected prefix to be a non-empty string');
+		});
+
+		it('should error if separator is invalid', () => {
+			expect(() => {
+				new EnvStore({ prefix: 'TEST_', separator: '' });
+			}).to.throw(TypeError, 'Expected separator to be a non-empty string');
+		});
+
+		it('should error if env is invalid', () => {
+			expect(() => {
+				new EnvStore({ prefix: 'TEST_', env: 'foo' });
+			}).to.throw(TypeError, 'Expected env to be an object');
+		});
+	});
+
+	describe('mapping', () => {
+		it('should map prefixed variables to nested keys', () => {
+			const store = new EnvStore({
+				env: {
+					MYAPP_NAME: 'foo',
+					MYAPP_SERVER__PORT: '8080',
+					MYAPP_SERVER__TLS__ENABLED: 'true',
+					OTHER_NAME: 'bar',
+					MYAPP_: 'empty',
+					MYAPP_BAD____KEY: 'baz'
+				},
+				prefix: 'MYAPP_'
+			});
+
+			expect(store.get()).to.deep.equal({
+				name: 'foo',
+				server: {
+					port: '8080',
+					tls: {
+						enabled: 'true'
+					}
+				}
+			});
+		});
+
+		it('should map variables using a custom separator', () => {
+			const store = new EnvStore({
+				env: {
+					MYAPP_SERVER_PORT: '8080'
+				},
+				prefix: 'MYAPP_',
+				separator: '_'
+			});
+
+			expect(store.get([ 'server', 'port' ])).to.equal('8080');
+		});
+
+		it('should resolve keys and coerce values using the schema', () => {
+			const store = new EnvStore({
+				env: {
+					MYAPP_LOG_LEVEL: 'debug',
+					MYAPP_SERVER__PORT: '8080',
+					MYAPP_SERVER__SECURE: 'true',
+					MYAPP_SERVER__HOSTS: '["a","b"]',
+					MYAPP_SERVER__TIMEOUT: 'soon',
+					MYAPP_EXTRA: '1'
+				},
+				prefix: 'MYAPP_',
+				schema: Joi.object({
+					logLevel: Joi.string(),
+					server: Joi.object({
+						hosts: Joi.array().items(Joi.string()),
+						port: Joi.number(),
+						secure: Joi.boolean(),
+						timeout: Joi.number()
+					})
+				})
+			});
+
+			expect(store.get()).to.deep.equal({
+				extra: '1',
+				logLevel: 'debug',
+				server: {
+					hosts: [ 'a', 'b' ],
+					port: 8080,
+					secure: true,
+					timeout: 'soon'
+				}
+			});
+		});
+
+		it('should keep watchers when the schema is set', () => {
+			const store = new EnvStore({
+				env: { MYAPP_PORT: '8080' },
+				prefix: 'MYAPP_'
+			});
+			const values = [];
+
+			store.watch([ 'a' ], value => values.push(value));
+			store.schema = Joi.object({ port: Joi.number() });
+			store.set([ 'a', 'b' ], 5);
+
+			expect(values).to.deep.equal([ { b: 5 } ]);
+			expect(store.get([ 'port' ])).to.equal(8080);
+		});
+
+		it('should default to process.env', () => {
+			process.env.CONFIG_KIT_TEST_FOO = 'bar';
+			try {
+				const store = new EnvStore({ prefix: 'CONFIG_KIT_TEST_' });
+				expect(store.get([ 'foo' ])).to.equal('bar');
+			} finally {
+				delete process.env.CONFIG_KIT_TEST_FOO;
+			}
+		});
+	});
+
+	describe('Config', () => {
+		it('should add an env layer that overrides other layers', async () => {
+			process.env.CONFIG_KIT_TEST_SERVER__PORT = '9000';
+			try {
+				const cfg = await new Config().init({
+					data: {
+						server: {
+							host: 'localhost',
+							port: 8080
+						}
+					},
+					env: 'CONFIG_KIT_TEST_',
+					schema: Joi.object({
+						server: Joi.object({
+							host: Joi.string(),
+							port: Joi.number()
+						})
+					})
+				});
+
+				expect(cfg.get('server')).to.deep.equal({
+					host: 'localhost',
+					port: 9000
+				});
+
+				await cfg.set('server.port', 8081);
+				expect(cfg.get('server.port')).to.equal(9000);
+				expect(cfg.get('server.port', undefined, Config.Base)).to.equal(8081);
+			} finally {
+				delete process.env.CONFIG_KIT_TEST_SERVER__PORT;
+			}
+		});
+
+		it('should add an env layer using store options', async () => {
+			const cfg = await new Config().init({
+				env: {
+					env: { APP_FOO: 'bar' },
+					prefix: 'APP_'
+				}
+			});
+			expect(cfg.get('foo')).to.equal('bar');
+			expect(cfg.layers.get(Config.Env).store).to.be.instanceof(EnvStore);
+		});
+
+		it('should error if env option is invalid', async () => {
+			await expect(
+				new Config().init({ env: 123 })
+			).to.eventually.be.rejectedWith(TypeError, 'Expected env to be a prefix string or an object');
+		});
+
+		it('should error saving the env layer', async () => {
+			const cfg = await new Config().init({ env: 'CONFIG_KIT_TEST_' });
+			await expect(
+				cfg.save({ id: Config.Env, file: 'foo.json' })
+			).to.eventually.be.rejectedWith(Error, 'Saving environment variables is unsupported');
+		});
+	});
+});
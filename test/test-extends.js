@@ -0,0 +1,234 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import Config from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import { fileURLToPath } from 'url';
+
+chai.use(chaiAsPromised);
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const fixturesDir = path.join(__dirname, 'fixtures', 'extends');
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempDir() {
+	const dir = path.join(tmpDir, Math.random().toString(36).substring(7));
+	fs.mkdirsSync(dir);
+	return dir;
+}
+
+describe('extends', () => {
+	after(() => fs.removeSync(tmpDir));
+
+	it('should merge extended files underneath the file', async () => {
+		const cfg = await new Config().init({ includes: true });
+		await cfg.load(path.join(fixturesDir, 'project.json'), 'project');
+
+		expect(cfg.get()).to.deep.equal({
+			logLevel: 'debug',
+			name: 'project',
+			plugins: [ 'audit' ],
+			server: {
+				host: 'localhost',
+				port: 9000,
+				tls: true
+			}
+		});
+		expect(cfg.get('server.port')).to.equal(9000);
+		expect(cfg.has('server.host')).to.equal(true);
+	});
+
+	it('should treat the directives as config values when includes are not enabled', async () => {
+		const cfg = await new Config().init();
+		await cfg.load(path.join(fixturesDir, 'project.json'), 'project');
+
+		expect(cfg.get('$include')).to.deep.equal([ './team.json' ]);
+		expect(cfg.get('server.port')).to.equal(undefined);
+		expect(cfg.layers.get('project').bases).to.deep.equal([]);
+	});
+
+	it('should enable includes for a single file', async () => {
+		const cfg = await new Config().init();
+		await cfg.load(path.join(fixturesDir, 'project.json'), { id: 'project', includes: true });
+
+		expect(cfg.get('$include')).to.equal(undefined);
+		expect(cfg.get('server.port')).to.equal(9000);
+	});
+
+	it('should not notify watchers when reloading an unchanged file', async () => {
+		const dir = makeTempDir();
+		fs.outputJsonSync(path.join(dir, 'base.json'), { nested: { a: 1 } });
+		fs.outputJsonSync(path.join(dir, 'config.json'), { extends: './base.json', nested: { b: 2 } });
+
+		const cfg = await new Config().init({ includes: true });
+		await cfg.load(path.join(dir, 'config.json'), 'project');
+
+		let count = 0;
+		cfg.watch('nested', () => count++);
+
+		await cfg.load(path.join(dir, 'config.json'), 'project');
+		expect(count).to.equal(0);
+
+		fs.outputJsonSync(path.join(dir, 'base.json'), { nested: { a: 3 } });
+		await cfg.load(path.join(dir, 'config.json'), 'project');
+		expect(count).to.equal(1);
+		expect(cfg.get('nested')).to.deep.equal({ a: 3, b: 2 });
+	});
+
+	it('should reuse the merged values until the layer changes', async () => {
+		const cfg = await new Config().init({ includes: true });
+		await cfg.load(path.join(fixturesDir, 'project.json'), 'project');
+
+		const layer = cfg.layers.get('project');
+		const server = layer.get([ 'server' ]);
+		expect(layer.get([ 'server' ])).to.equal(server);
+
+		layer.set([ 'server', 'port' ], 9001);
+		expect(layer.get([ 'server' ])).to.not.equal(server);
+		expect(layer.get([ 'server' ])).to.deep.equal({
+			host: 'localhost',
+			port: 9001,
+			tls: true
+		});
+
+		layer.delete([ 'server', 'port' ]);
+		expect(layer.get([ 'server', 'port' ])).to.equal(9000);
+	});
+
+	it('should not expose the directives as config values', async () => {
+		const cfg = await new Config().init({ includes: true });
+		await cfg.load(path.join(fixturesDir, 'project.json'), 'project');
+
+		expect(cfg.get('$include')).to.equal(undefined);
+		expect(cfg.get('extends')).to.equal(undefined);
+		expect(cfg.has('$include')).to.equal(false);
+	});
+
+	it('should record which file each key came from', async () => {
+		const cfg = await new Config().init({ includes: true });
+		await cfg.load(path.join(fixturesDir, 'project.json'), 'project');
+
+		expect(cfg.source('name')).to.deep.equal({ file: path.join(fixturesDir, 'project.json'), id: 'project' });
+		expect(cfg.source('server.tls')).to.deep.equal({ file: path.join(fixturesDir, 'project.json'), id: 'project' });
+		expect(cfg.source('server.port')).to.deep.equal({ file: path.join(fixturesDir, 'team.json'), id: 'project' });
+		expect(cfg.source('server.host')).to.deep.equal({ file: path.join(fixturesDir, 'org.yml'), id: 'project' });
+		expect(cfg.source('plugins')).to.deep.equal({ file: path.join(fixturesDir, 'org.yml'), id: 'project' });
+		expect(cfg.source('does.not.exist')).to.equal(undefined);
+
+		expect(cfg.layers.get('project').bases.map(b => b.file)).to.deep.equal([
+			path.join(fixturesDir, 'org.yml'),
+			path.join(fixturesDir, 'team.json')
+		]);
+	});
+
+	it('should report values not loaded from a file', async () => {
+		const cfg = await new Config().init({ data: { foo: 'bar' } });
+		expect(cfg.source('foo')).to.deep.equal({ file: null, id: Config.Base });
+	});
+
+	it('should only save the file\'s own values', async () => {
+		const dir = makeTempDir();
+		fs.outputJsonSync(path.join(dir, 'base.json'), { a: 1, b: { c: 2 } });
+		fs.outputJsonSync(path.join(dir, 'config.json'), { extends: './base.json', d: 3 });
+
+		const cfg = await new Config().init({ includes: true });
+		await cfg.load(path.join(dir, 'config.json'), 'project');
+		await cfg.set('b.e', 4, 'project');
+		await cfg.save({ id: 'project' });
+
+		expect(fs.readJsonSync(path.join(dir, 'config.json'))).to.deep.equal({
+			extends: './base.json',
+			d: 3,
+			b: { e: 4 }
+		});
+		expect(fs.readJsonSync(path.join(dir, 'base.json'))).to.deep.equal({ a: 1, b: { c: 2 } });
+		expect(cfg.get('b')).to.deep.equal({ c: 2, e: 4 });
+	});
+
+	it('should extend a package', async () => {
+		const dir = makeTempDir();
+		const pkgDir = path.join(dir, 'node_modules', '@myorg', 'config');
+		fs.outputJsonSync(path.join(pkgDir, 'package.json'), { name: '@myorg/config', main: 'index.json' });
+		fs.outputJsonSync(path.join(pkgDir, 'index.json'), { org: 'myorg' });
+		fs.outputFileSync(path.join(pkgDir, 'strict.yml'), 'strict: true\n');
+		fs.outputJsonSync(path.join(dir, 'config.json'), { extends: [ '@myorg/config', '@myorg/config/strict.yml' ] });
+
+		const cfg = await new Config().init({ includes: true });
+		await cfg.load(path.join(dir, 'config.json'), 'project');
+
+		expect(cfg.get()).to.deep.equal({ org: 'myorg', strict: true });
+		expect(cfg.source('strict').file).to.equal(path.join(pkgDir, 'strict.yml'));
+	});
+
+	it('should error if a package cannot be resolved', async () => {
+		const dir = makeTempDir();
+		const file = path.join(dir, 'config.json');
+		fs.outputJsonSync(file, { extends: '@myorg/does-not-exist' });
+
+		const cfg = await new Config().init({ includes: true });
+		await expect(cfg.load(file, 'project')).to.eventually.be.rejectedWith(Error,
+			`Unable to resolve "@myorg/does-not-exist" (extended by ${file})`);
+	});
+
+	it('should error with the chain if an extended file does not exist', async () => {
+		const dir = makeTempDir();
+		fs.outputJsonSync(path.join(dir, 'a.json'), { extends: './b.json' });
+		fs.outputJsonSync(path.join(dir, 'b.json'), { extends: './c.json' });
+
+		const cfg = await new Config().init({ includes: true });
+		await expect(cfg.load(path.join(dir, 'a.json'), 'project')).to.eventually.be.rejectedWith(Error,
+			`File not found: ${path.join(dir, 'c.json')} (extended by ${path.join(dir, 'a.json')} -> ${path.join(dir, 'b.json')})`);
+	});
+
+	it('should error if the directive is invalid', async () => {
+		const dir = makeTempDir();
+		const file = path.join(dir, 'config.json');
+		fs.outputJsonSync(file, { extends: [ './base.json', 123 ] });
+
+		const cfg = await new Config().init({ includes: true });
+		await expect(cfg.load(file, 'project')).to.eventually.be.rejectedWith(TypeError,
+			`Expected "extends" to be a string or an array of strings (extended by ${file})`);
+	});
+
+	it('should detect cycles', async () => {
+		const dir = makeTempDir();
+		const a = path.join(dir, 'a.json');
+		const b = path.join(dir, 'b.yml');
+		const c = path.join(dir, 'c.json');
+		fs.outputJsonSync(a, { extends: './b.yml' });
+		fs.outputFileSync(b, '$include: ./c.json\n');
+		fs.outputJsonSync(c, { extends: './a.json' });
+
+		const cfg = await new Config().init({ includes: true });
+		await expect(cfg.load(a, 'project')).to.eventually.be.rejectedWith(Error,
+			`Circular "extends" detected: ${a} -> ${b} -> ${c} -> ${a}`);
+	});
+
+	it('should detect a file extending itself', async () => {
+		const dir = makeTempDir();
+		const file = path.join(dir, 'config.json');
+		fs.outputJsonSync(file, { extends: './config.json' });
+
+		const cfg = await new Config().init({ includes: true });
+		await expect(cfg.load(file, 'project')).to.eventually.be.rejectedWith(Error,
+			`Circular "extends" detected: ${file} -> ${file}`);
+	});
+
+	it('should allow two files to extend the same file', async () => {
+		const dir = makeTempDir();
+		fs.outputJsonSync(path.join(dir, 'org.json'), { org: true });
+		fs.outputJsonSync(path.join(dir, 'a.json'), { extends: './org.json', a: true });
+		fs.outputJsonSync(path.join(dir, 'b.json'), { extends: './org.json', b: true });
+		fs.outputJsonSync(path.join(dir, 'config.json'), { extends: [ './a.json', './b.json' ] });
+
+		const cfg = await new Config().init({ includes: true });
+		await cfg.load(path.join(dir, 'config.json'), 'project');
+		expect(cfg.get()).to.deep.equal({ a: true, b: true, org: true });
+	});
+});
@@ -0,0 +1,219 @@
+import Config, { IniStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import { expect } from 'chai';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+function makeTempDir() {
+	const dir = makeTempName();
+	fs.mkdirsSync(dir);
+	return dir;
+}
+
+describe('IniStore', () => {
+	after(() => {
+		fs.removeSync(tmpDir);
+	});
+
+	describe('load()', () => {
+		it('should load an ini file with nested sections and arrays', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'ini', 'good.ini'));
+
+			expect(cfg.get()).to.deep.equal({
+				name: 'my app',
+				debug: false,
+				server: {
+					host: 'localhost',
+					port: 8080,
+					tags: [ 'alpha', 'beta' ],
+					tls: {
+						enabled: true,
+						cert: '123'
+					}
+				}
+			});
+		});
+
+		it('should load a .cfg file', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'ini', 'good.cfg'));
+			expect(cfg.get()).to.deep.equal({ foo: 'bar', num: '0x10' });
+		});
+
+		it('should error if ini file does not exist', async () => {
+			const cfg = await new Config().init();
+			const file = path.join(__dirname, 'does_not_exist.ini');
+			await expect(
+				cfg.load(file)
+			).to.eventually.be.rejectedWith(Error, `File not found: ${file}`);
+		});
+
+		it('should error if ini file is bad', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'ini', 'bad-syntax.ini'))
+			).to.eventually.be.rejectedWith(Error, 'Failed to load config file: Invalid entry on line 1: [foo');
+		});
+
+		it('should load a namespaced file into a namespace', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'ini', 'good-ns.ini'), { id: 'test', namespace: 'test' });
+			expect(cfg.get('test.foo')).to.equal('bar');
+		});
+	});
+
+	describe('save()', () => {
+		it('should error if filename is not ini', async () => {
+			const cfg = await new Config().init({ store: new IniStore() });
+			await expect(
+				cfg.save(path.join(makeTempName(), 'foo.json'))
+			).to.eventually.be.rejectedWith(Error, 'Expected INI config file to have ".ini" or ".cfg" extension, found ".json"');
+		});
+
+		it('should preserve comments and ordering', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'good.ini');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'ini', 'good.ini'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('server.port', 9090, 'test');
+			await cfg.push('server.tags', 'gamma', 'test');
+			await cfg.set('server.timeout', 30, 'test');
+			await cfg.set('logging.level', 'info', 'test');
+			await cfg.delete('debug', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readdirSync(tmp)).to.have.lengthOf(1);
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'; global settings',
+				'name = my app',
+				'',
+				'[server]',
+				'# where to listen',
+				'host = localhost',
+				'port = 9090',
+				'tags[] = alpha',
+				'tags[] = beta',
+				'tags[] = gamma',
+				'timeout = 30',
+				'',
+				'[server.tls]',
+				'enabled = true',
+				'cert = "123"',
+				'',
+				'[logging]',
+				'level = info',
+				''
+			].join('\n'));
+		});
+
+		it('should remove sections whose values were all deleted', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'good.ini');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'ini', 'good.ini'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.delete('server.tls', 'test');
+			await cfg.set('server.tags', 'alpha', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'; global settings',
+				'name = my app',
+				'debug = false',
+				'',
+				'[server]',
+				'# where to listen',
+				'host = localhost',
+				'port = 8080',
+				'tags = alpha',
+				''
+			].join('\n'));
+		});
+
+		it('should preserve line endings and separators', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'crlf.cfg');
+			fs.writeFileSync(file, '# comment\r\nfoo=bar\r\n');
+
+			const cfg = await new Config().init();
+			await cfg.load(file, 'test');
+			await cfg.set('baz', 'wiz', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal('# comment\r\nfoo=bar\r\nbaz=wiz\r\n');
+		});
+
+		it('should ignore inline comments and keep them when saving', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'inline.ini');
+			fs.writeFileSync(file, [
+				'[server]',
+				'host = localhost ; the host',
+				'port = 80 # the port',
+				'name = "a ; b" ; quoted',
+				'path = /a#b',
+				''
+			].join('\n'));
+
+			const cfg = await new Config().init();
+			await cfg.load(file, 'test');
+			expect(cfg.get('server')).to.deep.equal({ host: 'localhost', port: 80, name: 'a ; b', path: '/a#b' });
+
+			await cfg.set('server.port', 8080, 'test');
+			await cfg.set('server.note', 'x ; y', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'[server]',
+				'host = localhost ; the host',
+				'port = 8080',
+				'name = "a ; b" ; quoted',
+				'path = /a#b',
+				'note = "x ; y"',
+				''
+			].join('\n'));
+		});
+
+		it('should round trip values that would otherwise be cast', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'types.ini');
+			const cfg = await new Config().init({ file, store: new IniStore() });
+
+			await cfg.set('a', '1');
+			await cfg.set('b', 'true');
+			await cfg.set('c', ' padded ');
+			await cfg.set('d', 1.5);
+			await cfg.save(file);
+
+			const cfg2 = await new Config().init();
+			await cfg2.load(file);
+			expect(cfg2.get()).to.deep.equal({ a: '1', b: 'true', c: ' padded ', d: 1.5 });
+		});
+	});
+
+	describe('toString()', () => {
+		it('should stringify the store data as ini', () => {
+			const store = new IniStore({ data: { foo: 'bar', wiz: { pow: 1, list: [ 'a', 'b' ] } } });
+			expect(store.toString()).to.equal('foo = bar\n\n[wiz]\npow = 1\nlist[] = a\nlist[] = b\n');
+		});
+	});
+});
@@ -1,13 +1,38 @@
 import chai, { expect } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
 import Config, { JSStore } from '../src/index.js';
+import fs from 'fs-extra';
+import os from 'os';
 import path from 'path';
+import tmp from 'tmp';
 import { fileURLToPath } from 'url';
 
 chai.use(chaiAsPromised);
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
 
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+function stripTypes(source) {
+	return source.replace(/^interface [\s\S]*?^}\n/m, '').replace(/: Config\b/g, '');
+}
+
+function makeTempDir() {
+	const dir = makeTempName();
+	fs.mkdirsSync(dir);
+	// .js files are only loaded as ES modules when the package type is "module"
+	fs.writeJsonSync(path.join(dir, 'package.json'), { type: 'module' });
+	return dir;
+}
+
 describe('JSStore', () => {
 	describe('Constructor', () => {
 		it('should default layer options', () => {
@@ -84,6 +109,66 @@ describe('JSStore', () => {
 				cfg.load(path.join(__dirname, 'fixtures', 'js', 'require.js'))
 			).to.eventually.be.rejectedWith(Error, /require is not defined/);
 		});
+
+		it('should load a mjs file', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'js', 'good.mjs'));
+			expect(cfg.get('foo')).to.equal('bar');
+		});
+
+		it('should load a cjs file', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'js', 'good.cjs'));
+			expect(cfg.get('foo')).to.equal('bar');
+		});
+
+		it('should load a cjs file using a relative path', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.relative(process.cwd(), path.join(__dirname, 'fixtures', 'js', 'good-fn.cjs')));
+			expect(cfg.get('foo')).to.equal('bar');
+		});
+
+		it('should load a js file using a relative path', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.relative(process.cwd(), path.join(__dirname, 'fixtures', 'js', 'good-fn.js')));
+			expect(cfg.get('foo')).to.equal('bar');
+		});
+
+		it('should load a ts file using a transpile hook', async () => {
+			const cfg = await new Config().init();
+			await cfg.layers.add({
+				file: path.join(__dirname, 'fixtures', 'js', 'good.ts'),
+				id: 'test',
+				store: new JSStore({ transpile: stripTypes })
+			});
+			expect(cfg.get('foo')).to.equal('bar');
+			expect(fs.readdirSync(path.join(__dirname, 'fixtures', 'js')).filter(f => f.endsWith('.mjs'))).to.deep.equal([ 'good.mjs' ]);
+			expect(fs.readdirSync(os.tmpdir()).filter(f => f.startsWith('config-kit-') && f.endsWith('.mjs'))).to.deep.equal([]);
+		});
+
+		it('should load a ts file using the default transpile hook', async () => {
+			JSStore.transpile = async source => stripTypes(source);
+			try {
+				const cfg = await new Config().init();
+				await cfg.load(path.join(__dirname, 'fixtures', 'js', 'good.ts'));
+				expect(cfg.get('foo')).to.equal('bar');
+			} finally {
+				JSStore.transpile = null;
+			}
+		});
+
+		it('should error loading a ts file without a transpile hook', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'js', 'good.ts'))
+			).to.eventually.be.rejectedWith(Error, 'Loading TypeScript config files requires a transpile hook or the "typescript" package');
+		});
+
+		it('should error if transpile hook is not a function', () => {
+			expect(() => {
+				new JSStore({ transpile: 'tsc' });
+			}).to.throw(TypeError, 'Expected transpile to be a function');
+		});
 	});
 
 	describe('get()', () => {
@@ -443,11 +528,110 @@ describe('JSStore', () => {
 	});
 
 	describe('save()', () => {
-		it('should error trying to save a .js config', async () => {
+		after(() => {
+			fs.removeSync(tmpDir);
+		});
+
+		it('should save a js file that exports an object literal', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'config.js');
 			const cfg = await new Config().init();
-			await cfg.load(path.join(__dirname, 'fixtures', 'js', 'good.js'));
 
-			await expect(cfg.save()).to.eventually.be.rejectedWith(Error, 'Saving JavaScript config files is unsupported');
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'js', 'good.js'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('name', 'it\'s', 'test');
+			await cfg.set('server.port', 8080, 'test');
+			await cfg.set('server.hosts', [ 'a', 'b' ], 'test');
+			await cfg.set('some-key', {}, 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readdirSync(tmp)).to.have.lengthOf(2);
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'export default {',
+				'\tfoo: \'bar\',',
+				'\tname: \'it\\\'s\',',
+				'\tserver: {',
+				'\t\tport: 8080,',
+				'\t\thosts: [',
+				'\t\t\t\'a\',',
+				'\t\t\t\'b\'',
+				'\t\t]',
+				'\t},',
+				'\t\'some-key\': {}',
+				'};',
+				''
+			].join('\n'));
+
+			const cfg2 = await new Config().init();
+			await cfg2.load(file);
+			expect(cfg2.get()).to.deep.equal({
+				foo: 'bar',
+				name: 'it\'s',
+				server: {
+					port: 8080,
+					hosts: [ 'a', 'b' ]
+				},
+				'some-key': {}
+			});
+		});
+
+		it('should save a new js file', async () => {
+			const file = path.join(makeTempDir(), 'config.js');
+			const cfg = await new Config().init({ store: JSStore });
+			await cfg.set('foo', 'line 1\nline 2');
+			await cfg.save(file);
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'export default {',
+				'\tfoo: \'line 1\\nline 2\'',
+				'};',
+				''
+			].join('\n'));
+		});
+
+		it('should save a cjs file as a commonjs module', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'config.cjs');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'js', 'good.cjs'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('foo', 'baz', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'module.exports = {',
+				'\tfoo: \'baz\'',
+				'};',
+				''
+			].join('\n'));
+
+			const cfg2 = await new Config().init();
+			await cfg2.load(file);
+			expect(cfg2.get('foo')).to.equal('baz');
+		});
+
+		it('should error if filename is not js', async () => {
+			const cfg = await new Config().init({ store: JSStore });
+			await expect(
+				cfg.save(path.join(makeTempName(), 'foo.json'))
+			).to.eventually.be.rejectedWith(Error, 'Expected JavaScript config file to have ".js" or ".mjs" or ".cjs" or ".ts" or ".mts" extension, found ".json"');
+		});
+
+		it('should error saving a js file that exports a function', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'js', 'good-fn.js'));
+
+			await expect(cfg.save()).to.eventually.be.rejectedWith(Error, 'Unable to save JavaScript config file because it exports a function');
+		});
+
+		it('should error saving a js file that contains non-literal expressions', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'js', 'import.js'));
+
+			await expect(cfg.save()).to.eventually.be.rejectedWith(Error, 'Unable to save JavaScript config file because it contains non-literal expressions');
 		});
 	});
 });
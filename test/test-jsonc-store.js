@@ -0,0 +1,229 @@
+import Config, { JSONCStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import { expect } from 'chai';
+import { fileURLToPath } from 'url';
+import { parse, toJS } from '../src/stores/jsonc/parser.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+function makeTempDir() {
+	const dir = makeTempName();
+	fs.mkdirsSync(dir);
+	return dir;
+}
+
+describe('JSONCStore', () => {
+	after(() => {
+		fs.removeSync(tmpDir);
+	});
+
+	describe('parse()', () => {
+		it('should parse json5 values', () => {
+			expect(toJS(parse('{ a: +1, b: -0x10, c: .5, d: 5., e: -Infinity, f: "\\u0041\\x42\\t" }'))).to.deep.equal({
+				a: 1,
+				b: -16,
+				c: 0.5,
+				d: 5,
+				e: -Infinity,
+				f: 'AB\t'
+			});
+			expect(toJS(parse('[ NaN ]'))[0]).to.be.NaN;
+		});
+
+		it('should return null if there is no value', () => {
+			expect(parse('// nothing\n/* here */')).to.equal(null);
+		});
+
+		it('should report the location of syntax errors', () => {
+			expect(() => parse('{\n  "a": 1,\n  "b" 2\n}')).to.throw(SyntaxError, 'Unexpected character "2" at line 3 column 7');
+			expect(() => parse('{ "a": [ 1, 2 }')).to.throw(SyntaxError, 'Unexpected character "}" at line 1 column 15');
+			expect(() => parse('{ "a": "b')).to.throw(SyntaxError, 'Unexpected end of input at line 1 column 10');
+			expect(() => parse('{} /* unterminated')).to.throw(SyntaxError, 'Unexpected end of input');
+		});
+	});
+
+	describe('load()', () => {
+		it('should load a .jsonc file with comments and trailing commas', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'jsonc', 'good.jsonc'));
+			expect(cfg.get()).to.deep.equal({
+				name: 'my app',
+				server: {
+					host: 'localhost',
+					port: 8080,
+					tags: [ 'alpha', 'beta' ]
+				},
+				debug: false
+			});
+		});
+
+		it('should load a .json5 file', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'jsonc', 'good.json5'));
+			expect(cfg.get()).to.deep.equal({
+				unquoted: 'value',
+				hex: 255,
+				half: 0.5,
+				positive: 1,
+				infinite: Infinity,
+				multiline: 'line one line two',
+				nested: { a: [ 1, 2 ] }
+			});
+		});
+
+		it('should error if jsonc file does not exist', async () => {
+			const cfg = await new Config().init();
+			const file = path.join(__dirname, 'does_not_exist.jsonc');
+			await expect(
+				cfg.load(file)
+			).to.eventually.be.rejectedWith(Error, `File not found: ${file}`);
+		});
+
+		it('should error if jsonc file is bad', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'jsonc', 'bad-syntax.jsonc'))
+			).to.eventually.be.rejectedWith(Error, 'Failed to load config file: Unexpected character "}" at line 5 column 1');
+		});
+
+		it('should error if config does\'t contain an object', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'jsonc', 'string.jsonc'))
+			).to.eventually.be.rejectedWith(TypeError, 'Expected config file to be an object');
+		});
+
+		it('should load a namespaced file into a namespace', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'jsonc', 'good-ns.jsonc'), { id: 'test', namespace: 'test' });
+			expect(cfg.get('test.foo')).to.equal('bar');
+		});
+	});
+
+	describe('save()', () => {
+		it('should error if filename is not jsonc', async () => {
+			const cfg = await new Config().init({ store: new JSONCStore() });
+			await expect(
+				cfg.save(path.join(makeTempName(), 'foo.json'))
+			).to.eventually.be.rejectedWith(Error, 'Expected JSONC config file to have ".jsonc" or ".json5" extension, found ".json"');
+		});
+
+		it('should preserve comments and ordering of untouched keys', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'good.jsonc');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'jsonc', 'good.jsonc'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('server.host', 'example.com', 'test');
+			await cfg.set('server.port', 9090, 'test');
+			await cfg.push('server.tags', 'gamma', 'test');
+			await cfg.set('server.tls', { enabled: true }, 'test');
+			await cfg.delete('debug', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readdirSync(tmp)).to.have.lengthOf(1);
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'{',
+				'\t// the display name',
+				'\t"name": "my app",',
+				'',
+				'\t/* server settings */',
+				'\t"server": {',
+				'\t\t"host": \'example.com\', // single quoted',
+				'\t\t"port": 9090,',
+				'\t\t"tags": [ "alpha", "beta", "gamma" ],',
+				'\t\t"tls": {',
+				'\t\t\t"enabled": true',
+				'\t\t},',
+				'\t},',
+				'}',
+				''
+			].join('\n'));
+		});
+
+		it('should remove the trailing comma when the last property is deleted', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'foo.jsonc');
+			fs.writeFileSync(file, '{\n  "a": 1, // first\n  "b": [\n    1,\n    2\n  ],\n  // last\n  "c": 3\n}\n');
+
+			const cfg = await new Config().init();
+			await cfg.load(file, 'test');
+			await cfg.delete('c', 'test');
+			await cfg.pop('b', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal('{\n  "a": 1, // first\n  "b": [\n    1\n  ]\n  // last\n}\n');
+
+			await cfg.set('d', { e: 'f' }, 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal('{\n  "a": 1, // first\n  "b": [\n    1\n  ],\n  "d": {\n    "e": "f"\n  }\n  // last\n}\n');
+		});
+
+		it('should preserve json5 syntax', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'good.json5');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'jsonc', 'good.json5'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('unquoted', 'it\'s changed', 'test');
+			await cfg.set('added', 'new', 'test');
+			await cfg.delete('nested', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'// JSON5 config',
+				'{',
+				'  unquoted: \'it\\\'s changed\',',
+				'  hex: 0xFF,',
+				'  half: .5,',
+				'  positive: +1,',
+				'  infinite: Infinity,',
+				'  multiline: \'line one \\',
+				'line two\',',
+				'  added: \'new\',',
+				'}',
+				''
+			].join('\n'));
+		});
+
+		it('should update an inline object', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'inline.jsonc');
+			fs.writeFileSync(file, '{ "a": 1, "b": 2, "c": 3 }');
+
+			const cfg = await new Config().init();
+			await cfg.load(file, 'test');
+			await cfg.delete('c', 'test');
+			await cfg.save({ id: 'test' });
+			expect(fs.readFileSync(file, 'utf8')).to.equal('{ "a": 1, "b": 2 }');
+
+			await cfg.set('d', true, 'test');
+			await cfg.save({ id: 'test' });
+			expect(fs.readFileSync(file, 'utf8')).to.equal('{ "a": 1, "b": 2, "d": true }');
+		});
+	});
+
+	describe('toString()', () => {
+		it('should stringify the store data as json', () => {
+			const store = new JSONCStore({ data: { foo: 'bar' } });
+			expect(store.toString()).to.equal('{\n  "foo": "bar"\n}');
+		});
+	});
+});
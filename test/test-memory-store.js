@@ -0,0 +1,129 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import Config, { JSONStore, MemoryStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+
+chai.use(chaiAsPromised);
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+describe('MemoryStore', () => {
+	after(() => fs.removeSync(tmpDir));
+
+	describe('Constructor', () => {
+		it('should error if snapshot file is invalid', () => {
+			expect(() => {
+				new MemoryStore({ snapshotFile: '' });
+			}).to.throw(TypeError, 'Expected snapshot file to be a non-empty string');
+
+			expect(() => {
+				new MemoryStore({ snapshotFile: 123 });
+			}).to.throw(TypeError, 'Expected snapshot file to be a non-empty string');
+		});
+
+		it('should initialize with data', () => {
+			const store = new MemoryStore({ data: { foo: 'bar' } });
+			expect(store.get([ 'foo' ])).to.equal('bar');
+		});
+	});
+
+	describe('save()', () => {
+		it('should not write anything without a snapshot file', async () => {
+			const dir = makeTempName();
+			const store = new MemoryStore({ data: { foo: 'bar' } });
+
+			await store.save();
+
+			expect(fs.existsSync(dir)).to.equal(false);
+		});
+
+		it('should error if file is invalid', async () => {
+			const store = new MemoryStore();
+			await expect(store.save(123)).to.eventually.be.rejectedWith(TypeError, 'Expected snapshot file path to be a string');
+		});
+
+		it('should write a snapshot to the snapshot file', async () => {
+			const file = path.join(makeTempName(), 'snapshot.json');
+			const store = new MemoryStore({ snapshotFile: file });
+
+			store.set([ 'server', 'port' ], 8080);
+			await store.save();
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal('{\n  "server": {\n    "port": 8080\n  }\n}');
+		});
+
+		it('should write a snapshot to the specified file', async () => {
+			const file = path.join(makeTempName(), 'snapshot');
+			const store = new MemoryStore({ data: { foo: 'bar' } });
+
+			await store.save(file);
+
+			expect(fs.readJsonSync(file)).to.deep.equal({ foo: 'bar' });
+		});
+
+		it('should load a snapshot', async () => {
+			const file = path.join(makeTempName(), 'snapshot.json');
+			await new MemoryStore({ data: { foo: 'bar' } }).save(file);
+
+			const store = await new MemoryStore().load(file);
+			expect(store.get()).to.deep.equal({ foo: 'bar' });
+		});
+	});
+
+	describe('layers', () => {
+		it('should default to a memory store for layers without a file', async () => {
+			const cfg = await new Config().init();
+			const layer = await cfg.layers.add('runtime');
+
+			expect(layer.store).to.be.instanceof(MemoryStore);
+			expect(cfg.layers.get(Config.Base).store).to.not.be.instanceof(MemoryStore);
+
+			await cfg.set('foo', 'bar', 'runtime');
+			await cfg.save({ id: 'runtime' });
+			expect(cfg.get('foo')).to.equal('bar');
+		});
+
+		it('should not default to a memory store for layers with a file', async () => {
+			const cfg = await new Config().init();
+			const layer = await cfg.layers.add({
+				file:     path.join(makeTempName(), 'foo.json'),
+				graceful: true,
+				id:       'test'
+			});
+
+			expect(layer.store).to.be.instanceof(JSONStore);
+			expect(layer.store).to.not.be.instanceof(MemoryStore);
+		});
+
+		it('should save a layer snapshot', async () => {
+			const file = path.join(makeTempName(), 'runtime.json');
+			const cfg = await new Config().init();
+			await cfg.layers.add({
+				id:    'runtime',
+				store: new MemoryStore({ snapshotFile: file })
+			});
+
+			await cfg.set('foo', 'bar', 'runtime');
+			await cfg.save({ id: 'runtime' });
+
+			expect(fs.readJsonSync(file)).to.deep.equal({ foo: 'bar' });
+		});
+
+		it('should use a memory store as the base layer', async () => {
+			const cfg = await new Config().init({ store: new MemoryStore() });
+			await cfg.set('foo', 'bar');
+			await cfg.save();
+			expect(cfg.get('foo')).to.equal('bar');
+		});
+	});
+});
@@ -150,4 +150,16 @@ describe('Node', () => {
 		expect(counter).to.equal(3);
 		expect(barCounter).to.equal(1);
 	});
+
+	it('should merge dates as values', () => {
+		const date = new Date('2022-05-20T10:30:00Z');
+		const n = new Node({});
+
+		Node.merge(n, { foo: { date }, dates: [ date ] });
+		expect(n.foo.date).to.equal(date);
+
+		n.dates.push(new Date(0));
+		expect(n.dates[0]).to.equal(date);
+		expect(n.dates[1]).to.be.instanceof(Date);
+	});
 });
@@ -0,0 +1,188 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import Config, { PackageJSONStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import { fileURLToPath } from 'url';
+
+chai.use(chaiAsPromised);
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+const pkgFile = path.join(__dirname, 'fixtures', 'package-json', 'package.json');
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+function makeTempPackage(src = pkgFile) {
+	const file = path.join(makeTempName(), 'package.json');
+	fs.copySync(src, file);
+	return file;
+}
+
+describe('PackageJSONStore', () => {
+	after(() => fs.removeSync(tmpDir));
+
+	describe('Constructor', () => {
+		it('should error if field is invalid', () => {
+			expect(() => {
+				new PackageJSONStore();
+			}).to.throw(TypeError, 'Expected field to be a non-empty string');
+
+			expect(() => {
+				new PackageJSONStore({ field: 123 });
+			}).to.throw(TypeError, 'Expected field to be a non-empty string');
+		});
+	});
+
+	describe('load()', () => {
+		it('should load the config field', async () => {
+			const store = await new PackageJSONStore({ field: 'myTool' }).load(pkgFile);
+			expect(store.get()).to.deep.equal({
+				server: {
+					port: 8080
+				},
+				plugins: [ 'a', 'b' ]
+			});
+		});
+
+		it('should be empty if the field does not exist', async () => {
+			const store = await new PackageJSONStore({ field: 'myTool' }).load(path.join(__dirname, 'fixtures', 'package-json', 'no-field.json'));
+			expect(store.get()).to.equal(undefined);
+		});
+
+		it('should error if the field is not an object', async () => {
+			const store = new PackageJSONStore({ field: 'myTool' });
+			await expect(store.load(path.join(__dirname, 'fixtures', 'package-json', 'bad-field.json')))
+				.to.eventually.be.rejectedWith(TypeError, 'Expected "myTool" field to be an object');
+		});
+
+		it('should error if file does not exist', async () => {
+			const store = new PackageJSONStore({ field: 'myTool' });
+			await expect(store.load(path.join(__dirname, 'does_not_exist', 'package.json')))
+				.to.eventually.be.rejectedWith(Error, /^File not found:/);
+		});
+
+		it('should load the config field as a layer', async () => {
+			const cfg = await new Config().init();
+			await cfg.layers.add({
+				file:  pkgFile,
+				id:    'pkg',
+				store: new PackageJSONStore({ field: 'myTool' })
+			});
+			expect(cfg.get('server.port')).to.equal(8080);
+			expect(cfg.get('name')).to.equal(undefined);
+		});
+	});
+
+	describe('save()', () => {
+		it('should error if file is invalid', async () => {
+			const store = new PackageJSONStore({ field: 'myTool' });
+			await expect(store.save()).to.eventually.be.rejectedWith(TypeError, 'Expected config file path to be a string');
+			await expect(store.save('foo.yml')).to.eventually.be.rejectedWith(Error, 'Expected package.json config file to have ".json" extension, found ".yml"');
+		});
+
+		it('should only change the config field', async () => {
+			const file = makeTempPackage();
+			const store = await new PackageJSONStore({ field: 'myTool' }).load(file);
+
+			store.set([ 'server', 'port' ], 9000);
+			store.set([ 'debug' ], true);
+			await store.save(file);
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'{',
+				'    "name": "my-app",',
+				'    "version": "1.0.0",',
+				'    "myTool": {',
+				'        "server": {',
+				'            "port": 9000',
+				'        },',
+				'        "plugins": [ "a", "b" ],',
+				'        "debug": true',
+				'    },',
+				'    "dependencies": {',
+				'        "lodash": "^4.17.21"',
+				'    }',
+				'}',
+				''
+			].join('\n'));
+		});
+
+		it('should keep changes made to the file since it was loaded', async () => {
+			const file = makeTempPackage();
+			const store = await new PackageJSONStore({ field: 'myTool' }).load(file);
+
+			const pkg = fs.readJsonSync(file);
+			pkg.dependencies.chalk = '^5.0.0';
+			fs.writeJsonSync(file, pkg, { spaces: 4 });
+
+			store.set([ 'server', 'port' ], 9000);
+			await store.save(file);
+
+			expect(fs.readJsonSync(file)).to.deep.equal({
+				name: 'my-app',
+				version: '1.0.0',
+				myTool: {
+					server: {
+						port: 9000
+					},
+					plugins: [ 'a', 'b' ]
+				},
+				dependencies: {
+					chalk: '^5.0.0',
+					lodash: '^4.17.21'
+				}
+			});
+		});
+
+		it('should add the config field', async () => {
+			const file = makeTempPackage(path.join(__dirname, 'fixtures', 'package-json', 'no-field.json'));
+			const store = await new PackageJSONStore({ field: 'myTool' }).load(file);
+
+			store.set([ 'debug' ], true);
+			await store.save(file);
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'{',
+				'\t"name": "no-config",',
+				'\t"myTool": {',
+				'\t\t"debug": true',
+				'\t}',
+				'}',
+				''
+			].join('\n'));
+		});
+
+		it('should not add an empty config field', async () => {
+			const file = makeTempPackage(path.join(__dirname, 'fixtures', 'package-json', 'no-field.json'));
+			const original = fs.readFileSync(file, 'utf8');
+			const store = await new PackageJSONStore({ field: 'myTool' }).load(file);
+
+			await store.save(file);
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal(original);
+		});
+
+		it('should create a new package.json', async () => {
+			const file = path.join(makeTempName(), 'package.json');
+			const store = new PackageJSONStore({ field: 'myTool' });
+
+			store.set([ 'debug' ], true);
+			await store.save(file);
+
+			expect(fs.readJsonSync(file)).to.deep.equal({
+				myTool: {
+					debug: true
+				}
+			});
+		});
+	});
+});
@@ -0,0 +1,219 @@
+import Config, { PlistStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import { expect } from 'chai';
+import { fileURLToPath } from 'url';
+import { build, parse } from '../src/stores/plist/binary.js';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+function makeTempDir() {
+	const dir = makeTempName();
+	fs.mkdirsSync(dir);
+	return dir;
+}
+
+const expected = {
+	CFBundleName: 'My App',
+	CFBundleVersion: 42,
+	Ratio: 1,
+	Enabled: true,
+	Disabled: false,
+	Created: new Date('2022-05-20T10:30:00Z'),
+	Icon: Buffer.from([ 0, 1, 2, 255 ]),
+	Tags: [ 'alpha', 'beta' ],
+	Nested: {
+		Unicode: 'café ☕',
+		Negative: -5,
+		Big: 5000000000
+	}
+};
+
+describe('PlistStore', () => {
+	after(() => {
+		fs.removeSync(tmpDir);
+	});
+
+	describe('Constructor', () => {
+		it('should error if format is invalid', () => {
+			expect(() => {
+				new PlistStore({ format: 'json' });
+			}).to.throw(TypeError, 'Expected plist format to be "xml" or "binary"');
+		});
+	});
+
+	describe('load()', () => {
+		it('should load an xml plist', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'plist', 'good.plist'));
+			expect(cfg.get()).to.deep.equal(expected);
+			expect(cfg.get('Icon')).to.be.instanceof(Buffer);
+			expect(cfg.get('Created')).to.be.instanceof(Date);
+		});
+
+		it('should load a binary plist', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'plist', 'binary.plist'));
+			expect(cfg.get()).to.deep.equal(expected);
+		});
+
+		it('should error if plist file does not exist', async () => {
+			const cfg = await new Config().init();
+			const file = path.join(__dirname, 'does_not_exist.plist');
+			await expect(
+				cfg.load(file)
+			).to.eventually.be.rejectedWith(Error, `File not found: ${file}`);
+		});
+
+		it('should error if plist file is bad', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'plist', 'bad-syntax.plist'))
+			).to.eventually.be.rejectedWith(Error, /^Failed to load config file:/);
+		});
+
+		it('should error if plist doesn\'t contain a dict', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'plist', 'array.plist'))
+			).to.eventually.be.rejectedWith(TypeError, 'Expected config file to be an object');
+		});
+
+		it('should load a namespaced file into a namespace', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'plist', 'good-ns.plist'), { id: 'test', namespace: 'test' });
+			expect(cfg.get('test.foo')).to.equal('bar');
+		});
+	});
+
+	describe('save()', () => {
+		it('should error if filename is not plist', async () => {
+			const cfg = await new Config().init({ store: new PlistStore() });
+			await expect(
+				cfg.save(path.join(makeTempName(), 'foo.json'))
+			).to.eventually.be.rejectedWith(Error, 'Expected plist config file to have ".plist" extension, found ".json"');
+		});
+
+		it('should save an xml plist', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'Info.plist');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'plist', 'good.plist'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('CFBundleVersion', 43, 'test');
+			await cfg.set('Nested', { Escaped: '<a & b>' }, 'test');
+			await cfg.delete('Tags', 'test');
+			await cfg.delete('Created', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readdirSync(tmp)).to.have.lengthOf(1);
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+				'<plist version="1.0">',
+				'<dict>',
+				'\t<key>CFBundleName</key>',
+				'\t<string>My App</string>',
+				'\t<key>Ratio</key>',
+				'\t<real>1</real>',
+				'\t<key>Enabled</key>',
+				'\t<true/>',
+				'\t<key>Disabled</key>',
+				'\t<false/>',
+				'\t<key>Icon</key>',
+				'\t<data>AAEC/w==</data>',
+				'\t<key>CFBundleVersion</key>',
+				'\t<integer>43</integer>',
+				'\t<key>Nested</key>',
+				'\t<dict>',
+				'\t\t<key>Escaped</key>',
+				'\t\t<string>&lt;a &amp; b&gt;</string>',
+				'\t</dict>',
+				'</dict>',
+				'</plist>',
+				''
+			].join('\n'));
+		});
+
+		it('should save a binary plist in the binary format', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'binary.plist');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'plist', 'binary.plist'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('CFBundleVersion', 43, 'test');
+			await cfg.push('Tags', 'gamma', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file).toString('ascii', 0, 8)).to.equal('bplist00');
+
+			const cfg2 = await new Config().init();
+			await cfg2.load(file);
+			expect(cfg2.get()).to.deep.equal({
+				...expected,
+				CFBundleVersion: 43,
+				Tags: [ 'alpha', 'beta', 'gamma' ]
+			});
+		});
+	});
+
+	describe('binary', () => {
+		it('should round trip large objects and strings', () => {
+			const value = {
+				long: 'x'.repeat(300),
+				list: Array.from({ length: 300 }, (_, i) => i * 1000),
+				real: 1.5
+			};
+			expect(parse(build(value))).to.deep.equal(value);
+		});
+
+		it('should error if an array contains null', () => {
+			expect(() => build({ list: [ 'a', null, 'b' ] })).to.throw(TypeError,
+				'Unable to save null array item "list.1" because plists do not support null values');
+		});
+
+		it('should error if the header is invalid', () => {
+			expect(() => parse(Buffer.from('not a binary plist at all, but long enough to have a trailer'))).to.throw(Error, 'Invalid binary plist header');
+		});
+	});
+
+	describe('toString()', () => {
+		it('should error if an array contains null', () => {
+			const store = new PlistStore({ data: { list: [ 'a', null, 'b' ] } });
+			expect(() => store.toString()).to.throw(TypeError,
+				'Unable to save null array item "list.1" because plists do not support null values');
+		});
+
+		it('should stringify the store data as an xml plist', () => {
+			const store = new PlistStore({ data: { foo: 'bar', list: [], nothing: null } });
+			expect(store.toString()).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+				'<plist version="1.0">',
+				'<dict>',
+				'\t<key>foo</key>',
+				'\t<string>bar</string>',
+				'\t<key>list</key>',
+				'\t<array/>',
+				'</dict>',
+				'</plist>',
+				''
+			].join('\n'));
+		});
+	});
+});
@@ -0,0 +1,161 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import Config from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+
+chai.use(chaiAsPromised);
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+describe('profiles', () => {
+	const { MYAPP_PROFILE, NODE_ENV } = process.env;
+	let dir;
+
+	before(() => {
+		dir = path.join(tmpDir, 'profiles');
+		fs.outputJsonSync(path.join(dir, 'config.json'), { level: 'base', server: { host: 'localhost', port: 80 } });
+		fs.outputJsonSync(path.join(dir, 'config.development.json'), { level: 'development', server: { port: 8080 } });
+		fs.outputJsonSync(path.join(dir, 'config.production.json'), { level: 'production', server: { port: 443 } });
+		fs.outputJsonSync(path.join(dir, 'config.eu.json'), { level: 'eu', region: 'eu' });
+		fs.outputJsonSync(path.join(tmpDir, 'myapp.config.json'), { name: 'myapp' });
+	});
+
+	after(() => fs.removeSync(tmpDir));
+
+	afterEach(() => {
+		for (const [ name, value ] of Object.entries({ MYAPP_PROFILE, NODE_ENV })) {
+			if (value === undefined) {
+				delete process.env[name];
+			} else {
+				process.env[name] = value;
+			}
+		}
+	});
+
+	async function loadAll(cfg) {
+		for (const name of fs.readdirSync(dir).sort()) {
+			await cfg.load(path.join(dir, name));
+		}
+		return cfg;
+	}
+
+	it('should error if options are invalid', async () => {
+		await expect(new Config().init({ profile: 123 }))
+			.to.eventually.be.rejectedWith(TypeError, 'Expected profile to be a string or an array of strings');
+
+		await expect(new Config().init({ profiles: [ 'production', '' ] }))
+			.to.eventually.be.rejectedWith(TypeError, 'Expected profiles to be a string or an array of strings');
+
+		await expect(new Config().init({ profileEnv: '' }))
+			.to.eventually.be.rejectedWith(TypeError, 'Expected profile env to be a non-empty string');
+	});
+
+	it('should load tagged files into the base layer when profiles are not enabled', async () => {
+		const cfg = await loadAll(await new Config().init());
+
+		expect(cfg.profiles).to.equal(null);
+		expect(cfg.layers.get('profile:production')).to.equal(undefined);
+		expect(cfg.layers.get(Config.Base).file).to.equal(path.join(dir, 'config.production.json'));
+	});
+
+	it('should load the active profile into its own layer above the base layer', async () => {
+		const cfg = await loadAll(await new Config().init({
+			profile:  'production',
+			profiles: [ 'development', 'production' ]
+		}));
+
+		const ids = Array.from(cfg.layers, l => l.id);
+		expect(ids.indexOf('profile:production')).to.equal(ids.indexOf(Config.Base) + 1);
+
+		expect(cfg.layers.get('profile:production').file).to.equal(path.join(dir, 'config.production.json'));
+		expect(cfg.get('level')).to.equal('production');
+		expect(cfg.get('server')).to.deep.equal({ host: 'localhost', port: 443 });
+		expect(cfg.get('level', undefined, Config.Base)).to.equal('base');
+	});
+
+	it('should ignore files for inactive profiles', async () => {
+		const cfg = await loadAll(await new Config().init({
+			profile:  'development',
+			profiles: [ 'development', 'eu', 'production' ]
+		}));
+
+		expect(cfg.get('level')).to.equal('development');
+		expect(cfg.get('region')).to.equal(undefined);
+		expect(cfg.layers.get('profile:production')).to.equal(undefined);
+		expect(cfg.get('server.port')).to.equal(8080);
+	});
+
+	it('should load tags that are not profiles into the base layer', async () => {
+		const cfg = await new Config().init({
+			profile:  'production',
+			profiles: [ 'development', 'production' ]
+		});
+		await cfg.load(path.join(tmpDir, 'myapp.config.json'));
+
+		expect(cfg.get('name', undefined, Config.Base)).to.equal('myapp');
+	});
+
+	it('should give later profiles precedence', async () => {
+		const cfg = await loadAll(await new Config().init({
+			profile: [ 'production', 'eu' ]
+		}));
+
+		expect(cfg.activeProfiles).to.deep.equal([ 'production', 'eu' ]);
+
+		const ids = Array.from(cfg.layers, l => l.id);
+		expect(ids.indexOf('profile:eu')).to.be.above(ids.indexOf('profile:production'));
+		expect(ids.indexOf('profile:production')).to.be.above(ids.indexOf(Config.Base));
+
+		expect(cfg.get('level')).to.equal('eu');
+		expect(cfg.get('region')).to.equal('eu');
+		expect(cfg.get('server.port')).to.equal(443);
+	});
+
+	it('should resolve files for several profiles to the profile with highest precedence', async () => {
+		let cfg = await new Config().init({ profile: [ 'production', 'eu' ] });
+		expect(cfg.resolve({ action: 'load', tags: [ 'eu', 'production' ] })).to.equal('profile:eu');
+		expect(cfg.resolve({ action: 'load', tags: [ 'production' ] })).to.equal('profile:production');
+		expect(cfg.resolve({ action: 'load', tags: [ 'config' ] })).to.equal(Config.Base);
+
+		cfg = await new Config().init({ profile: 'production', profiles: [ 'eu', 'production' ] });
+		expect(cfg.resolve({ action: 'load', tags: [ 'production', 'eu' ] })).to.deep.equal([]);
+	});
+
+	it('should read the active profiles from NODE_ENV', async () => {
+		process.env.NODE_ENV = 'development';
+		const cfg = await loadAll(await new Config().init({
+			profiles: [ 'development', 'production' ]
+		}));
+
+		expect(cfg.activeProfiles).to.deep.equal([ 'development' ]);
+		expect(cfg.get('level')).to.equal('development');
+	});
+
+	it('should read the active profiles from a custom environment variable', async () => {
+		process.env.MYAPP_PROFILE = 'production, eu';
+		const cfg = await loadAll(await new Config().init({
+			profileEnv: 'MYAPP_PROFILE'
+		}));
+
+		expect(cfg.activeProfiles).to.deep.equal([ 'production', 'eu' ]);
+		expect(cfg.get('level')).to.equal('eu');
+	});
+
+	it('should save changes to the profile layer', async () => {
+		const file = path.join(tmpDir, 'save', 'config.production.json');
+		fs.outputJsonSync(file, { foo: 'bar' });
+
+		const cfg = await new Config().init({ profile: 'production' });
+		await cfg.load(file);
+		await cfg.set('foo', 'baz', 'profile:production');
+		await cfg.save({ id: 'profile:production' });
+
+		expect(fs.readJsonSync(file)).to.deep.equal({ foo: 'baz' });
+	});
+});
@@ -0,0 +1,157 @@
+import Config, { PropertiesStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import { expect } from 'chai';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+function makeTempDir() {
+	const dir = makeTempName();
+	fs.mkdirsSync(dir);
+	return dir;
+}
+
+describe('PropertiesStore', () => {
+	after(() => {
+		fs.removeSync(tmpDir);
+	});
+
+	describe('load()', () => {
+		it('should load a properties file', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'properties', 'good.properties'));
+
+			expect(cfg.get()).to.deep.equal({
+				app: {
+					name: 'My App'
+				},
+				server: {
+					host: 'localhost',
+					port: '8080'
+				},
+				message: 'hello world',
+				greeting: 'café',
+				path: 'C:\\temp',
+				'key with spaces': 'value',
+				empty: ''
+			});
+			expect(cfg.get('server.port')).to.equal('8080');
+		});
+
+		it('should error if properties file does not exist', async () => {
+			const cfg = await new Config().init();
+			const file = path.join(__dirname, 'does_not_exist.properties');
+			await expect(
+				cfg.load(file)
+			).to.eventually.be.rejectedWith(Error, `File not found: ${file}`);
+		});
+
+		it('should error if a key is invalid', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'properties', 'bad-key.properties'))
+			).to.eventually.be.rejectedWith(Error, 'Failed to load config file: Invalid key "foo..bar" on line 1');
+		});
+
+		it('should load a namespaced file into a namespace', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'properties', 'good-ns.properties'), { id: 'test', namespace: 'test' });
+			expect(cfg.get('test.foo')).to.equal('bar');
+		});
+
+		it('should error if a key is the prefix of another key', async () => {
+			const file = path.join(makeTempDir(), 'conflict.properties');
+			fs.writeFileSync(file, [
+				'# log4j',
+				'log4j.appender.A1.layout=org.apache.log4j.PatternLayout',
+				'log4j.appender.A1=org.apache.log4j.ConsoleAppender'
+			].join('\n'));
+
+			const cfg = await new Config().init();
+			await expect(cfg.load(file)).to.eventually.be.rejectedWith(Error,
+				'Failed to load config file: Key "log4j.appender.A1.layout" on line 2 conflicts with key "log4j.appender.A1" on line 3');
+		});
+	});
+
+	describe('save()', () => {
+		it('should error if filename is not properties', async () => {
+			const cfg = await new Config().init({ store: new PropertiesStore() });
+			await expect(
+				cfg.save(path.join(makeTempName(), 'foo.json'))
+			).to.eventually.be.rejectedWith(Error, 'Expected properties config file to have ".properties" extension, found ".json"');
+		});
+
+		it('should write back in place preserving comments', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'good.properties');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'properties', 'good.properties'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('server.port', 9090, 'test');
+			await cfg.set('greeting', 'olá', 'test');
+			await cfg.set('server.ssl', { enabled: true, ciphers: [ 'a', 'b' ] }, 'test');
+			await cfg.set('new key', ' leading', 'test');
+			await cfg.delete('empty', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readdirSync(tmp)).to.have.lengthOf(1);
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'# Application settings',
+				'! legacy comment',
+				'app.name = My App',
+				'server.host=localhost',
+				'server.port:9090',
+				'message = hello \\',
+				'    world',
+				'greeting=ol\\u00E1',
+				'path=C:\\\\temp',
+				'key\\ with\\ spaces=value',
+				'server.ssl.enabled = true',
+				'server.ssl.ciphers.0 = a',
+				'server.ssl.ciphers.1 = b',
+				'new\\ key = \\ leading',
+				''
+			].join('\n'));
+
+			const cfg2 = await new Config().init();
+			await cfg2.load(file);
+			expect(cfg2.get('greeting')).to.equal('olá');
+			expect(cfg2.get('new key')).to.equal(' leading');
+			expect(cfg2.get('server.ssl.ciphers')).to.deep.equal({ 0: 'a', 1: 'b' });
+		});
+
+		it('should rewrite a changed continued value on a single line', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'crlf.properties');
+			fs.writeFileSync(file, '# comment\r\nfoo = a \\\r\n  b\r\n');
+
+			const cfg = await new Config().init();
+			await cfg.load(file, 'test');
+			await cfg.set('foo', 'c\nd', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal('# comment\r\nfoo = c\\nd\r\n');
+		});
+	});
+
+	describe('toString()', () => {
+		it('should stringify the store data as properties', () => {
+			const store = new PropertiesStore({ data: { foo: 'bar', wiz: { pow: 1, 'a=b': null } } });
+			expect(store.toString()).to.equal('foo=bar\nwiz.pow=1\nwiz.a\\=b=\n');
+		});
+	});
+});
@@ -0,0 +1,372 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import Config, { RemoteStore } from '../src/index.js';
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+import tmp from 'tmp';
+
+chai.use(chaiAsPromised);
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+describe('RemoteStore', () => {
+	let baseUrl;
+	let documents;
+	let requests;
+	let server;
+
+	before(done => {
+		server = http.createServer((req, res) => {
+			requests.push(req);
+
+			const doc = documents[req.url];
+			if (!doc) {
+				res.writeHead(404);
+				return res.end('Not found');
+			}
+
+			if (doc.status) {
+				res.writeHead(doc.status, doc.headers);
+				return res.end(doc.body);
+			}
+
+			if (doc.etag && req.headers['if-none-match'] === doc.etag) {
+				res.writeHead(304);
+				return res.end();
+			}
+
+			res.writeHead(200, {
+				'Content-Type': doc.type || 'application/json',
+				...(doc.etag ? { ETag: doc.etag } : {})
+			});
+			if (doc.chunked) {
+				// write the body without a content length
+				res.write(doc.body);
+				return res.end();
+			}
+			res.end(doc.body);
+		});
+
+		server.listen(0, '127.0.0.1', () => {
+			baseUrl = `http://127.0.0.1:${server.address().port}`;
+			done();
+		});
+	});
+
+	beforeEach(() => {
+		documents = {
+			'/config.json': {
+				body: JSON.stringify({ server: { host: 'example.com', port: 8080 } }),
+				etag: '"v1"'
+			}
+		};
+		requests = [];
+	});
+
+	after(done => {
+		fs.removeSync(tmpDir);
+		server.close(done);
+	});
+
+	describe('Constructor', () => {
+		it('should error if url is invalid', () => {
+			expect(() => {
+				new RemoteStore();
+			}).to.throw(TypeError, 'Expected url to be an http or https URL');
+
+			expect(() => {
+				new RemoteStore({ url: 'ftp://example.com/config.json' });
+			}).to.throw(TypeError, 'Expected url to be an http or https URL');
+		});
+
+		it('should error if options are invalid', () => {
+			const url = 'http://example.com/config.json';
+
+			expect(() => {
+				new RemoteStore({ cacheFile: 123, url });
+			}).to.throw(TypeError, 'Expected cache file to be a non-empty string');
+
+			expect(() => {
+				new RemoteStore({ format: 'xml', url });
+			}).to.throw(TypeError, 'Expected format to be "json" or "yaml"');
+
+			expect(() => {
+				new RemoteStore({ headers: 'foo', url });
+			}).to.throw(TypeError, 'Expected headers to be an object');
+
+			expect(() => {
+				new RemoteStore({ maxSize: 0, url });
+			}).to.throw(TypeError, 'Expected max size to be a positive number');
+
+			expect(() => {
+				new RemoteStore({ pollInterval: -1, url });
+			}).to.throw(TypeError, 'Expected poll interval to be a positive number');
+
+			expect(() => {
+				new RemoteStore({ timeout: 'foo', url });
+			}).to.throw(TypeError, 'Expected timeout to be a positive number');
+		});
+	});
+
+	describe('load()', () => {
+		it('should fetch a json document', async () => {
+			const store = await new RemoteStore({ url: `${baseUrl}/config.json` }).load();
+			expect(store.get()).to.deep.equal({ server: { host: 'example.com', port: 8080 } });
+			expect(store.etag).to.equal('"v1"');
+		});
+
+		it('should fetch a yaml document', async () => {
+			documents['/config'] = {
+				body: 'server:\n  port: 9000\n',
+				type: 'application/yaml'
+			};
+			const store = await new RemoteStore({ url: `${baseUrl}/config` }).load();
+			expect(store.get()).to.deep.equal({ server: { port: 9000 } });
+		});
+
+		it('should detect yaml by file extension', async () => {
+			documents['/config.yml'] = {
+				body: 'debug: true\n',
+				type: 'text/plain'
+			};
+			const store = await new RemoteStore({ url: `${baseUrl}/config.yml` }).load();
+			expect(store.get()).to.deep.equal({ debug: true });
+		});
+
+		it('should send custom headers', async () => {
+			await new RemoteStore({
+				headers: { Authorization: 'Bearer secret' },
+				url: `${baseUrl}/config.json`
+			}).load();
+			expect(requests[0].headers.authorization).to.equal('Bearer secret');
+		});
+
+		it('should follow redirects', async () => {
+			documents['/old.json'] = {
+				headers: { Location: '/config.json' },
+				status: 301
+			};
+			const store = await new RemoteStore({ url: `${baseUrl}/old.json` }).load();
+			expect(store.get([ 'server', 'port' ])).to.equal(8080);
+		});
+
+		it('should keep request headers when redirected to the same origin', async () => {
+			documents['/old.json'] = {
+				headers: { Location: '/config.json' },
+				status: 301
+			};
+			await new RemoteStore({
+				headers: { Authorization: 'Bearer secret' },
+				url: `${baseUrl}/old.json`
+			}).load();
+			expect(requests[1].headers.authorization).to.equal('Bearer secret');
+		});
+
+		it('should drop request headers when redirected to another origin', async () => {
+			const received = [];
+			const other = http.createServer((req, res) => {
+				received.push(req.headers);
+				res.writeHead(200, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify({ foo: 'bar' }));
+			});
+			await new Promise(resolve => other.listen(0, '127.0.0.1', resolve));
+
+			try {
+				documents['/old.json'] = {
+					headers: { Location: `http://127.0.0.1:${other.address().port}/config.json` },
+					status: 302
+				};
+				const store = await new RemoteStore({
+					headers: { Authorization: 'Bearer secret', Cookie: 'session=123', 'X-Api-Key': 'key' },
+					url: `${baseUrl}/old.json`
+				}).load();
+
+				expect(store.get([ 'foo' ])).to.equal('bar');
+				expect(requests[0].headers.authorization).to.equal('Bearer secret');
+				expect(received).to.have.lengthOf(1);
+				expect(received[0].accept).to.equal('application/json, application/yaml;q=0.9, */*;q=0.8');
+				expect(received[0].authorization).to.equal(undefined);
+				expect(received[0].cookie).to.equal(undefined);
+				expect(received[0]['x-api-key']).to.equal(undefined);
+			} finally {
+				await new Promise(resolve => other.close(resolve));
+			}
+		});
+
+		it('should error if the document is not an object', async () => {
+			documents['/bad.json'] = { body: '[ 1, 2, 3 ]' };
+			const store = new RemoteStore({ url: `${baseUrl}/bad.json` });
+			await expect(store.load()).to.eventually.be.rejectedWith(TypeError,
+				'Failed to fetch remote config: Expected config document to be an object');
+		});
+
+		it('should error if the fetch fails and there is no cache', async () => {
+			const store = new RemoteStore({ url: `${baseUrl}/does_not_exist.json` });
+			await expect(store.load()).to.eventually.be.rejectedWith(Error,
+				'Failed to fetch remote config: Server responded with status 404');
+		});
+
+		it('should error if the response is too large', async () => {
+			documents['/large.json'] = { body: JSON.stringify({ foo: 'x'.repeat(100) }) };
+			documents['/chunked.json'] = { body: JSON.stringify({ foo: 'x'.repeat(100) }), chunked: true };
+
+			await expect(new RemoteStore({ maxSize: 50, url: `${baseUrl}/large.json` }).load()).to.eventually.be.rejectedWith(Error,
+				'Failed to fetch remote config: Response exceeded the maximum size of 50 bytes');
+			await expect(new RemoteStore({ maxSize: 50, url: `${baseUrl}/chunked.json` }).load()).to.eventually.be.rejectedWith(Error,
+				'Failed to fetch remote config: Response exceeded the maximum size of 50 bytes');
+
+			const store = await new RemoteStore({ maxSize: 200, url: `${baseUrl}/chunked.json` }).load();
+			expect(store.get([ 'foo' ])).to.have.lengthOf(100);
+		});
+
+		it('should load as a layer', async () => {
+			const cfg = await new Config().init();
+			await cfg.layers.add({
+				id:    'remote',
+				store: await new RemoteStore({ url: `${baseUrl}/config.json` }).load()
+			});
+			expect(cfg.get('server.host')).to.equal('example.com');
+		});
+	});
+
+	describe('cache', () => {
+		it('should write the fetched document to the cache file', async () => {
+			const cacheFile = path.join(makeTempName(), 'cache.json');
+			const url = `${baseUrl}/config.json`;
+			await new RemoteStore({ cacheFile, url }).load();
+
+			expect(fs.readJsonSync(cacheFile)).to.deep.equal({
+				etag: '"v1"',
+				url,
+				data: { server: { host: 'example.com', port: 8080 } }
+			});
+		});
+
+		it('should use the cache when the document was not modified', async () => {
+			const cacheFile = path.join(makeTempName(), 'cache.json');
+			const url = `${baseUrl}/config.json`;
+			await new RemoteStore({ cacheFile, url }).load();
+
+			const store = await new RemoteStore({ cacheFile, url }).load();
+			expect(requests[1].headers['if-none-match']).to.equal('"v1"');
+			expect(store.get([ 'server', 'port' ])).to.equal(8080);
+		});
+
+		it('should fall back to the cache when the fetch fails', async () => {
+			const cacheFile = path.join(makeTempName(), 'cache.json');
+			const url = `${baseUrl}/config.json`;
+			await new RemoteStore({ cacheFile, url }).load();
+
+			documents['/config.json'] = { body: 'Unavailable', status: 503 };
+
+			const store = await new RemoteStore({ cacheFile, url }).load();
+			expect(store.get([ 'server', 'port' ])).to.equal(8080);
+		});
+
+		it('should fall back to the cache when the server is unreachable', async () => {
+			const cacheFile = path.join(makeTempName(), 'cache.json');
+			const url = `${baseUrl}/config.json`;
+			await new RemoteStore({ cacheFile, url }).load();
+
+			const unreachable = 'http://127.0.0.1:1/config.json';
+			fs.writeJsonSync(cacheFile, { ...fs.readJsonSync(cacheFile), url: unreachable });
+
+			const store = await new RemoteStore({ cacheFile, url: unreachable }).load();
+			expect(store.get([ 'server', 'port' ])).to.equal(8080);
+		});
+
+		it('should ignore a cache for a different url', async () => {
+			const cacheFile = path.join(makeTempName(), 'cache.json');
+			await new RemoteStore({ cacheFile, url: `${baseUrl}/config.json` }).load();
+
+			const store = new RemoteStore({ cacheFile, url: `${baseUrl}/does_not_exist.json` });
+			await expect(store.load()).to.eventually.be.rejectedWith(Error, 'Failed to fetch remote config');
+		});
+	});
+
+	describe('refresh()', () => {
+		it('should update the data and notify watchers when the document changes', async () => {
+			const store = await new RemoteStore({ url: `${baseUrl}/config.json` }).load();
+			const changes = [];
+			store.watch([ 'server', 'port' ], value => changes.push(value));
+
+			expect(await store.refresh()).to.equal(false);
+			expect(changes).to.deep.equal([]);
+
+			documents['/config.json'] = {
+				body: JSON.stringify({ server: { port: 9000 } }),
+				etag: '"v2"'
+			};
+
+			expect(await store.refresh()).to.equal(true);
+			expect(store.get()).to.deep.equal({ server: { port: 9000 } });
+			expect(changes).to.deep.equal([ 9000 ]);
+		});
+
+		it('should keep the data when the fetch fails', async () => {
+			const store = await new RemoteStore({ url: `${baseUrl}/config.json` }).load();
+			documents['/config.json'] = { body: 'Unavailable', status: 503 };
+
+			expect(await store.refresh()).to.equal(false);
+			expect(store.error).to.be.instanceof(Error);
+			expect(store.error.message).to.equal('Failed to fetch remote config: Server responded with status 503');
+			expect(store.get([ 'server', 'port' ])).to.equal(8080);
+		});
+	});
+
+	describe('polling', () => {
+		it('should poll for changes', async () => {
+			const store = await new RemoteStore({ pollInterval: 20, url: `${baseUrl}/config.json` }).load();
+
+			try {
+				const changed = new Promise(resolve => store.watch([ 'server', 'port' ], resolve));
+
+				documents['/config.json'] = {
+					body: JSON.stringify({ server: { port: 9000 } }),
+					etag: '"v2"'
+				};
+
+				expect(await changed).to.equal(9000);
+			} finally {
+				store.stop();
+			}
+
+			const count = requests.length;
+			await new Promise(resolve => setTimeout(resolve, 60));
+			expect(requests.length).to.equal(count);
+		});
+
+		it('should stop polling when the layer is removed or replaced', async () => {
+			const cfg = await new Config().init();
+			const url = `${baseUrl}/config.json`;
+
+			const store = await new RemoteStore({ pollInterval: 20, url }).load();
+			await cfg.layers.add({ id: 'remote', store });
+			expect(store.timer).to.not.equal(null);
+
+			const store2 = await new RemoteStore({ pollInterval: 20, url }).load();
+			await cfg.layers.add({ id: 'remote', store: store2 });
+			expect(store.timer).to.equal(null);
+			expect(store2.timer).to.not.equal(null);
+
+			cfg.layers.remove('remote');
+			expect(store2.timer).to.equal(null);
+		});
+	});
+
+	describe('save()', () => {
+		it('should error saving', async () => {
+			const store = new RemoteStore({ url: `${baseUrl}/config.json` });
+			await expect(store.save()).to.eventually.be.rejectedWith(Error, 'Saving remote config is unsupported');
+		});
+	});
+});
@@ -0,0 +1,271 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import Config, { SQLiteStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+
+chai.use(chaiAsPromised);
+
+// the SQLite driver is an optional dependency
+const Database = await import('better-sqlite3').then(m => m.default, () => null);
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName(ext = '.sqlite') {
+	return path.join(tmpDir, `${Math.random().toString(36).substring(7)}${ext}`);
+}
+
+function readRows(file, table = 'config') {
+	const db = new Database(file, { readonly: true });
+	try {
+		return db.prepare(`SELECT key, value, updated_at FROM "${table}" ORDER BY key`).all();
+	} finally {
+		db.close();
+	}
+}
+
+async function makeDatabase(data) {
+	const file = makeTempName();
+	await new SQLiteStore({ data }).save(file);
+	return file;
+}
+
+describe('SQLiteStore', () => {
+	after(() => fs.removeSync(tmpDir));
+
+	describe('Constructor', () => {
+		it('should error if table is invalid', () => {
+			expect(() => {
+				new SQLiteStore({ table: 123 });
+			}).to.throw(TypeError, 'Expected table to be a valid SQLite table name');
+
+			expect(() => {
+				new SQLiteStore({ table: 'config"; DROP TABLE config; --' });
+			}).to.throw(TypeError, 'Expected table to be a valid SQLite table name');
+		});
+	});
+
+	describe('save()', () => {
+		it('should error if file is invalid', async () => {
+			const store = new SQLiteStore();
+			await expect(store.save()).to.eventually.be.rejectedWith(TypeError, 'Expected config file path to be a string');
+			await expect(store.save('foo.json')).to.eventually.be.rejectedWith(Error,
+				'Expected SQLite config file to have ".sqlite" or ".sqlite3" extension, found ".json"');
+		});
+	});
+
+	describe('without better-sqlite3', function () {
+		before(function () {
+			if (Database) {
+				this.skip();
+			}
+		});
+
+		it('should error loading a database', async () => {
+			const file = makeTempName();
+			fs.outputFileSync(file, '');
+			await expect(new SQLiteStore().load(file)).to.eventually.be.rejectedWith(Error,
+				'Using SQLite config files requires the "better-sqlite3" package');
+		});
+
+		it('should not create the database when saving errors', async () => {
+			const file = makeTempName();
+			await expect(new SQLiteStore({ data: { foo: 'bar' } }).save(file)).to.eventually.be.rejectedWith(Error,
+				'Using SQLite config files requires the "better-sqlite3" package');
+			expect(fs.existsSync(file)).to.equal(false);
+		});
+	});
+
+	describe('with better-sqlite3', function () {
+		before(function () {
+			if (!Database) {
+				this.skip();
+			}
+		});
+
+		it('should error if file does not exist', async () => {
+			await expect(new SQLiteStore().load(makeTempName()))
+				.to.eventually.be.rejectedWith(Error, /^File not found:/);
+		});
+
+		it('should save each value as a row', async () => {
+			const file = await makeDatabase({
+				server: {
+					host: 'localhost',
+					port: 8080
+				},
+				plugins: [ 'a', 'b' ],
+				empty: {}
+			});
+
+			const rows = readRows(file);
+			expect(rows.map(({ key, value }) => [ key, value ])).to.deep.equal([
+				[ '["empty"]', '{}' ],
+				[ '["plugins"]', '["a","b"]' ],
+				[ '["server","host"]', '"localhost"' ],
+				[ '["server","port"]', '8080' ]
+			]);
+			for (const row of rows) {
+				expect(row.updated_at).to.be.a('number');
+			}
+		});
+
+		it('should load values from rows', async () => {
+			const file = await makeDatabase({
+				server: {
+					host: 'localhost',
+					port: 8080
+				},
+				plugins: [ 'a', 'b' ]
+			});
+
+			const store = await new SQLiteStore().load(file);
+			expect(store.get()).to.deep.equal({
+				server: {
+					host: 'localhost',
+					port: 8080
+				},
+				plugins: [ 'a', 'b' ]
+			});
+			expect(store.keys()).to.deep.equal([ 'plugins', 'server' ]);
+			expect(store.has([ 'server', 'port' ])).to.equal(true);
+			expect(store.has([ 'server', 'foo' ])).to.equal(false);
+		});
+
+		it('should only write changed rows', async () => {
+			const file = await makeDatabase({
+				server: {
+					host: 'localhost',
+					port: 8080
+				}
+			});
+			const before = readRows(file);
+
+			const store = await new SQLiteStore().load(file);
+			await new Promise(resolve => setTimeout(resolve, 5));
+			store.set([ 'server', 'port' ], 9000);
+			store.set([ 'debug' ], true);
+			store.delete([ 'server', 'host' ]);
+			await store.save(file);
+
+			const after = readRows(file);
+			expect(after.map(({ key, value }) => [ key, value ])).to.deep.equal([
+				[ '["debug"]', 'true' ],
+				[ '["server","port"]', '9000' ]
+			]);
+			expect(after[1].updated_at).to.be.above(before[1].updated_at);
+		});
+
+		it('should not overwrite values changed by another store', async () => {
+			const file = await makeDatabase({ a: 1, b: 1 });
+
+			const store1 = await new SQLiteStore().load(file);
+			const store2 = await new SQLiteStore().load(file);
+
+			store1.set([ 'a' ], 2);
+			await store1.save(file);
+
+			store2.set([ 'b' ], 2);
+			await store2.save(file);
+
+			const store = await new SQLiteStore().load(file);
+			expect(store.get()).to.deep.equal({ a: 2, b: 2 });
+		});
+
+		it('should replace a value with nested values', async () => {
+			const file = await makeDatabase({ server: 'localhost' });
+
+			const store = await new SQLiteStore().load(file);
+			store.set([ 'server', 'host' ], 'localhost');
+			await store.save(file);
+
+			expect(readRows(file).map(({ key }) => key)).to.deep.equal([ '["server","host"]' ]);
+		});
+
+		it('should save to a different database', async () => {
+			const src = await makeDatabase({ a: 1, b: 2 });
+			const dest = await makeDatabase({ c: 3 });
+
+			const store = await new SQLiteStore().load(src);
+			await store.save(dest);
+
+			const reloaded = await new SQLiteStore().load(dest);
+			expect(reloaded.get()).to.deep.equal({ a: 1, b: 2 });
+		});
+
+		it('should not create the config table when loading', async () => {
+			const file = makeTempName();
+			const db = new Database(file);
+			db.exec('CREATE TABLE other (id INTEGER)');
+			db.close();
+
+			const store = await new SQLiteStore().load(file);
+			expect(store.keys()).to.deep.equal([]);
+
+			const check = new Database(file, { readonly: true });
+			try {
+				expect(check.prepare('SELECT name FROM sqlite_master WHERE type = \'table\'').all().map(t => t.name)).to.deep.equal([ 'other' ]);
+			} finally {
+				check.close();
+			}
+
+			store.set([ 'foo' ], 'bar');
+			await store.save(file);
+			expect(readRows(file).map(({ key, value }) => [ key, value ])).to.deep.equal([
+				[ '["foo"]', '"bar"' ]
+			]);
+		});
+
+		it('should use a custom table', async () => {
+			const file = makeTempName('.sqlite3');
+			await new SQLiteStore({ data: { foo: 'bar' }, table: 'settings' }).save(file);
+
+			expect(readRows(file, 'settings')).to.have.lengthOf(1);
+
+			const store = await new SQLiteStore({ table: 'settings' }).load(file);
+			expect(store.get()).to.deep.equal({ foo: 'bar' });
+		});
+
+		it('should notify watchers', async () => {
+			const file = await makeDatabase({ foo: 'bar' });
+			const store = await new SQLiteStore().load(file);
+			let value;
+
+			store.watch([ 'foo' ], v => value = v);
+			store.set([ 'foo' ], 'baz');
+
+			expect(value).to.equal('baz');
+		});
+
+		it('should load and save as a layer', async () => {
+			const file = await makeDatabase({ foo: 'bar' });
+			const cfg = await new Config().init();
+
+			await cfg.load(file, 'state');
+			expect(cfg.get('foo')).to.equal('bar');
+
+			await cfg.set('foo', 'baz', 'state');
+			await cfg.save({ id: 'state' });
+
+			expect(readRows(file).map(({ key, value }) => [ key, value ])).to.deep.equal([
+				[ '["foo"]', '"baz"' ]
+			]);
+		});
+
+		it('should only load a .db file when the format is specified', async () => {
+			const file = makeTempName('.db');
+			fs.copyFileSync(await makeDatabase({ foo: 'bar' }), file);
+			const cfg = await new Config().init();
+
+			await expect(cfg.load(file, 'state')).to.eventually.be.rejectedWith(Error, 'Unsupported file type ".db"');
+
+			await cfg.load(file, { id: 'state', format: 'sqlite' });
+			expect(cfg.get('foo')).to.equal('bar');
+		});
+	});
+});
@@ -1,6 +1,6 @@
 import StoreRegistry from '../src/store-registry.js';
 import { expect } from 'chai';
-import { JSONStore, Store } from '../src/index.js';
+import { IniStore, JSONStore, Store, TOMLStore, YAMLStore } from '../src/index.js';
 
 describe('StoreRegistry', () => {
 	it('should error if adding an invalid store class', () => {
@@ -29,6 +29,16 @@ describe('StoreRegistry', () => {
 		expect(() => {
 			reg.add(BadStore);
 		}).to.throw(TypeError, 'Expected type "BadStore" to declare a non-empty string extension');
+
+		class BadExtensionsStore extends Store {
+			static extension = '.foo';
+			static extensions = [ '.foo', 123 ];
+		}
+
+		expect(() => {
+			reg.add(BadExtensionsStore);
+		}).to.throw(TypeError, 'Expected type "BadExtensionsStore" extensions to be non-empty strings');
+		expect(reg.get('.foo')).to.equal(undefined);
 	});
 
 	it('should get a store type by extension', () => {
@@ -39,6 +49,16 @@ describe('StoreRegistry', () => {
 		expect(reg.get()).to.equal(undefined);
 	});
 
+	it('should get a store type by any of its extensions', () => {
+		const reg = new StoreRegistry();
+		reg.add(YAMLStore);
+		expect(reg.get('.yml')).to.equal(YAMLStore);
+		expect(reg.get('.yaml')).to.equal(YAMLStore);
+		expect(reg.remove(YAMLStore)).to.equal(true);
+		expect(reg.get('.yml')).to.equal(undefined);
+		expect(reg.get('.yaml')).to.equal(undefined);
+	});
+
 	it('should remove a store type by extension', () => {
 		const reg = new StoreRegistry();
 		reg.add(JSONStore);
@@ -57,6 +77,66 @@ describe('StoreRegistry', () => {
 		expect(reg.remove('.json')).to.equal(false);
 	});
 
+	it('should detect a store type by contents', () => {
+		const reg = new StoreRegistry()
+			.add(YAMLStore)
+			.add(IniStore)
+			.add(TOMLStore)
+			.add(JSONStore);
+
+		expect(reg.detect(Buffer.from('{ "foo": "bar" }'))).to.equal(JSONStore);
+		expect(reg.detect('foo = "bar"')).to.equal(TOMLStore);
+		expect(reg.detect('[app]\nfoo = bar')).to.equal(IniStore);
+		expect(reg.detect('foo: bar')).to.equal(YAMLStore);
+		expect(reg.detect('foo')).to.equal(undefined);
+	});
+
+	it('should not detect contents that are only loosely valid', () => {
+		const reg = new StoreRegistry()
+			.add(YAMLStore)
+			.add(IniStore);
+
+		expect(reg.detect('foo = bar\nbaz = qux')).to.equal(undefined);
+		expect(reg.detect('foo: [')).to.equal(undefined);
+		expect(reg.detect('foo: bar: baz')).to.equal(undefined);
+		expect(reg.detect('foo: 1\nfoo: 2')).to.equal(undefined);
+	});
+
+	it('should try the most recently registered store types first', () => {
+		class CustomStore extends JSONStore {
+			static extension = '.custom';
+
+			static detect(buffer) {
+				return buffer.toString().startsWith('{');
+			}
+		}
+
+		const reg = new StoreRegistry().add(JSONStore).add(CustomStore);
+		expect(reg.detect('{ "foo": "bar" }')).to.equal(CustomStore);
+	});
+
+	it('should not use an inherited detect function', () => {
+		class CustomStore extends JSONStore {
+			static extension = '.custom';
+		}
+
+		const reg = new StoreRegistry().add(CustomStore);
+		expect(reg.detect('{ "foo": "bar" }')).to.equal(undefined);
+	});
+
+	it('should ignore detect functions that throw', () => {
+		class BadStore extends JSONStore {
+			static extension = '.bad';
+
+			static detect() {
+				throw new Error('oops');
+			}
+		}
+
+		const reg = new StoreRegistry().add(JSONStore).add(BadStore);
+		expect(reg.detect('{ "foo": "bar" }')).to.equal(JSONStore);
+	});
+
 	it('should error if removing store type with invalid reference', () => {
 		const t = new StoreRegistry();
 		expect(() => {
@@ -0,0 +1,127 @@
+import Config, { TOMLStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import TOML from '@iarna/toml';
+import { expect } from 'chai';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+function makeTempDir() {
+	const dir = makeTempName();
+	fs.mkdirsSync(dir);
+	return dir;
+}
+
+describe('TOMLStore', () => {
+	after(() => {
+		fs.removeSync(tmpDir);
+	});
+
+	describe('load()', () => {
+		it('should load a toml file with tables and arrays of tables', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'toml', 'good.toml'));
+
+			expect(cfg.get('title')).to.equal('My Service');
+			expect(cfg.get('server')).to.deep.equal({
+				host: 'localhost',
+				port: 8080,
+				tags: [ 'a', 'b' ],
+				tls: {
+					enabled: true
+				}
+			});
+			expect(cfg.get('plugins')).to.deep.equal([
+				{ name: 'alpha', version: 1 },
+				{ name: 'beta', version: 2 }
+			]);
+			expect(cfg.get('plugins.1.name')).to.equal('beta');
+		});
+
+		it('should preserve dates', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'toml', 'good.toml'));
+
+			const updated = cfg.get('updated');
+			expect(updated).to.be.instanceof(Date);
+			expect(updated.toISOString()).to.equal('2022-05-20T10:30:00.000Z');
+			expect(cfg.get('released')).to.be.instanceof(Date);
+			expect(cfg.get()).to.have.property('updated').that.is.instanceof(Date);
+		});
+
+		it('should error if toml file does not exist', async () => {
+			const cfg = await new Config().init();
+			const file = path.join(__dirname, 'does_not_exist.toml');
+			await expect(
+				cfg.load(file)
+			).to.eventually.be.rejectedWith(Error, `File not found: ${file}`);
+		});
+
+		it('should error if toml file is bad', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'toml', 'bad-syntax.toml'))
+			).to.eventually.be.rejectedWith(Error, /^Failed to load config file:/);
+		});
+
+		it('should load a namespaced file into a namespace', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'toml', 'good-ns.toml'), { id: 'test', namespace: 'test' });
+			expect(cfg.get('test.foo')).to.equal('bar');
+		});
+	});
+
+	describe('save()', () => {
+		it('should error if filename is not toml', async () => {
+			const cfg = await new Config().init({ store: new TOMLStore() });
+			await expect(
+				cfg.save(path.join(makeTempName(), 'foo.json'))
+			).to.eventually.be.rejectedWith(Error, 'Expected TOML config file to have ".toml" extension, found ".json"');
+		});
+
+		it('should save valid toml', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'good.toml');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'toml', 'good.toml'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('server.port', 9090, 'test');
+			await cfg.push('plugins', { name: 'gamma', version: 3 }, 'test');
+			await cfg.set('empty', null, 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readdirSync(tmp)).to.have.lengthOf(1);
+
+			const data = TOML.parse(fs.readFileSync(file, 'utf8'));
+			expect(data.title).to.equal('My Service');
+			expect(data.server.port).to.equal(9090);
+			expect(data.server.tls.enabled).to.equal(true);
+			expect(data.plugins).to.have.lengthOf(3);
+			expect(data.plugins[2]).to.deep.equal({ name: 'gamma', version: 3 });
+			expect(data.updated).to.be.instanceof(Date);
+			expect(data.updated.toISOString()).to.equal('2022-05-20T10:30:00.000Z');
+			expect(data).to.not.have.property('empty');
+		});
+	});
+
+	describe('toString()', () => {
+		it('should stringify the store data as toml', () => {
+			const store = new TOMLStore({ data: { foo: 'bar', wiz: { pow: 1 } } });
+			expect(store.toString()).to.equal('foo = "bar"\n\n[wiz]\npow = 1\n');
+		});
+	});
+});
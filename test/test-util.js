@@ -1,5 +1,5 @@
 import { expect } from 'chai';
-import { getSchemaInitialValues, unique } from '../src/util.js';
+import { getAppPaths, getSchemaInitialValues, unique } from '../src/util.js';
 
 describe('Util', () => {
 	describe('unique()', () => {
@@ -18,6 +18,79 @@ describe('Util', () => {
 		});
 	});
 
+	describe('getAppPaths()', () => {
+		it('should error if name is invalid', () => {
+			expect(() => {
+				getAppPaths();
+			}).to.throw(TypeError, 'Expected name to be a non-empty string');
+
+			expect(() => {
+				getAppPaths(123);
+			}).to.throw(TypeError, 'Expected name to be a non-empty string');
+		});
+
+		it('should resolve the default linux paths', () => {
+			expect(getAppPaths('myapp', { env: {}, homeDir: '/home/user', platform: 'linux' })).to.deep.equal({
+				cache:  '/home/user/.cache/myapp',
+				system: [ '/etc/xdg/myapp', '/etc/myapp' ],
+				user:   '/home/user/.config/myapp'
+			});
+		});
+
+		it('should resolve the linux paths using XDG variables', () => {
+			expect(getAppPaths('myapp', {
+				env: {
+					XDG_CACHE_HOME:  '/tmp/cache',
+					XDG_CONFIG_DIRS: '/opt/xdg:relative/xdg:/etc',
+					XDG_CONFIG_HOME: '/tmp/config'
+				},
+				homeDir: '/home/user',
+				platform: 'linux'
+			})).to.deep.equal({
+				cache:  '/tmp/cache/myapp',
+				system: [ '/opt/xdg/myapp', '/etc/myapp' ],
+				user:   '/tmp/config/myapp'
+			});
+		});
+
+		it('should ignore relative XDG home variables', () => {
+			const paths = getAppPaths('myapp', {
+				env: {
+					XDG_CACHE_HOME:  'cache',
+					XDG_CONFIG_HOME: 'config'
+				},
+				homeDir: '/home/user',
+				platform: 'linux'
+			});
+			expect(paths.cache).to.equal('/home/user/.cache/myapp');
+			expect(paths.user).to.equal('/home/user/.config/myapp');
+		});
+
+		it('should resolve the default macOS paths', () => {
+			expect(getAppPaths('myapp', { env: {}, homeDir: '/Users/user', platform: 'darwin' })).to.deep.equal({
+				cache:  '/Users/user/Library/Caches/myapp',
+				system: [ '/Library/Preferences/myapp', '/etc/myapp' ],
+				user:   '/Users/user/Library/Preferences/myapp'
+			});
+		});
+
+		it('should resolve the Windows paths', () => {
+			expect(getAppPaths('myapp', {
+				env: {
+					APPDATA:      'C:\\Users\\user\\AppData\\Roaming',
+					LOCALAPPDATA: 'C:\\Users\\user\\AppData\\Local',
+					PROGRAMDATA:  'C:\\ProgramData'
+				},
+				homeDir: 'C:\\Users\\user',
+				platform: 'win32'
+			})).to.deep.equal({
+				cache:  'C:\\Users\\user\\AppData\\Local\\myapp\\Cache',
+				system: [ 'C:\\ProgramData\\myapp' ],
+				user:   'C:\\Users\\user\\AppData\\Roaming\\myapp'
+			});
+		});
+	});
+
 	describe('getSchemaInitialValues()', () => {
 		it('should error if schema is not an object type', () => {
 			expect(() => {
@@ -4,8 +4,12 @@
 // import fs from 'fs-extra';
 // import path from 'path';
 // import tmp from 'tmp';
-import { XMLStore } from '../src/index.js';
+import Config, { Joi, XMLStore } from '../src/index.js';
+import path from 'path';
 import { expect } from 'chai';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
 
 // const tmpDir = tmp.dirSync({
 // 	mode: '755',
@@ -251,6 +255,257 @@ describe('XMLStore', () => {
 		});
 	});
 
+	describe('Initialized with xml and a schema', () => {
+		it('should use the schema types instead of guessing', () => {
+			const store = new XMLStore({
+				schema: Joi.object({
+					app: Joi.object({
+						name: Joi.string(),
+						port: Joi.number(),
+						debug: Joi.boolean(),
+						ratio: Joi.number(),
+						version: Joi.string()
+					})
+				})
+			}).loadFromString([
+				'<app>',
+				'	<name>007</name>',
+				'	<port>8080</port>',
+				'	<debug>true</debug>',
+				'	<ratio>oops</ratio>',
+				'	<version>1.0</version>',
+				'	<other>123</other>',
+				'</app>'
+			].join('\n'));
+
+			expect(store.get()).to.deep.equal({
+				app: {
+					name: '007',
+					port: 8080,
+					debug: true,
+					ratio: 'oops',
+					version: '1.0',
+					other: 123
+				}
+			});
+		});
+
+		it('should return an array for a single element if the schema is an array', () => {
+			const store = new XMLStore({
+				schema: Joi.object({
+					app: Joi.object({
+						color: Joi.array().items(Joi.string()),
+						size: Joi.array().items(Joi.number(), Joi.string())
+					})
+				})
+			}).loadFromString([
+				'<app>',
+				'	<color>red</color>',
+				'	<size>10</size>',
+				'	<size>large</size>',
+				'</app>'
+			].join('\n'));
+
+			expect(store.get()).to.deep.equal({
+				app: {
+					color: [ 'red' ],
+					size: [ 10, 'large' ]
+				}
+			});
+		});
+
+		it('should map keys to attributes and tags', () => {
+			const store = new XMLStore({
+				schema: Joi.object({
+					app: Joi.object({
+						id: Joi.string().meta({ attribute: true }),
+						version: Joi.number().meta({ attribute: 'ver' }),
+						logLevel: Joi.string().meta({ tag: 'log-level' }),
+						plugins: Joi.array().items(Joi.string()).meta({ tag: 'plugin' }),
+						server: Joi.object({
+							'@host': Joi.string(),
+							'#text': Joi.number()
+						})
+					})
+				})
+			}).loadFromString([
+				'<app id="0123" ver="2">',
+				'	<log-level>info</log-level>',
+				'	<plugin>a</plugin>',
+				'	<plugin>b</plugin>',
+				'	<server host="1.2">80</server>',
+				'</app>'
+			].join('\n'));
+
+			expect(store.get()).to.deep.equal({
+				app: {
+					id: '0123',
+					version: 2,
+					logLevel: 'info',
+					plugins: [ 'a', 'b' ],
+					server: {
+						'@host': '1.2',
+						'#text': 80
+					}
+				}
+			});
+		});
+
+		it('should create new elements and attributes using the schema', () => {
+			const store = new XMLStore({
+				schema: Joi.object({
+					app: Joi.object({
+						id: Joi.string().meta({ attribute: true }),
+						logLevel: Joi.string().meta({ tag: 'log-level' }),
+						plugins: Joi.array().items(Joi.string()).meta({ tag: 'plugin' }),
+						server: Joi.object({
+							hostName: Joi.string().meta({ attribute: 'host' }),
+							port: Joi.number()
+						})
+					})
+				})
+			}).loadFromString([
+				'<app>',
+				'	<name>foo</name>',
+				'</app>'
+			].join('\n'));
+
+			store.set([ 'app', 'id' ], 'abc');
+			store.set([ 'app', 'logLevel' ], 'debug');
+			store.set([ 'app', 'plugins' ], [ 'a', 'b' ]);
+			store.set([ 'app', 'server' ], { hostName: 'localhost' });
+
+			expect(store.toString()).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<app id="abc">',
+				'	<name>foo</name>',
+				'	<log-level>debug</log-level>',
+				'	<plugin>a</plugin>',
+				'	<plugin>b</plugin>',
+				'	<server host="localhost"/>',
+				'</app>'
+			].join('\n'));
+		});
+
+		it('should load an xml file using the layer schema', async () => {
+			const cfg = await new Config().init({
+				schema: Joi.object({
+					awesome: Joi.object({
+						'string-test': Joi.string(),
+						'number-test': Joi.string(),
+						'bool-true-test': Joi.boolean(),
+						'bool-false-test': Joi.boolean(),
+						'array-test': Joi.object({
+							item: Joi.array().items(Joi.number(), Joi.string()),
+							pi: Joi.array().items(Joi.number())
+						})
+					})
+				})
+			});
+			await cfg.load(path.join(__dirname, 'fixtures', 'xml', 'good.xml'));
+
+			expect(cfg.get()).to.deep.equal({
+				awesome: {
+					'string-test': 'foo',
+					'number-test': '123',
+					'bool-true-test': true,
+					'bool-false-test': false,
+					'array-test': {
+						item: [ 123, 'abc' ],
+						pi: [ 3.14 ]
+					}
+				}
+			});
+		});
+	});
+
+	describe('Namespaces, CDATA, and comments', () => {
+		const xml = [
+			'<?xml version="1.0" encoding="UTF-8"?>',
+			'<ti:app xmlns:ti="http://ti.appcelerator.org" xmlns:android="http://schemas.android.com/apk/res/android">',
+			'	<!-- The application id -->',
+			'	<ti:id>com.example</ti:id>',
+			'	<android:id>droid</android:id>',
+			'	<!-- The startup script -->',
+			'	<!-- Runs before the UI loads -->',
+			'	<script><![CDATA[if (a < b) { run(); }]]></script>',
+			'	<build><![CDATA[42]]></build>',
+			'</ti:app>'
+		].join('\n');
+
+		it('should error if namespaces is invalid', () => {
+			expect(() => {
+				new XMLStore({ namespaces: 'foo' });
+			}).to.throw(TypeError, 'Expected namespaces to be an object of prefixes to namespace URIs');
+
+			expect(() => {
+				new XMLStore({ namespaces: { ti: 123 } });
+			}).to.throw(TypeError, 'Expected namespaces to be an object of prefixes to namespace URIs');
+		});
+
+		it('should qualify names when namespaces are specified', () => {
+			const store = new XMLStore({
+				namespaces: {
+					'': 'http://ti.appcelerator.org'
+				}
+			}).loadFromString(xml);
+
+			expect(store.get([ 'app', 'id' ])).to.equal('com.example');
+			expect(store.get([ 'app', 'android:id' ])).to.equal('droid');
+		});
+
+		it('should use the mapped prefix instead of the document prefix', () => {
+			const store = new XMLStore({
+				namespaces: {
+					t: 'http://ti.appcelerator.org'
+				}
+			}).loadFromString(xml);
+
+			expect(store.get([ 't:app', 't:id' ])).to.equal('com.example');
+
+			store.set([ 't:app', 't:version' ], '1.0.0');
+			expect(store.toString()).to.include('\t<ti:version>1.0.0</ti:version>\n</ti:app>');
+		});
+
+		it('should not cast CDATA text', () => {
+			const store = new XMLStore().loadFromString(xml);
+			expect(store.get([ 'app', 'script' ])).to.equal('if (a < b) { run(); }');
+			expect(store.get([ 'app', 'build' ])).to.equal('42');
+		});
+
+		it('should preserve CDATA when setting a value', () => {
+			const store = new XMLStore().loadFromString(xml);
+			store.set([ 'app', 'script' ], 'x && y');
+			expect(store.get([ 'app', 'script' ])).to.equal('x && y');
+			expect(store.toString()).to.include('<script><![CDATA[x && y]]></script>');
+		});
+
+		it('should update the text of an existing element', () => {
+			const store = new XMLStore({
+				namespaces: {
+					ti: 'http://ti.appcelerator.org'
+				}
+			}).loadFromString(xml);
+			store.set([ 'ti:app', 'ti:id' ], 'com.other');
+			expect(store.toString()).to.include('<ti:id>com.other</ti:id>');
+			expect(store.toString()).to.include('<build><![CDATA[42]]></build>');
+		});
+
+		it('should get the comments preceding an element', () => {
+			const store = new XMLStore({
+				namespaces: {
+					ti: 'http://ti.appcelerator.org'
+				}
+			}).loadFromString(xml);
+
+			expect(store.getComments([ 'ti:app', 'ti:id' ])).to.deep.equal([ 'The application id' ]);
+			expect(store.getComments([ 'ti:app', 'script' ])).to.deep.equal([ 'The startup script', 'Runs before the UI loads' ]);
+			expect(store.getComments([ 'ti:app', 'build' ])).to.deep.equal([]);
+			expect(store.getComments([ 'ti:app', 'foo' ])).to.deep.equal([]);
+			expect(store.getComments([ 'foo', 'bar' ])).to.deep.equal([]);
+		});
+	});
+
 	describe('get()', () => {
 		// it('should get a string', () => {
 		// 	const cfg = new XMLConfig();
@@ -341,6 +596,87 @@ describe('XMLStore', () => {
 	});
 
 	describe('set()', () => {
+		it('should replace a value and keep the DOM in sync', () => {
+			const store = new XMLStore().load(path.join(__dirname, 'fixtures', 'xml', 'good.xml'));
+			store.set([ 'awesome', 'string-test' ], 'bar');
+			store.set([ 'awesome', 'number-test' ], { a: 1 });
+			store.set([ 'awesome', 'array-test' ], 'flat');
+
+			expect(store.toString()).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<awesome>',
+				'	<string-test>bar</string-test>',
+				'	<number-test>',
+				'		<a>1</a>',
+				'	</number-test>',
+				'	<bool-true-test>true</bool-true-test>',
+				'	<bool-false-test>false</bool-false-test>',
+				'	<array-test>flat</array-test>',
+				'</awesome>'
+			].join('\n'));
+			expect(new XMLStore().loadFromString(store.toString()).get()).to.deep.equal(store.get());
+		});
+
+		it('should sync array mutations to the DOM', () => {
+			const store = new XMLStore().load(path.join(__dirname, 'fixtures', 'xml', 'good.xml'));
+			const items = store.get([ 'awesome', 'array-test', 'item' ]);
+
+			items.push('def');
+			items.shift();
+			items.unshift('first');
+			items.splice(1, 1, 'second', 'third');
+			items[0] = 'zero';
+			items.pop();
+
+			expect(store.get([ 'awesome', 'array-test', 'item' ])).to.deep.equal([ 'zero', 'second', 'third' ]);
+			expect(store.toString()).to.include([
+				'	<array-test>',
+				'		<item>zero</item>',
+				'		<item>second</item>',
+				'		<item>third</item>',
+				'		<pi>3.14</pi>',
+				'	</array-test>'
+			].join('\n'));
+
+			items.length = 1;
+			expect(store.toString()).to.include([
+				'	<array-test>',
+				'		<item>zero</item>',
+				'		<pi>3.14</pi>',
+				'	</array-test>'
+			].join('\n'));
+		});
+
+		it('should sync arrays of objects to the DOM', () => {
+			const store = new XMLStore().loadFromString('<app>\n\t<name>foo</name>\n</app>');
+			store.set([ 'app', 'server' ], [ { port: 80 }, { port: 443 } ]);
+			store.get([ 'app', 'server' ]).splice(1, 0, { port: 8080 });
+			store.get([ 'app', 'server' ]).shift();
+
+			expect(store.toString()).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<app>',
+				'	<name>foo</name>',
+				'	<server>',
+				'		<port>8080</port>',
+				'	</server>',
+				'	<server>',
+				'		<port>443</port>',
+				'	</server>',
+				'</app>'
+			].join('\n'));
+		});
+
+		it('should replace and remove attributes', () => {
+			const store = new XMLStore().loadFromString('<app><server host="localhost" port="80">foo</server></app>');
+			store.set([ 'app', 'server', '@port' ], 8080);
+			store.delete([ 'app', 'server', '@host' ]);
+			store.set([ 'app', 'server', '#text' ], 'bar');
+
+			expect(store.get()).to.deep.equal({ app: { server: { '@port': 8080, '#text': 'bar' } } });
+			expect(store.toString()).to.include('<app><server port="8080">bar</server></app>');
+		});
+
 		// it('should add a new object without a schema', () => {
 		// 	const cfg = new XMLConfig({
 		// 		file: path.join(__dirname, 'fixtures', 'good.xml'),
@@ -590,6 +926,130 @@ describe('XMLStore', () => {
 	});
 
 	describe('delete()', () => {
+		it('should delete values from the DOM', () => {
+			const store = new XMLStore().load(path.join(__dirname, 'fixtures', 'xml', 'good.xml'));
+
+			expect(store.delete([ 'awesome', 'string-test' ])).to.equal(true);
+			expect(store.delete([ 'awesome', 'array-test', 'item' ])).to.equal(true);
+			expect(store.delete([ 'awesome', 'does-not-exist' ])).to.equal(false);
+
+			expect(store.get()).to.deep.equal({
+				awesome: {
+					'number-test': 123,
+					'bool-true-test': true,
+					'bool-false-test': false,
+					'array-test': {
+						pi: 3.14
+					}
+				}
+			});
+
+			expect(store.toString()).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<awesome>',
+				'	<number-test>123</number-test>',
+				'	<bool-true-test>true</bool-true-test>',
+				'	<bool-false-test>false</bool-false-test>',
+				'	<array-test>',
+				'		<pi>3.14</pi>',
+				'	</array-test>',
+				'</awesome>'
+			].join('\n'));
+		});
+
+		it('should delete empty parent elements', () => {
+			const store = new XMLStore().load(path.join(__dirname, 'fixtures', 'xml', 'good.xml'));
+			store.delete([ 'awesome', 'array-test', 'item' ]);
+			store.delete([ 'awesome', 'array-test', 'pi' ]);
+
+			expect(store.toString()).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<awesome>',
+				'	<string-test>foo</string-test>',
+				'	<number-test>123</number-test>',
+				'	<bool-true-test>true</bool-true-test>',
+				'	<bool-false-test>false</bool-false-test>',
+				'</awesome>'
+			].join('\n'));
+		});
+
+		it('should collapse an element when its last child is deleted', () => {
+			const store = new XMLStore().loadFromString('<app>\n\t<server>\n\t\t<port>80</port>\n\t</server>\n\t<name>foo</name>\n</app>');
+			delete store.get([ 'app', 'server' ]).port;
+
+			expect(store.toString()).to.equal('<?xml version="1.0" encoding="UTF-8"?>\n<app>\n\t<server/>\n\t<name>foo</name>\n</app>');
+		});
+
+		it('should delete the comments preceding a deleted element', () => {
+			const store = new XMLStore().loadFromString([
+				'<app>',
+				'\t<!-- The port to listen on -->',
+				'\t<port>80</port>',
+				'',
+				'\t<!-- The server name -->',
+				'\t<!-- Defaults to localhost -->',
+				'\t<name>foo</name>',
+				'\t<debug>true</debug>',
+				'</app>'
+			].join('\n'));
+
+			expect(store.delete([ 'app', 'name' ])).to.equal(true);
+			expect(store.getComments([ 'app', 'debug' ])).to.deep.equal([]);
+			expect(store.getComments([ 'app', 'port' ])).to.deep.equal([ 'The port to listen on' ]);
+
+			expect(store.toString()).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<app>',
+				'\t<!-- The port to listen on -->',
+				'\t<port>80</port>',
+				'',
+				'\t<debug>true</debug>',
+				'</app>'
+			].join('\n'));
+		});
+
+		it('should keep section comments separated by a blank line when deleting an element', () => {
+			const store = new XMLStore().loadFromString([
+				'<app>',
+				'\t<!-- Server settings -->',
+				'',
+				'\t<!-- The port to listen on -->',
+				'\t<port>80</port>',
+				'\t<host>localhost</host>',
+				'',
+				'\t<!-- Logging -->',
+				'',
+				'\t<debug>true</debug>',
+				'</app>'
+			].join('\n'));
+
+			expect(store.delete([ 'app', 'port' ])).to.equal(true);
+			expect(store.toString()).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<app>',
+				'\t<!-- Server settings -->',
+				'',
+				'\t<host>localhost</host>',
+				'',
+				'\t<!-- Logging -->',
+				'',
+				'\t<debug>true</debug>',
+				'</app>'
+			].join('\n'));
+
+			expect(store.delete([ 'app', 'debug' ])).to.equal(true);
+			expect(store.toString()).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<app>',
+				'\t<!-- Server settings -->',
+				'',
+				'\t<host>localhost</host>',
+				'',
+				'\t<!-- Logging -->',
+				'</app>'
+			].join('\n'));
+		});
+
 		// it('should delete some values', () => {
 		// 	const cfg = new XMLConfig({
 		// 		file: path.join(__dirname, 'fixtures', 'good.xml')
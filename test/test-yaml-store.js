@@ -0,0 +1,252 @@
+import Config, { YAMLStore } from '../src/index.js';
+import fs from 'fs-extra';
+import path from 'path';
+import tmp from 'tmp';
+import { expect } from 'chai';
+import { fileURLToPath } from 'url';
+
+const __dirname = fileURLToPath(new URL('.', import.meta.url));
+
+const tmpDir = tmp.dirSync({
+	mode: '755',
+	prefix: 'config-kit-test-',
+	unsafeCleanup: true
+}).name;
+
+function makeTempName() {
+	return path.join(tmpDir, Math.random().toString(36).substring(7));
+}
+
+function makeTempDir() {
+	const dir = makeTempName();
+	fs.mkdirsSync(dir);
+	return dir;
+}
+
+describe('YAMLStore', () => {
+	after(() => {
+		fs.removeSync(tmpDir);
+	});
+
+	describe('Constructor', () => {
+		it('should default layer options', () => {
+			const store = new YAMLStore();
+			expect(store.data).to.deep.equal({});
+		});
+
+		it('should error if options is not an object', () => {
+			expect(() => {
+				new YAMLStore({ data: 'foo' });
+			}).to.throw(TypeError, 'Expected config data to be an object');
+		});
+	});
+
+	describe('load()', () => {
+		it('should load a .yml file', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'yaml', 'good.yml'));
+			expect(cfg.get('foo')).to.equal('bar');
+		});
+
+		it('should load a .yaml file', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'yaml', 'good.yaml'));
+			expect(cfg.get()).to.deep.equal({ foo: 'bar', list: [ 'a', 'b' ] });
+		});
+
+		it('should error if yaml file does not exist', async () => {
+			const cfg = await new Config().init();
+			const file = path.join(__dirname, 'does_not_exist.yml');
+			await expect(
+				cfg.load(file)
+			).to.eventually.be.rejectedWith(Error, `File not found: ${file}`);
+		});
+
+		it('should not error if yaml file is empty', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'yaml', 'empty.yml'));
+			expect(cfg.get()).to.deep.equal({});
+		});
+
+		it('should error if yaml file is bad', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'yaml', 'bad-syntax.yml'))
+			).to.eventually.be.rejectedWith(Error, /^Failed to load config file:/);
+		});
+
+		it('should error if config does\'t contain an object', async () => {
+			const cfg = await new Config().init();
+			await expect(
+				cfg.load(path.join(__dirname, 'fixtures', 'yaml', 'string.yml'))
+			).to.eventually.be.rejectedWith(TypeError, 'Expected config file to be an object');
+		});
+
+		it('should load a layer into a namespace', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'yaml', 'good.yml'), { namespace: 'baz' });
+			expect(cfg.get('baz.foo')).to.equal('bar');
+		});
+
+		it('should load a namespaced file into a namespace', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'yaml', 'good-ns.yml'), { id: 'test', namespace: 'test' });
+			expect(cfg.get('test.foo')).to.equal('bar');
+
+			await cfg.set('test.baz', 'wiz', 'test');
+			expect(cfg.data('test')).to.deep.equal({ test: { foo: 'bar', baz: 'wiz' } });
+		});
+	});
+
+	describe('save()', () => {
+		it('should error if filename is not yaml', async () => {
+			const cfg = await new Config().init({ store: new YAMLStore() });
+			await expect(
+				cfg.save(path.join(makeTempName(), 'foo.json'))
+			).to.eventually.be.rejectedWith(Error, 'Expected YAML config file to have ".yml" or ".yaml" extension, found ".json"');
+		});
+
+		it('should save a yaml file', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'foo.yml');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'yaml', 'good.yml'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('foo', 'baz', 'test');
+			await cfg.set('wiz.pow', [ 1, 2 ], 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readdirSync(tmp)).to.have.lengthOf(1);
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'foo: baz',
+				'wiz:',
+				'  pow:',
+				'    - 1',
+				'    - 2',
+				''
+			].join('\n'));
+
+			await cfg.delete('wiz', 'test');
+			await cfg.save({ id: 'test' });
+			expect(fs.readFileSync(file, 'utf8')).to.equal('foo: baz\n');
+		});
+	});
+
+	describe('round-trip', () => {
+		it('should preserve comments, order, quotes, and indentation', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'comments.yml');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'yaml', 'comments.yml'), file);
+
+			await cfg.load(file, 'test');
+			await cfg.set('name', 'your app', 'test');
+			await cfg.set('server.port', 9090, 'test');
+			await cfg.push('server.tags', 'gamma', 'test');
+			await cfg.set('server.secure', true, 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'# My app config',
+				'name: "your app" # the display name',
+				'',
+				'server:',
+				'    # where to listen',
+				'    port: 9090',
+				'    host: \'localhost\'',
+				'    tags:',
+				'        - alpha',
+				'        - beta',
+				'        - gamma',
+				'    secure: true',
+				'',
+				'defaults: &defaults',
+				'    retries: 3',
+				'worker: *defaults',
+				''
+			].join('\n'));
+		});
+
+		it('should remove deleted keys and keep the remaining comments', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'comments.yml');
+			const cfg = await new Config().init();
+
+			fs.copyFileSync(path.join(__dirname, 'fixtures', 'yaml', 'comments.yml'), file);
+
+			await cfg.load(file, 'test');
+			cfg.delete('server.tags', 'test');
+			cfg.delete('worker', 'test');
+			await cfg.set('defaults.retries', 5, 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal([
+				'# My app config',
+				'name: "my app" # the display name',
+				'',
+				'server:',
+				'    # where to listen',
+				'    port: 8080',
+				'    host: \'localhost\'',
+				'',
+				'defaults: &defaults',
+				'    retries: 5',
+				''
+			].join('\n'));
+		});
+
+		it('should preserve unindented sequences', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'seq.yml');
+			fs.writeFileSync(file, 'foo:\n  bar:\n  - a\n');
+
+			const cfg = await new Config().init();
+			await cfg.load(file, 'test');
+			await cfg.push('foo.bar', 'b', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal('foo:\n  bar:\n  - a\n  - b\n');
+		});
+
+		it('should preserve line endings', async () => {
+			const tmp = makeTempDir();
+			const file = path.join(tmp, 'crlf.yml');
+			fs.writeFileSync(file, '# comment\r\nfoo: bar\r\n');
+
+			const cfg = await new Config().init();
+			await cfg.load(file, 'test');
+			await cfg.set('baz', 'wiz', 'test');
+			await cfg.save({ id: 'test' });
+
+			expect(fs.readFileSync(file, 'utf8')).to.equal('# comment\r\nfoo: bar\r\nbaz: wiz\r\n');
+		});
+	});
+
+	describe('watch/unwatch', () => {
+		it('should call listeners when a loaded value changes', async () => {
+			const cfg = await new Config().init();
+			await cfg.load(path.join(__dirname, 'fixtures', 'yaml', 'good.yml'), 'test');
+
+			const values = [];
+			const handler = value => values.push(value);
+			cfg.watch('foo', handler);
+
+			await cfg.set('foo', 'baz', 'test');
+			cfg.unwatch(handler);
+			await cfg.set('foo', 'wiz', 'test');
+
+			expect(values).to.deep.equal([ 'baz' ]);
+		});
+	});
+
+	describe('toString()', () => {
+		it('should stringify the store data as yaml', () => {
+			const store = new YAMLStore({ data: { foo: { bar: [ 'baz' ] } } });
+			expect(store.toString()).to.equal('foo:\n  bar:\n    - baz\n');
+			expect(store.toString(4)).to.equal('foo:\n    bar:\n        - baz\n');
+		});
+	});
+});